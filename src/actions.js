@@ -0,0 +1,196 @@
+// The actions the player can take, and which inputs trigger them. Keyboard,
+// mouse, touch and gamepad all go through an ActionMap, so the game only
+// asks "is sneak held?" and never which key that is. No DOM here apart from
+// localStorage for saving the bindings, so the map runs in Node.
+//
+// Inputs are named by strings: keyboard keys by their KeyboardEvent.code
+// ('KeyW', 'Space'), mouse buttons as 'Mouse0' to 'Mouse2', the wheel as
+// 'WheelUp' and 'WheelDown', and gamepad buttons by their index in the
+// standard mapping as 'Button0' to 'Button16'. Touch controls press actions
+// directly.
+
+// Where bindings are kept between visits
+const STORAGE_KEY = 'minecraft-beta-3d.bindings';
+
+// Every action in the order the controls screen lists them
+export const actions = [
+    { name: 'forward', label: 'Move forward' },
+    { name: 'backward', label: 'Move backward' },
+    { name: 'left', label: 'Move left' },
+    { name: 'right', label: 'Move right' },
+    { name: 'jump', label: 'Jump / fly up' },
+    { name: 'sneak', label: 'Sneak' },
+    { name: 'sprint', label: 'Sprint / fly down' },
+    { name: 'attack', label: 'Break block' },
+    { name: 'use', label: 'Place or use block' },
+    { name: 'pickBlock', label: 'Pick block' },
+    { name: 'inventory', label: 'Inventory' },
+    { name: 'noclip', label: 'Fly through blocks' },
+    { name: 'hotbarNext', label: 'Next hotbar slot' },
+    { name: 'hotbarPrevious', label: 'Previous hotbar slot' },
+    ...Array.from({ length: 9 }, (_, i) => ({ name: `hotbar${i + 1}`, label: `Hotbar slot ${i + 1}` }))
+];
+
+// Two keyboard or mouse inputs (the main one and an alternate) and one
+// gamepad button per action, null for none. Looking around is the mouse (or
+// touch, or the right stick) and isn't rebindable; moving is also the left
+// stick.
+export const defaultBindings = {
+    forward: { keyboard: 'KeyW', alternate: null, gamepad: 'Button12' },
+    backward: { keyboard: 'KeyS', alternate: null, gamepad: 'Button13' },
+    left: { keyboard: 'KeyA', alternate: null, gamepad: 'Button14' },
+    right: { keyboard: 'KeyD', alternate: null, gamepad: 'Button15' },
+    jump: { keyboard: 'Space', alternate: null, gamepad: 'Button0' },
+    sneak: { keyboard: 'KeyC', alternate: null, gamepad: 'Button1' },
+    sprint: { keyboard: 'ShiftLeft', alternate: 'ShiftRight', gamepad: 'Button10' },
+    attack: { keyboard: 'Mouse0', alternate: null, gamepad: 'Button7' },
+    use: { keyboard: 'Mouse2', alternate: null, gamepad: 'Button6' },
+    pickBlock: { keyboard: 'Mouse1', alternate: null, gamepad: 'Button2' },
+    inventory: { keyboard: 'KeyE', alternate: null, gamepad: 'Button3' },
+    noclip: { keyboard: 'KeyN', alternate: null, gamepad: 'Button11' },
+    hotbarNext: { keyboard: 'WheelDown', alternate: null, gamepad: 'Button5' },
+    hotbarPrevious: { keyboard: 'WheelUp', alternate: null, gamepad: 'Button4' },
+    ...Object.fromEntries(Array.from({ length: 9 }, (_, i) => (
+        [`hotbar${i + 1}`, { keyboard: `Digit${i + 1}`, alternate: null, gamepad: null }]
+    )))
+};
+
+// Names of the standard mapping's buttons, for the controls screen
+const gamepadButtonNames = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'Left Stick', 'Right Stick', 'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home'
+];
+
+// The slots every action's binding has, in the controls screen's order
+export const bindingSlots = ['keyboard', 'alternate', 'gamepad'];
+
+// Whether an input is a gamepad button or a key or mouse input
+export function getDevice(input) {
+    return input.startsWith('Button') ? 'gamepad' : 'keyboard';
+}
+
+// Which kind of input a binding slot takes
+export function getSlotDevice(slot) {
+    return slot === 'gamepad' ? 'gamepad' : 'keyboard';
+}
+
+// Readable name of an input, e.g. 'W', 'Left Click', 'Pad A'
+export function describeInput(input) {
+    if (input === null) return 'None';
+    const mouse = { Mouse0: 'Left Click', Mouse1: 'Middle Click', Mouse2: 'Right Click' };
+    if (input in mouse) return mouse[input];
+    if (input === 'WheelUp') return 'Wheel Up';
+    if (input === 'WheelDown') return 'Wheel Down';
+    if (input.startsWith('Button')) {
+        const index = Number(input.slice('Button'.length));
+        return `Pad ${gamepadButtonNames[index] ?? index}`;
+    }
+    return input.replace(/^Key/, '').replace(/^Digit/, '').replace(/(Left|Right)$/, ' $1');
+}
+
+// Stick position with the dead zone taken out: inside `deadZone` of the
+// middle it's 0, and from there the length scales back up to 0-1 so small
+// pushes past the dead zone still move slowly
+export function applyDeadZone(x, y, deadZone) {
+    const length = Math.hypot(x, y);
+    if (length <= deadZone) return { x: 0, y: 0 };
+    const scale = Math.min(1, (length - deadZone) / (1 - deadZone)) / length;
+    return { x: x * scale, y: y * scale };
+}
+
+// Bindings saved by the controls screen, over the defaults so actions added
+// since still get bound
+export function loadBindings(storage = globalThis.localStorage) {
+    const bindings = structuredClone(defaultBindings);
+    try {
+        const saved = JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null');
+        for (const { name } of actions) {
+            if (saved?.[name]) Object.assign(bindings[name], saved[name]);
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable key bindings:', error);
+    }
+    return bindings;
+}
+
+export function saveBindings(bindings, storage = globalThis.localStorage) {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(bindings));
+}
+
+export class ActionMap {
+    constructor(bindings = structuredClone(defaultBindings)) {
+        // Action -> set of whatever holds it down: inputs, or touch controls
+        this.held = new Map(actions.map(({ name }) => [name, new Set()]));
+
+        // Called with the action's name when it goes from up to down
+        this.onPress = null;
+
+        this.setBindings(bindings);
+    }
+
+    setBindings(bindings) {
+        this.releaseAll();
+        this.bindings = bindings;
+        this.actionsByInput = new Map();
+        for (const [action, binding] of Object.entries(bindings)) {
+            for (const input of bindingSlots.map(slot => binding[slot])) {
+                if (input === null || input === undefined) continue;
+                if (!this.actionsByInput.has(input)) this.actionsByInput.set(input, []);
+                this.actionsByInput.get(input).push(action);
+            }
+        }
+    }
+
+    // Bind one of an action's slots to `input`, by default its keyboard or
+    // gamepad slot (from getDevice). Whatever else had that input loses it,
+    // so one press never does two things.
+    bind(action, input, slot = getDevice(input)) {
+        const bindings = structuredClone(this.bindings);
+        for (const binding of Object.values(bindings)) {
+            for (const other of bindingSlots) {
+                if (binding[other] === input) binding[other] = null;
+            }
+        }
+        bindings[action][slot] = input;
+        this.setBindings(bindings);
+    }
+
+    getActions(input) {
+        return this.actionsByInput.get(input) ?? [];
+    }
+
+    // An input went down or up; returns whether it is bound to anything
+    inputDown(input) {
+        const bound = this.getActions(input);
+        bound.forEach(action => this.press(action, input));
+        return bound.length > 0;
+    }
+
+    inputUp(input) {
+        const bound = this.getActions(input);
+        bound.forEach(action => this.release(action, input));
+        return bound.length > 0;
+    }
+
+    // Hold an action down on behalf of `source`, which lets go of it with
+    // release(). The action stays down while anything holds it.
+    press(action, source) {
+        const held = this.held.get(action);
+        const wasDown = held.size > 0;
+        held.add(source);
+        if (!wasDown && this.onPress) this.onPress(action);
+    }
+
+    release(action, source) {
+        this.held.get(action).delete(source);
+    }
+
+    isDown(action) {
+        return this.held.get(action).size > 0;
+    }
+
+    // Let go of everything, e.g. when a screen opens over the game
+    releaseAll() {
+        this.held?.forEach(held => held.clear());
+    }
+}
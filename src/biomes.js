@@ -0,0 +1,112 @@
+import { BlockId } from './blocks.js';
+
+// Water fills every column up to this height
+export const SEA_LEVEL = 32;
+
+// Each biome sits at a point in (temperature, humidity) space, both in
+// -1..1. A column belongs to the biome closest to its climate, and the
+// terrain shape is a weighted mix of the nearby biomes so borders slope
+// instead of forming cliffs.
+export const Biome = {
+    OCEAN: {
+        name: 'ocean',
+        temperature: 0.1,
+        humidity: 0.95,
+        baseHeight: 22,
+        amplitude: 4,
+        surfaceBlock: BlockId.GRAVEL,
+        fillerBlock: BlockId.GRAVEL,
+        trees: 0,
+        species: []
+    },
+    PLAINS: {
+        name: 'plains',
+        temperature: 0.35,
+        humidity: -0.1,
+        baseHeight: 35,
+        amplitude: 3,
+        surfaceBlock: BlockId.GRASS,
+        fillerBlock: BlockId.DIRT,
+        trees: 0.002,
+        species: ['oak']
+    },
+    FOREST: {
+        name: 'forest',
+        temperature: 0.3,
+        humidity: 0.5,
+        baseHeight: 37,
+        amplitude: 6,
+        surfaceBlock: BlockId.GRASS,
+        fillerBlock: BlockId.DIRT,
+        trees: 0.05,
+        species: ['oak', 'oak', 'birch']
+    },
+    DESERT: {
+        name: 'desert',
+        temperature: 0.85,
+        humidity: -0.7,
+        baseHeight: 35,
+        amplitude: 4,
+        surfaceBlock: BlockId.SAND,
+        fillerBlock: BlockId.SAND,
+        trees: 0.004,
+        species: ['cactus']
+    },
+    TUNDRA: {
+        name: 'tundra',
+        temperature: -0.8,
+        humidity: 0,
+        baseHeight: 36,
+        amplitude: 5,
+        surfaceBlock: BlockId.SNOW,
+        fillerBlock: BlockId.DIRT,
+        trees: 0.01,
+        species: ['spruce']
+    },
+    MOUNTAINS: {
+        name: 'mountains',
+        temperature: -0.3,
+        humidity: -0.6,
+        baseHeight: 58,
+        amplitude: 36,
+        surfaceBlock: BlockId.GRASS,
+        fillerBlock: BlockId.DIRT,
+        trees: 0.008,
+        species: ['spruce']
+    }
+};
+
+const biomes = Object.values(Biome);
+
+// How far apart in climate space two biomes still mix; larger values give
+// wider borders
+const BLEND_WIDTH = 0.35;
+
+// Weight of every biome for a climate, summing to 1
+export function getBiomeWeights(temperature, humidity) {
+    let total = 0;
+    const weights = biomes.map(biome => {
+        const dt = temperature - biome.temperature;
+        const dh = humidity - biome.humidity;
+        const weight = Math.exp(-(dt * dt + dh * dh) / (BLEND_WIDTH * BLEND_WIDTH));
+        total += weight;
+        return weight;
+    });
+    return biomes.map((biome, i) => ({ biome, weight: weights[i] / total }));
+}
+
+// The single biome a climate belongs to, used for blocks and trees
+export function getBiome(temperature, humidity) {
+    let closest = biomes[0];
+    let closestDistance = Infinity;
+    for (const biome of biomes) {
+        const dt = temperature - biome.temperature;
+        const dh = humidity - biome.humidity;
+        const distance = dt * dt + dh * dh;
+        if (distance < closestDistance) {
+            closest = biome;
+            closestDistance = distance;
+        }
+    }
+    return closest;
+}
@@ -0,0 +1,99 @@
+// Every block in the game. blocks.js builds the block registry from this
+// table; nothing else should need editing to add a block.
+//
+// - id: number stored in the chunk arrays. The values follow Minecraft Beta so
+//   that real Beta block data lines up with ours.
+// - name: unique lowercase name; BlockId gets it in upper case as a key
+// - textures: one texture for every face, or { top, bottom, side }
+// - solid: collides with the player (default true)
+// - transparent: faces of neighbouring blocks show through (default false)
+// - lightOpacity: light levels taken away on top of the usual one per block;
+//   15 stops light (default 0 when transparent, 15 otherwise)
+// - lightEmission: light given off, 0-15 (default 0)
+// - hardness: how hard the block is to break as in Beta, -1 if it can't be
+//   broken (default 1)
+// - drops: name of the block or item (see item-definitions.js) the player
+//   gets for breaking it, null for nothing (default the block itself)
+// - tool: kind of tool that breaks it faster: 'pickaxe', 'shovel' or 'axe'
+//   (default none)
+// - toolTier: lowest tool tier (see item-definitions.js) that gets the drops;
+//   without it breaking gives nothing (default none, anything works)
+// - sound: sound group used for footsteps and breaking (default 'stone')
+export const blockDefinitions = [
+    {
+        id: 0, name: 'air', textures: null,
+        solid: false, transparent: true, hardness: 0, drops: null
+    },
+    {
+        id: 1, name: 'stone', textures: 'stone',
+        hardness: 1.5, drops: 'cobblestone', tool: 'pickaxe', toolTier: 'wood'
+    },
+    {
+        id: 2, name: 'grass', textures: { top: 'grass_top', bottom: 'dirt', side: 'grass_side' },
+        hardness: 0.6, drops: 'dirt', tool: 'shovel', sound: 'grass'
+    },
+    { id: 3, name: 'dirt', textures: 'dirt', hardness: 0.5, tool: 'shovel', sound: 'gravel' },
+    { id: 4, name: 'cobblestone', textures: 'cobblestone', hardness: 2, tool: 'pickaxe', toolTier: 'wood' },
+    { id: 5, name: 'planks', textures: 'planks', hardness: 2, tool: 'axe', sound: 'wood' },
+    { id: 7, name: 'bedrock', textures: 'bedrock', hardness: -1 },
+    {
+        id: 8, name: 'flowing_water', textures: 'water',
+        solid: false, transparent: true, lightOpacity: 3, hardness: 100, drops: null
+    },
+    {
+        id: 9, name: 'water', textures: 'water',
+        solid: false, transparent: true, lightOpacity: 3, hardness: 100, drops: null
+    },
+    {
+        id: 10, name: 'flowing_lava', textures: 'lava',
+        solid: false, lightEmission: 15, hardness: 100, drops: null
+    },
+    {
+        id: 11, name: 'lava', textures: 'lava',
+        solid: false, lightEmission: 15, hardness: 100, drops: null
+    },
+    { id: 12, name: 'sand', textures: 'sand', hardness: 0.5, tool: 'shovel', sound: 'sand' },
+    { id: 13, name: 'gravel', textures: 'gravel', hardness: 0.6, tool: 'shovel', sound: 'gravel' },
+    { id: 14, name: 'gold_ore', textures: 'gold_ore', hardness: 3, tool: 'pickaxe', toolTier: 'iron' },
+    {
+        // Drops ingots straight away while there is no smelting to make them
+        id: 15, name: 'iron_ore', textures: 'iron_ore',
+        hardness: 3, drops: 'iron_ingot', tool: 'pickaxe', toolTier: 'stone'
+    },
+    {
+        id: 16, name: 'coal_ore', textures: 'coal_ore',
+        hardness: 3, drops: 'coal', tool: 'pickaxe', toolTier: 'wood'
+    },
+    {
+        id: 17, name: 'wood', textures: { top: 'log_top', bottom: 'log_top', side: 'log_side' },
+        hardness: 2, tool: 'axe', sound: 'wood'
+    },
+    {
+        id: 18, name: 'leaves', textures: 'leaves',
+        transparent: true, lightOpacity: 1, hardness: 0.2, drops: null, sound: 'grass'
+    },
+    { id: 49, name: 'obsidian', textures: 'obsidian', hardness: 10, tool: 'pickaxe', toolTier: 'diamond' },
+    {
+        id: 50, name: 'torch', textures: 'torch',
+        solid: false, transparent: true, lightEmission: 14, hardness: 0, sound: 'wood'
+    },
+    {
+        id: 56, name: 'diamond_ore', textures: 'diamond_ore',
+        hardness: 3, drops: 'diamond', tool: 'pickaxe', toolTier: 'iron'
+    },
+    {
+        id: 58, name: 'crafting_table',
+        textures: { top: 'crafting_table_top', bottom: 'planks', side: 'crafting_table_side' },
+        hardness: 2.5, tool: 'axe', sound: 'wood'
+    },
+    {
+        id: 79, name: 'ice', textures: 'ice',
+        lightOpacity: 3, hardness: 0.5, drops: null, tool: 'pickaxe', sound: 'glass'
+    },
+    { id: 80, name: 'snow', textures: 'snow', hardness: 0.2, tool: 'shovel', sound: 'cloth' },
+    {
+        id: 81, name: 'cactus', textures: { top: 'cactus_top', bottom: 'cactus_bottom', side: 'cactus_side' },
+        hardness: 0.4, sound: 'cloth'
+    },
+    { id: 89, name: 'glowstone', textures: 'glowstone', lightEmission: 15, hardness: 0.3, sound: 'glass' }
+];
@@ -0,0 +1,132 @@
+import { BlockId, getBlockIds, getBlockName } from './blocks.js';
+import { HOTBAR_SIZE, getMaxStack } from './inventory.js';
+import { SLOT_SIZE, createSlot, drawSlot } from './inventory-screen.js';
+
+// Creative's screen in place of the inventory, opened with E: every
+// registered block, filtered by a search box. Clicking a block fills the
+// selected hotbar slot with a full stack of it; clicking a hotbar slot
+// below selects it and right-clicking one empties it.
+export class BlockPalette {
+    constructor(player, icons, { onOpen = null, onClose = null } = {}) {
+        this.player = player;
+        this.inventory = player.inventory;
+        this.icons = icons;
+        this.onOpen = onOpen;
+        this.onClose = onClose;
+        this.isOpen = false;
+
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '50%';
+        this.element.style.left = '50%';
+        this.element.style.transform = 'translate(-50%, -50%)';
+        this.element.style.display = 'none';
+        this.element.style.flexDirection = 'column';
+        this.element.style.gap = '12px';
+        this.element.style.padding = '16px';
+        this.element.style.background = 'rgba(0, 0, 0, 0.8)';
+        this.element.style.border = '2px solid #666';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'monospace';
+        this.element.style.zIndex = '150';
+        this.element.style.userSelect = 'none';
+
+        const title = document.createElement('div');
+        title.textContent = 'Blocks';
+
+        this.search = document.createElement('input');
+        this.search.placeholder = 'Search';
+        this.search.style.fontFamily = 'monospace';
+        this.search.style.fontSize = '14px';
+        this.search.style.padding = '4px';
+        this.search.addEventListener('input', () => this.filter());
+        // Typing in the box shouldn't reach the game's keys; Escape still
+        // closes the palette
+        this.search.addEventListener('keydown', (e) => {
+            if (e.code !== 'Escape') e.stopPropagation();
+        });
+
+        // Every block but air, scrolling when there are more than fit
+        const grid = this.createGrid();
+        grid.style.maxHeight = `${(SLOT_SIZE + 8) * 5}px`;
+        grid.style.overflowY = 'auto';
+        this.entries = getBlockIds().filter(id => id !== BlockId.AIR).map(id => {
+            const slot = createSlot();
+            slot.style.cursor = 'pointer';
+            slot.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.inventory.set(this.player.selectedSlot, id, getMaxStack(id));
+            });
+            grid.appendChild(slot);
+            return { id, name: getBlockName(id).replace(/_/g, ' '), slot };
+        });
+
+        const hotbarRow = this.createGrid();
+        this.hotbarSlots = [];
+        for (let i = 0; i < HOTBAR_SIZE; i++) {
+            const slot = createSlot();
+            slot.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                if (e.button === 2) this.inventory.set(i, null, 0);
+                else this.player.setSelectedSlot(i);
+            });
+            slot.addEventListener('contextmenu', (e) => e.preventDefault());
+            hotbarRow.appendChild(slot);
+            this.hotbarSlots.push(slot);
+        }
+
+        this.element.append(title, this.search, grid, hotbarRow);
+        document.body.appendChild(this.element);
+    }
+
+    createGrid() {
+        const grid = document.createElement('div');
+        grid.style.display = 'grid';
+        grid.style.gridTemplateColumns = `repeat(${HOTBAR_SIZE}, ${SLOT_SIZE}px)`;
+        grid.style.gap = '4px';
+        return grid;
+    }
+
+    // Show only the blocks whose name has the search text in it
+    filter() {
+        const text = this.search.value.trim().toLowerCase().replace(/_/g, ' ');
+        for (const { name, slot } of this.entries) {
+            slot.style.display = name.includes(text) ? 'flex' : 'none';
+        }
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    open() {
+        this.isOpen = true;
+        this.search.value = '';
+        this.filter();
+        this.element.style.display = 'flex';
+        this.update();
+        this.search.focus();
+        if (this.onOpen) this.onOpen();
+    }
+
+    // `relock` is false when closing with Escape, as for the inventory screen
+    close(relock = true) {
+        this.isOpen = false;
+        this.search.blur();
+        this.element.style.display = 'none';
+        if (this.onClose) this.onClose(relock);
+    }
+
+    // Redraw the icons (they follow the resource pack) and the hotbar
+    update() {
+        if (!this.isOpen) return;
+        for (const { id, slot } of this.entries) {
+            drawSlot(slot, { id, count: 1 }, this.icons);
+        }
+        this.hotbarSlots.forEach((element, index) => {
+            drawSlot(element, this.inventory.slots[index], this.icons);
+            element.classList.toggle('selected', index === this.player.selectedSlot);
+        });
+    }
+}
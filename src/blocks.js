@@ -0,0 +1,164 @@
+import { blockDefinitions } from './block-definitions.js';
+
+// The block registry: every block's properties, looked up by numeric ID. See
+// block-definitions.js for the table it is built from and the defaults.
+const blocksById = new Map();
+const blocksByName = new Map();
+
+// Upper case name -> ID, e.g. BlockId.STONE
+export const BlockId = {};
+
+for (const definition of blockDefinitions) {
+    const transparent = definition.transparent ?? false;
+    const block = {
+        solid: true,
+        lightOpacity: transparent ? 0 : 15,
+        lightEmission: 0,
+        hardness: 1,
+        drops: definition.name,
+        tool: null,
+        toolTier: null,
+        sound: 'stone',
+        ...definition,
+        transparent
+    };
+    if (blocksById.has(block.id) || blocksByName.has(block.name)) {
+        throw new Error(`Block ${block.id} (${block.name}) is defined twice`);
+    }
+    blocksById.set(block.id, block);
+    blocksByName.set(block.name, block);
+    BlockId[block.name.toUpperCase()] = block.id;
+}
+
+// Unknown IDs behave like an unbreakable solid block
+const unknownBlock = blocksById.get(BlockId.BEDROCK);
+
+// Properties of a block ID, as listed in block-definitions.js
+export function getBlockDefinition(id) {
+    return blocksById.get(id) ?? unknownBlock;
+}
+
+export function getBlockName(id) {
+    return blocksById.get(id)?.name ?? null;
+}
+
+export function isKnownBlock(id) {
+    return blocksById.has(id);
+}
+
+export function getBlockId(name) {
+    return blocksByName.get(name)?.id ?? BlockId.AIR;
+}
+
+// Every registered block ID, lowest first
+export function getBlockIds() {
+    return [...blocksById.keys()].sort((a, b) => a - b);
+}
+
+// Meshing and lighting ask these for every block, so they read from flat
+// tables instead of the definitions
+const solidTable = new Uint8Array(256).fill(1);
+const transparentTable = new Uint8Array(256);
+const lightOpacityTable = new Uint8Array(256).fill(15);
+const lightEmissionTable = new Uint8Array(256);
+for (const block of blocksById.values()) {
+    solidTable[block.id] = block.solid ? 1 : 0;
+    transparentTable[block.id] = block.transparent ? 1 : 0;
+    lightOpacityTable[block.id] = block.lightOpacity;
+    lightEmissionTable[block.id] = block.lightEmission;
+}
+
+// Blocks that let neighbouring faces show through
+export function isTransparent(id) {
+    return transparentTable[id] === 1;
+}
+
+// Blocks the player collides with, as opposed to walking or swimming through
+export function isSolidBlock(id) {
+    return solidTable[id] === 1;
+}
+
+// Light given off by a block (0-15), as in Beta
+export function getLightEmission(id) {
+    return lightEmissionTable[id];
+}
+
+// How much light a block takes away on top of the usual one level per block;
+// 15 stops it completely
+export function getLightOpacity(id) {
+    return lightOpacityTable[id];
+}
+
+// Blocks the player can mine; air, fluids and bedrock can't be
+export function isBreakable(id) {
+    return id !== BlockId.AIR && !isFluid(id) && getBlockDefinition(id).hardness >= 0;
+}
+
+// Texture on one face of a block: 'top', 'bottom' or 'side'
+export function getFaceTexture(id, face) {
+    const textures = getBlockDefinition(id).textures;
+    return typeof textures === 'string' || textures === null ? textures : textures[face];
+}
+
+// Every texture name used by some block, in a fixed order. A texture's place
+// in the list is its tile in the texture atlas.
+const textureNames = new Set();
+for (const { textures } of blocksById.values()) {
+    if (typeof textures === 'string') textureNames.add(textures);
+    else if (textures) Object.values(textures).forEach(name => textureNames.add(name));
+}
+const textureIndices = new Map([...textureNames].map((name, index) => [name, index]));
+
+export function getTextureNames() {
+    return [...textureNames];
+}
+
+// Atlas tile of a texture, -1 if no block uses it
+export function getTextureIndex(name) {
+    return textureIndices.get(name) ?? -1;
+}
+
+// Torches keep the side they hang on in their data, numbered like Beta:
+// 1-4 against a wall to the west, east, north or south, 5 standing on the
+// floor. Returns the offset to the supporting block.
+const torchSupports = {
+    1: [-1, 0, 0],
+    2: [1, 0, 0],
+    3: [0, 0, -1],
+    4: [0, 0, 1],
+    5: [0, -1, 0]
+};
+
+export function getTorchSupport(data) {
+    return torchSupports[data] ?? torchSupports[5];
+}
+
+// Torch data for a torch placed against the face with normal `face`, or null
+// for a ceiling, where torches can't hang
+export function getTorchData(face) {
+    const entry = Object.entries(torchSupports).find(([, [x, y, z]]) =>
+        x === -face.x && y === -face.y && z === -face.z
+    );
+    return entry ? Number(entry[0]) : null;
+}
+
+// Fluids come as a source ("still") ID and a flowing ID, like in Beta. Both
+// keep their flow level in the chunk data: 0 is a source, 1-7 is the distance
+// flowed from it and 8 or more means falling.
+export const Fluid = {
+    WATER: { name: 'water', still: BlockId.WATER, flowing: BlockId.FLOWING_WATER, dropoff: 1, tickDelay: 5 },
+    LAVA: { name: 'lava', still: BlockId.LAVA, flowing: BlockId.FLOWING_LAVA, dropoff: 2, tickDelay: 30 }
+};
+
+export const FALLING_LEVEL = 8;
+
+// The Fluid a block belongs to, or null
+export function getFluid(id) {
+    if (id === BlockId.WATER || id === BlockId.FLOWING_WATER) return Fluid.WATER;
+    if (id === BlockId.LAVA || id === BlockId.FLOWING_LAVA) return Fluid.LAVA;
+    return null;
+}
+
+export function isFluid(id) {
+    return getFluid(id) !== null;
+}
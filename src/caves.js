@@ -0,0 +1,72 @@
+import { createNoise2D, createNoise3D } from 'simplex-noise';
+import { hashCoords, mulberry32 } from './random.js';
+
+// Salts for the noise fields, kept apart from the ones in terrain.js
+const TUNNEL_SALT_A = 10;
+const TUNNEL_SALT_B = 11;
+const CAVERN_SALT = 12;
+const RAVINE_SALT = 13;
+const RAVINE_MASK_SALT = 14;
+
+// Caves never cut into the bedrock layers
+export const CAVE_FLOOR = 5;
+
+// Open cave space at or below this height is flooded with lava
+export const LAVA_LEVEL = 10;
+
+// Ravines cut down to about this height
+const RAVINE_FLOOR = 14;
+
+// Caves are a pure function of the seed and the block position, so every
+// chunk can decide for itself which of its blocks are hollow, and the tree
+// pass can ask about columns in neighbouring chunks.
+export class CaveGenerator {
+    constructor(seed) {
+        const noise3D = salt => createNoise3D(mulberry32(hashCoords(seed, 0, 0, 0, salt)));
+        const noise2D = salt => createNoise2D(mulberry32(hashCoords(seed, 0, 0, 0, salt)));
+
+        this.tunnelNoiseA = noise3D(TUNNEL_SALT_A);
+        this.tunnelNoiseB = noise3D(TUNNEL_SALT_B);
+        this.cavernNoise = noise3D(CAVERN_SALT);
+        this.ravineNoise = noise2D(RAVINE_SALT);
+        this.ravineMaskNoise = noise2D(RAVINE_MASK_SALT);
+    }
+
+    // Lowest height a ravine reaches in the column at (x, z), or Infinity
+    // when no ravine passes through it
+    getRavineBottom(x, z, height) {
+        // Ravines only appear where the mask is high, and get wider the
+        // higher it is
+        const mask = this.ravineMaskNoise(x / 320, z / 320);
+        if (mask < 0.5) return Infinity;
+
+        // They follow the zero line of the ravine noise
+        const width = (mask - 0.5) * 0.08;
+        const distance = Math.abs(this.ravineNoise(x / 160, z / 160));
+        if (distance >= width) return Infinity;
+
+        // Deepest in the middle, with steep walls
+        const depth = Math.sqrt(1 - distance / width);
+        return Math.round(height - (height - RAVINE_FLOOR) * depth);
+    }
+
+    // Whether the block at (x, y, z) is carved out. `height` is the terrain
+    // height of the column and `ravineBottom` comes from getRavineBottom.
+    isCave(x, y, z, height, ravineBottom) {
+        if (y < CAVE_FLOOR || y > height) return false;
+        if (y >= ravineBottom) return true;
+
+        // Tunnels run where two noise fields are both close to zero, which
+        // gives long winding worms instead of blobs. The vertical scale is
+        // smaller so they stay mostly level.
+        const a = this.tunnelNoiseA(x / 48, y / 24, z / 48);
+        const b = this.tunnelNoiseB(x / 48, y / 24, z / 48);
+        if (a * a + b * b < 0.01) return true;
+
+        // Rare large caverns deep down
+        if (y < 40) {
+            return this.cavernNoise(x / 64, y / 32, z / 64) > 0.78 - (40 - y) * 0.002;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,54 @@
+import { Chunk } from './chunk.js';
+import { computeChunkLight } from './lighting.js';
+import { buildChunkMeshFromVolume } from './mesher.js';
+import { TerrainGenerator } from './terrain.js';
+
+// Chunk work that can run off the main thread. This module has no DOM or THREE
+// dependency so it runs the same in a worker, on the main thread and in Node.
+
+// Generators are cached per seed since building the noise tables isn't free
+const generators = new Map();
+
+function getGenerator(seed) {
+    if (!generators.has(seed)) {
+        generators.set(seed, new TerrainGenerator(seed));
+    }
+    return generators.get(seed);
+}
+
+// Run one job message. Returns the reply message and the buffers that can be
+// transferred back instead of copied.
+//
+// { type: 'generate', cx, cz, seed }    -> { type, cx, cz, blocks, data, light }
+// { type: 'mesh', cx, cz, volume, levels, light }
+//     -> { type, cx, cz, positions, normals, uvs, colors, tiles, indices, groups, fluid }
+//
+// `fluid` holds the same arrays for the fluid geometry.
+export function runChunkJob(message) {
+    const { type, cx, cz } = message;
+
+    switch (type) {
+        case 'generate': {
+            const chunk = new Chunk(cx, cz);
+            getGenerator(message.seed).generateChunk(chunk);
+            const light = computeChunkLight(chunk.blocks);
+            return {
+                result: { type, cx, cz, blocks: chunk.blocks, data: chunk.data, light },
+                transfer: [chunk.blocks.buffer, chunk.data.buffer, light.buffer]
+            };
+        }
+        case 'mesh': {
+            const mesh = buildChunkMeshFromVolume(message.volume, message.levels, message.light);
+            const buffers = geometry => [
+                geometry.positions.buffer, geometry.normals.buffer, geometry.uvs.buffer,
+                geometry.colors.buffer, geometry.tiles.buffer, geometry.indices.buffer
+            ];
+            return {
+                result: { type, cx, cz, ...mesh },
+                transfer: [...buffers(mesh), ...buffers(mesh.fluid)]
+            };
+        }
+        default:
+            throw new Error(`Unknown chunk job type: ${type}`);
+    }
+}
@@ -0,0 +1,11 @@
+import { runChunkJob } from './chunk-jobs.js';
+
+// Worker entry point: runs chunk jobs posted by ChunkWorkerPool
+self.onmessage = (e) => {
+    try {
+        const { result, transfer } = runChunkJob(e.data);
+        self.postMessage(result, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
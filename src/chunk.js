@@ -0,0 +1,84 @@
+import { BlockId } from './blocks.js';
+
+export const CHUNK_SIZE = 16;
+export const CHUNK_HEIGHT = 128;
+export const CHUNK_VOLUME = CHUNK_SIZE * CHUNK_HEIGHT * CHUNK_SIZE;
+
+// Convert a world block coordinate to the coordinate of the chunk containing it
+export function worldToChunk(coordinate) {
+    return Math.floor(coordinate / CHUNK_SIZE);
+}
+
+// Convert a world block coordinate to its position inside the chunk (0-15)
+export function worldToLocal(coordinate) {
+    return ((coordinate % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+}
+
+export function chunkKey(cx, cz) {
+    return `${cx},${cz}`;
+}
+
+export class Chunk {
+    constructor(cx, cz, blocks = new Uint8Array(CHUNK_VOLUME), data = new Uint8Array(CHUNK_VOLUME),
+        light = new Uint8Array(CHUNK_VOLUME)) {
+        this.cx = cx;
+        this.cz = cz;
+
+        // One byte per block, laid out Y-first like Beta's chunk format
+        this.blocks = blocks;
+
+        // Per-block metadata in the same layout, e.g. fluid levels. Beta
+        // packs this into nibbles; a byte each keeps access simple.
+        this.data = data;
+
+        // Sky light (high nibble) and block light (low nibble), see
+        // lighting.js. Worked out again on load rather than saved.
+        this.light = light;
+
+        // Set when the player changes a block; modified chunks get saved
+        this.modified = false;
+    }
+
+    static index(x, y, z) {
+        return y + (z << 7) + (x << 11);
+    }
+
+    static inBounds(x, y, z) {
+        return x >= 0 && x < CHUNK_SIZE &&
+            y >= 0 && y < CHUNK_HEIGHT &&
+            z >= 0 && z < CHUNK_SIZE;
+    }
+
+    // Local coordinates (0-15, 0-127, 0-15)
+    getBlock(x, y, z) {
+        if (!Chunk.inBounds(x, y, z)) return BlockId.AIR;
+        return this.blocks[Chunk.index(x, y, z)];
+    }
+
+    setBlock(x, y, z, id, data = 0) {
+        if (!Chunk.inBounds(x, y, z)) return false;
+        const index = Chunk.index(x, y, z);
+        this.blocks[index] = id;
+        this.data[index] = data;
+        return true;
+    }
+
+    getData(x, y, z) {
+        if (!Chunk.inBounds(x, y, z)) return 0;
+        return this.data[Chunk.index(x, y, z)];
+    }
+
+    getLight(x, y, z) {
+        if (!Chunk.inBounds(x, y, z)) return 0;
+        return this.light[Chunk.index(x, y, z)];
+    }
+
+    // World coordinates of this chunk's origin block
+    get worldX() {
+        return this.cx * CHUNK_SIZE;
+    }
+
+    get worldZ() {
+        return this.cz * CHUNK_SIZE;
+    }
+}
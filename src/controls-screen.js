@@ -0,0 +1,168 @@
+import {
+    actions, bindingSlots, defaultBindings, describeInput, getDevice, getSlotDevice, saveBindings
+} from './actions.js';
+import { MAX_LOOK_SENSITIVITY, MIN_LOOK_SENSITIVITY, saveTouchSettings } from './touch-controls.js';
+
+// Settings screen for rebinding actions, opened from the pause screen. Each
+// action has two keyboard or mouse bindings and a gamepad button binding:
+// click one, then press the new key, mouse button or gamepad button (Escape
+// cancels). Right-clicking a binding clears it. Below the bindings is how
+// fast dragging on a touch screen turns the camera. Changes are saved to
+// localStorage straight away.
+export class ControlsScreen {
+    constructor(actionMap, input, { onClose = null } = {}) {
+        this.actionMap = actionMap;
+        this.input = input;
+        this.onClose = onClose;
+        this.isOpen = false;
+
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '50%';
+        this.element.style.left = '50%';
+        this.element.style.transform = 'translate(-50%, -50%)';
+        this.element.style.display = 'none';
+        this.element.style.flexDirection = 'column';
+        this.element.style.gap = '12px';
+        this.element.style.padding = '16px';
+        this.element.style.maxHeight = '90%';
+        this.element.style.background = 'rgba(0, 0, 0, 0.9)';
+        this.element.style.border = '2px solid #666';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'monospace';
+        this.element.style.zIndex = '200';
+        this.element.style.userSelect = 'none';
+
+        const title = document.createElement('div');
+        title.textContent = 'Controls';
+        title.style.fontSize = '20px';
+
+        const hint = document.createElement('div');
+        hint.textContent = 'Click a binding and press the new key or button. Right-click to clear.';
+        hint.style.fontSize = '12px';
+        hint.style.color = '#ccc';
+
+        this.table = document.createElement('div');
+        this.table.style.display = 'grid';
+        this.table.style.gridTemplateColumns = 'auto 160px 160px 160px';
+        this.table.style.gap = '4px 12px';
+        this.table.style.alignItems = 'center';
+        this.table.style.overflowY = 'auto';
+
+        const sensitivity = document.createElement('label');
+        sensitivity.style.display = 'flex';
+        sensitivity.style.gap = '12px';
+        sensitivity.style.alignItems = 'center';
+        const settings = this.input.touch.settings;
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = MIN_LOOK_SENSITIVITY;
+        slider.max = MAX_LOOK_SENSITIVITY;
+        slider.step = 0.25;
+        slider.value = settings.lookSensitivity;
+        const value = document.createElement('span');
+        value.textContent = `${settings.lookSensitivity}x`;
+        slider.addEventListener('input', () => {
+            settings.lookSensitivity = Number(slider.value);
+            value.textContent = `${settings.lookSensitivity}x`;
+            saveTouchSettings(settings);
+        });
+        sensitivity.append('Touch look sensitivity', slider, value);
+
+        const buttons = document.createElement('div');
+        buttons.style.display = 'flex';
+        buttons.style.gap = '8px';
+        buttons.style.justifyContent = 'flex-end';
+        const resetButton = this.createButton('Reset to Defaults');
+        resetButton.addEventListener('click', () => {
+            this.actionMap.setBindings(structuredClone(defaultBindings));
+            saveBindings(this.actionMap.bindings);
+            this.render();
+        });
+        const doneButton = this.createButton('Done');
+        doneButton.addEventListener('click', () => this.close());
+        buttons.append(resetButton, doneButton);
+
+        this.element.append(title, hint, this.table, sensitivity, buttons);
+        document.body.appendChild(this.element);
+    }
+
+    createButton(label) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.padding = '4px 8px';
+        button.style.fontFamily = 'monospace';
+        button.style.fontSize = '14px';
+        button.style.cursor = 'pointer';
+        return button;
+    }
+
+    // One row per action: its name, keyboard bindings and gamepad binding
+    render() {
+        this.table.innerHTML = '';
+        for (const heading of ['Action', 'Keyboard / Mouse', 'Alternate', 'Gamepad']) {
+            const cell = document.createElement('div');
+            cell.textContent = heading;
+            cell.style.color = '#aaa';
+            this.table.appendChild(cell);
+        }
+
+        for (const { name, label } of actions) {
+            const cell = document.createElement('div');
+            cell.textContent = label;
+            this.table.appendChild(cell);
+
+            for (const slot of bindingSlots) {
+                const button = this.createButton(describeInput(this.actionMap.bindings[name][slot]));
+                button.addEventListener('click', () => this.listen(name, slot, button));
+                button.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.input.captureNextInput(null);
+                    this.actionMap.bindings[name][slot] = null;
+                    this.actionMap.setBindings(this.actionMap.bindings);
+                    saveBindings(this.actionMap.bindings);
+                    this.render();
+                });
+                this.table.appendChild(button);
+            }
+        }
+    }
+
+    // Wait for the next input of the right kind for the slot and bind it
+    listen(action, slot, button) {
+        const device = getSlotDevice(slot);
+        button.textContent = device === 'gamepad' ? 'Press a button…' : 'Press a key…';
+        const capture = (input) => {
+            if (input === 'Escape') {
+                this.render();
+            } else if (getDevice(input) !== device) {
+                this.input.captureNextInput(capture);
+            } else {
+                this.actionMap.bind(action, input, slot);
+                saveBindings(this.actionMap.bindings);
+                this.render();
+            }
+        };
+        this.input.captureNextInput(capture);
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    // While open, the game's actions don't fire (see InputHandler.inputDown)
+    open() {
+        this.isOpen = true;
+        this.input.releaseKeys();
+        this.render();
+        this.element.style.display = 'flex';
+    }
+
+    close() {
+        this.isOpen = false;
+        this.input.captureNextInput(null);
+        this.element.style.display = 'none';
+        if (this.onClose) this.onClose();
+    }
+}
@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+import { mulberry32 } from './random.js';
+
+// Cracks drawn over the block being broken, in ten stages like Beta
+export const CRACK_STAGES = 10;
+
+const TEXTURE_SIZE = 16;
+const CRACK_COUNT = 7;
+const CRACK_LENGTH = 14;
+
+// Pixels of each crack in the order they appear. The cracks are random walks
+// from near the middle, the same every time, so each stage adds to the last.
+function createCrackPaths() {
+    const random = mulberry32(2011);
+    const paths = [];
+    for (let i = 0; i < CRACK_COUNT; i++) {
+        let x = 5 + Math.floor(random() * 6);
+        let y = 5 + Math.floor(random() * 6);
+        const angle = random() * Math.PI * 2;
+        const path = [];
+        for (let step = 0; step < CRACK_LENGTH; step++) {
+            path.push([x, y]);
+            // Mostly keep heading outwards, wandering a little
+            const wander = angle + (random() - 0.5) * 1.5;
+            x = Math.min(TEXTURE_SIZE - 1, Math.max(0, Math.round(x + Math.cos(wander))));
+            y = Math.min(TEXTURE_SIZE - 1, Math.max(0, Math.round(y + Math.sin(wander))));
+        }
+        paths.push(path);
+    }
+    return paths;
+}
+
+function createCrackTextures() {
+    const paths = createCrackPaths();
+    const textures = [];
+    for (let stage = 0; stage < CRACK_STAGES; stage++) {
+        const canvas = document.createElement('canvas');
+        canvas.width = TEXTURE_SIZE;
+        canvas.height = TEXTURE_SIZE;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+
+        const length = Math.ceil((stage + 1) / CRACK_STAGES * CRACK_LENGTH);
+        for (const path of paths) {
+            for (const [x, y] of path.slice(0, length)) {
+                ctx.fillRect(x, y, 1, 1);
+            }
+        }
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+        textures.push(texture);
+    }
+    return textures;
+}
+
+// A box just around the targeted block, showing how far breaking has got
+export class CrackOverlay {
+    constructor(scene) {
+        this.scene = scene;
+        this.textures = createCrackTextures();
+        this.mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(1.002, 1.002, 1.002),
+            new THREE.MeshBasicMaterial({
+                map: this.textures[0],
+                transparent: true,
+                depthWrite: false,
+                polygonOffset: true,
+                polygonOffsetFactor: -1,
+                polygonOffsetUnits: -1
+            })
+        );
+        this.mesh.visible = false;
+        scene.add(this.mesh);
+    }
+
+    // Show stage 0-9 over the block at `position`
+    show(position, stage) {
+        this.mesh.position.copy(position);
+        this.mesh.material.map = this.textures[Math.min(CRACK_STAGES - 1, Math.max(0, stage))];
+        this.mesh.visible = true;
+    }
+
+    hide() {
+        this.mesh.visible = false;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.textures.forEach(texture => texture.dispose());
+    }
+}
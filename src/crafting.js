@@ -0,0 +1,151 @@
+import { getItemId } from './items.js';
+
+// Crafting recipes and the grids they are made in. No DOM here, so recipes
+// can be matched (and checked) in Node; inventory-screen.js draws the grids.
+//
+// Recipes come from a table like recipes.json: { recipes: [...] } where
+// each recipe is one of
+//
+// - { type: 'shaped', pattern: ['##', '#|'], key: { '#': 'planks', '|': 'stick' }, result }
+//   Each pattern row is a string, one character per cell; a space is an
+//   empty cell. The pattern may sit anywhere in the grid and may be
+//   mirrored left to right, as in Beta.
+// - { type: 'shapeless', ingredients: ['wood'], result }
+//   The ingredients in any cells, nothing else.
+//
+// and `result` is { item, count } with the count defaulting to 1. Items are
+// named as in block-definitions.js and item-definitions.js.
+
+function resolveItem(name) {
+    const id = getItemId(name);
+    if (id === null) throw new Error(`Unknown item "${name}" in recipe`);
+    return id;
+}
+
+function parseRecipe(recipe) {
+    const result = { id: resolveItem(recipe.result.item), count: recipe.result.count ?? 1 };
+
+    if (recipe.type === 'shapeless') {
+        return { type: 'shapeless', ingredients: recipe.ingredients.map(resolveItem).sort((a, b) => a - b), result };
+    }
+    if (recipe.type === 'shaped') {
+        const height = recipe.pattern.length;
+        const width = Math.max(...recipe.pattern.map(row => row.length));
+        const cells = [];
+        for (const row of recipe.pattern) {
+            for (let x = 0; x < width; x++) {
+                const symbol = row[x] ?? ' ';
+                if (symbol === ' ') {
+                    cells.push(null);
+                } else if (symbol in recipe.key) {
+                    cells.push(resolveItem(recipe.key[symbol]));
+                } else {
+                    throw new Error(`Recipe pattern symbol "${symbol}" is not in its key`);
+                }
+            }
+        }
+        return { type: 'shaped', width, height, cells, result };
+    }
+    throw new Error(`Unknown recipe type "${recipe.type}"`);
+}
+
+// The filled part of a grid: the smallest box around every non-empty cell,
+// as { width, height, cells } with cells row by row
+export function trimGrid(ids, gridWidth) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -1;
+    let maxY = -1;
+    ids.forEach((id, index) => {
+        if (id === null) return;
+        const x = index % gridWidth;
+        const y = Math.floor(index / gridWidth);
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    });
+    if (maxX < 0) return { width: 0, height: 0, cells: [] };
+
+    const cells = [];
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            cells.push(ids[y * gridWidth + x]);
+        }
+    }
+    return { width: maxX - minX + 1, height: maxY - minY + 1, cells };
+}
+
+function matchesShaped(recipe, trimmed) {
+    if (recipe.width !== trimmed.width || recipe.height !== trimmed.height) return false;
+    const { width, cells } = recipe;
+    const same = cells.every((id, index) => id === trimmed.cells[index]);
+    const mirrored = cells.every((id, index) => {
+        const x = index % width;
+        const y = Math.floor(index / width);
+        return id === trimmed.cells[y * width + (width - 1 - x)];
+    });
+    return same || mirrored;
+}
+
+function matchesShapeless(recipe, ids) {
+    const present = ids.filter(id => id !== null).sort((a, b) => a - b);
+    return present.length === recipe.ingredients.length &&
+        present.every((id, index) => id === recipe.ingredients[index]);
+}
+
+export class RecipeBook {
+    constructor(table) {
+        this.recipes = table.recipes.map(parseRecipe);
+    }
+
+    // The recipe made by a grid of item IDs (null for empty cells), given
+    // row by row, `gridWidth` cells wide. Returns the parsed recipe with its
+    // `result` { id, count }, or null.
+    match(ids, gridWidth) {
+        const trimmed = trimGrid(ids, gridWidth);
+        if (trimmed.width === 0) return null;
+        return this.recipes.find(recipe => (
+            recipe.type === 'shaped' ? matchesShaped(recipe, trimmed) : matchesShapeless(recipe, ids)
+        )) ?? null;
+    }
+}
+
+// A square crafting grid: 2x2 in the inventory, 3x3 at a crafting table.
+// Cells are { id, count } slots like the inventory's.
+export class CraftingGrid {
+    constructor(size) {
+        this.size = size;
+        this.slots = Array.from({ length: size * size }, () => ({ id: null, count: 0 }));
+    }
+
+    // What the grid makes with these recipes right now, { id, count }, or null
+    getResult(recipes) {
+        const recipe = recipes.match(this.slots.map(slot => slot.id), this.size);
+        return recipe ? recipe.result : null;
+    }
+
+    // Use up one item from every filled cell and return what was made, or
+    // null when the grid makes nothing
+    craft(recipes) {
+        const result = this.getResult(recipes);
+        if (!result) return null;
+        for (const slot of this.slots) {
+            if (slot.id === null) continue;
+            slot.count--;
+            if (slot.count === 0) slot.id = null;
+        }
+        return { ...result };
+    }
+
+    toSaveData() {
+        return this.slots.map(slot => ({ ...slot }));
+    }
+
+    load(slots) {
+        this.slots = this.slots.map((slot, index) => {
+            const saved = slots?.[index];
+            return saved && saved.id !== null && saved.count > 0 ? { id: saved.id, count: saved.count } : { id: null, count: 0 };
+        });
+    }
+}
@@ -0,0 +1,198 @@
+import { BlockId, FALLING_LEVEL, Fluid, getFluid, isSolidBlock } from './blocks.js';
+
+const HORIZONTAL = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// How many blocks flowing fluid looks ahead for a way down before it spreads
+// evenly in every direction
+const FLOW_SEARCH_DEPTH = 4;
+
+// Lava at this level or closer to its source turns to cobblestone when it
+// touches water; further out it is too thin and stays lava
+const COBBLESTONE_MAX_LEVEL = 4;
+
+// Beta-style fluid flow driven by scheduled block ticks. A fluid block only
+// updates when something next to it changed, so still oceans cost nothing.
+//
+// The block data holds the level: 0 is a source, 1-7 how far the fluid has
+// flowed from it and FALLING_LEVEL or more a column falling down.
+export class FluidSimulator {
+    constructor(world, scheduler) {
+        this.world = world;
+        this.scheduler = scheduler;
+    }
+
+    // Wake the changed block and any fluid around it
+    onBlockChanged(x, y, z) {
+        this.scheduleIfFluid(x, y, z);
+        this.scheduleIfFluid(x, y + 1, z);
+        this.scheduleIfFluid(x, y - 1, z);
+        for (const [dx, dz] of HORIZONTAL) {
+            this.scheduleIfFluid(x + dx, y, z + dz);
+        }
+    }
+
+    scheduleIfFluid(x, y, z) {
+        const fluid = getFluid(this.world.getBlock(x, y, z));
+        if (fluid) this.scheduler.schedule(x, y, z, fluid.tickDelay);
+    }
+
+    update(x, y, z) {
+        const world = this.world;
+        const fluid = getFluid(world.getBlock(x, y, z));
+        if (!fluid) return;
+
+        let level = world.getData(x, y, z);
+        if (fluid === Fluid.LAVA && this.hardenLava(x, y, z, level)) return;
+
+        // Flowing fluid takes its level from whatever feeds it and dries up
+        // once nothing does
+        if (level !== 0) {
+            const fedLevel = this.getFedLevel(fluid, x, y, z);
+            if (fedLevel < 0) {
+                world.setBlock(x, y, z, BlockId.AIR);
+                return;
+            }
+            if (fedLevel !== level) {
+                level = fedLevel;
+                this.setFluid(fluid, x, y, z, level);
+            }
+        }
+
+        // Fall first; only spread sideways from a source or from fluid that
+        // has landed on something solid
+        if (this.canFlowInto(fluid, x, y - 1, z)) {
+            this.flowInto(fluid, x, y - 1, z, level >= FALLING_LEVEL ? level : level + FALLING_LEVEL);
+        } else if (level === 0 || isSolidBlock(world.getBlock(x, y - 1, z))) {
+            const nextLevel = level >= FALLING_LEVEL ? 1 : level + fluid.dropoff;
+            if (nextLevel >= FALLING_LEVEL) return;
+
+            for (const [dx, dz] of this.getFlowDirections(fluid, x, y, z)) {
+                if (this.canFlowInto(fluid, x + dx, y, z + dz)) {
+                    this.flowInto(fluid, x + dx, y, z + dz, nextLevel);
+                }
+            }
+        }
+    }
+
+    setFluid(fluid, x, y, z, level) {
+        this.world.setBlock(x, y, z, level === 0 ? fluid.still : fluid.flowing, level);
+    }
+
+    // Level this block should have given its neighbours, or -1 if nothing
+    // feeds it any more
+    getFedLevel(fluid, x, y, z) {
+        const world = this.world;
+        let smallest = -1;
+        let adjacentSources = 0;
+        for (const [dx, dz] of HORIZONTAL) {
+            if (getFluid(world.getBlock(x + dx, y, z + dz)) !== fluid) continue;
+
+            let neighbourLevel = world.getData(x + dx, y, z + dz);
+            if (neighbourLevel === 0) adjacentSources++;
+            if (neighbourLevel >= FALLING_LEVEL) neighbourLevel = 0;
+            if (smallest < 0 || neighbourLevel < smallest) smallest = neighbourLevel;
+        }
+
+        let level = smallest < 0 ? -1 : smallest + fluid.dropoff;
+        if (level >= FALLING_LEVEL) level = -1;
+
+        // Fluid above always keeps this block full
+        if (getFluid(world.getBlock(x, y + 1, z)) === fluid) {
+            const above = world.getData(x, y + 1, z);
+            level = above >= FALLING_LEVEL ? above : above + FALLING_LEVEL;
+        }
+
+        // Water between two sources becomes a source itself, as long as it
+        // rests on something
+        if (fluid === Fluid.WATER && adjacentSources >= 2) {
+            const below = world.getBlock(x, y - 1, z);
+            if (isSolidBlock(below) || (getFluid(below) === fluid && world.getData(x, y - 1, z) === 0)) {
+                level = 0;
+            }
+        }
+        return level;
+    }
+
+    // Open space, or the other fluid to react with
+    canFlowInto(fluid, x, y, z) {
+        if (y < 0 || !this.world.hasChunkAt(x, z)) return false;
+        const id = this.world.getBlock(x, y, z);
+        if (id === BlockId.AIR) return true;
+        const other = getFluid(id);
+        return other !== null && other !== fluid;
+    }
+
+    flowInto(fluid, x, y, z, level) {
+        const world = this.world;
+        const other = getFluid(world.getBlock(x, y, z));
+        if (other && other !== fluid) {
+            // Lava running into water makes stone; water running into lava
+            // cools it to obsidian if it was a source
+            if (fluid === Fluid.LAVA) {
+                world.setBlock(x, y, z, BlockId.STONE);
+            } else {
+                world.setBlock(x, y, z, world.getData(x, y, z) === 0 ? BlockId.OBSIDIAN : BlockId.COBBLESTONE);
+            }
+            return;
+        }
+        this.setFluid(fluid, x, y, z, level);
+    }
+
+    // Lava touching water from the side or above hardens in place
+    hardenLava(x, y, z, level) {
+        const world = this.world;
+        const touchesWater = [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1], [0, 1, 0]].some(
+            ([dx, dy, dz]) => getFluid(world.getBlock(x + dx, y + dy, z + dz)) === Fluid.WATER
+        );
+        if (!touchesWater) return false;
+
+        if (level === 0) {
+            world.setBlock(x, y, z, BlockId.OBSIDIAN);
+            return true;
+        }
+        if (level <= COBBLESTONE_MAX_LEVEL) {
+            world.setBlock(x, y, z, BlockId.COBBLESTONE);
+            return true;
+        }
+        return false;
+    }
+
+    // Fluid can't pass solid blocks, unloaded chunks or its own sources
+    blocksFlow(fluid, x, y, z) {
+        if (y < 0 || !this.world.hasChunkAt(x, z)) return true;
+        const id = this.world.getBlock(x, y, z);
+        if (isSolidBlock(id)) return true;
+        return getFluid(id) === fluid && this.world.getData(x, y, z) === 0;
+    }
+
+    // Directions that lead to the nearest drop within FLOW_SEARCH_DEPTH
+    // blocks. With no drop in reach, every open direction is equally good.
+    getFlowDirections(fluid, x, y, z) {
+        const costs = HORIZONTAL.map(([dx, dz], direction) => {
+            if (this.blocksFlow(fluid, x + dx, y, z + dz)) return Infinity;
+            if (!isSolidBlock(this.world.getBlock(x + dx, y - 1, z + dz))) return 0;
+            return this.getFlowCost(fluid, x + dx, y, z + dz, 1, direction);
+        });
+
+        const cheapest = Math.min(...costs);
+        return HORIZONTAL.filter((_, direction) => costs[direction] === cheapest && cheapest !== Infinity);
+    }
+
+    // Steps from (x, y, z) to the nearest drop, not walking back the way we
+    // came; FLOW_SEARCH_DEPTH + 1 when there is none in reach
+    getFlowCost(fluid, x, y, z, depth, fromDirection) {
+        let best = FLOW_SEARCH_DEPTH + 1;
+        HORIZONTAL.forEach(([dx, dz], direction) => {
+            // HORIZONTAL lists opposite directions in pairs
+            if (direction === (fromDirection ^ 1)) return;
+            if (this.blocksFlow(fluid, x + dx, y, z + dz)) return;
+
+            if (!isSolidBlock(this.world.getBlock(x + dx, y - 1, z + dz))) {
+                best = Math.min(best, depth);
+            } else if (depth < FLOW_SEARCH_DEPTH) {
+                best = Math.min(best, this.getFlowCost(fluid, x + dx, y, z + dz, depth + 1, direction));
+            }
+        });
+        return best;
+    }
+}
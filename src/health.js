@@ -0,0 +1,144 @@
+// Survival health and air, with Beta's numbers. No DOM or THREE here, so the
+// damage rules run (and can be checked) in Node; the player feeds in where
+// it is each tick and hud.js draws the result.
+//
+// Health is in half hearts and air in ticks: 20 health is ten hearts, 300
+// air is fifteen seconds under water.
+export const MAX_HEALTH = 20;
+export const MAX_AIR = 300;
+
+// After taking damage the player is safe from more for this many ticks,
+// except from a bigger hit, which only deals the difference
+const HURT_TICKS = 10;
+
+// Falls up to this many blocks don't hurt; each block more costs a half heart
+const SAFE_FALL_DISTANCE = 3;
+
+const SUFFOCATION_DAMAGE = 1;
+const DROWNING_DAMAGE = 2;
+const LAVA_DAMAGE = 4;
+const FIRE_DAMAGE = 1;
+
+// Air runs this far below zero between drowning hits
+const DROWNING_INTERVAL = 20;
+
+// Touching lava sets the player on fire for this many ticks. Fire hurts
+// every FIRE_INTERVAL ticks until it burns out or the player gets into water.
+const LAVA_FIRE_TICKS = 600;
+const FIRE_INTERVAL = 20;
+
+// There is no food, so health comes back slowly by itself, like Beta's
+// peaceful difficulty
+const REGENERATION_INTERVAL = 240;
+
+// What the death screen says for each cause of death
+export const deathMessages = {
+    fall: 'You hit the ground too hard',
+    suffocation: 'You suffocated in a wall',
+    drowning: 'You drowned',
+    lava: 'You tried to swim in lava',
+    fire: 'You burned to death'
+};
+
+export function getFallDamage(distance) {
+    return Math.max(0, Math.ceil(distance - SAFE_FALL_DISTANCE));
+}
+
+export class Health {
+    constructor() {
+        this.reset();
+    }
+
+    // Full health and air, not burning, as after respawning
+    reset() {
+        this.health = MAX_HEALTH;
+        this.air = MAX_AIR;
+        this.fireTicks = 0;
+        this.hurtTicks = 0;
+        this.lastDamage = 0;
+        this.regenerationTicks = 0;
+        this.deathCause = null; // Key of deathMessages once dead
+    }
+
+    isDead() {
+        return this.health <= 0;
+    }
+
+    // Take `amount` half hearts of damage. Returns true if any was taken.
+    damage(amount, cause) {
+        if (this.isDead() || amount <= 0) return false;
+        if (this.hurtTicks > 0) {
+            if (amount <= this.lastDamage) return false;
+            this.health -= amount - this.lastDamage;
+        } else {
+            this.health -= amount;
+            this.hurtTicks = HURT_TICKS;
+        }
+        this.lastDamage = amount;
+        this.health = Math.max(0, this.health);
+        if (this.isDead()) this.deathCause = cause;
+        return true;
+    }
+
+    // Hit the ground after falling `distance` blocks
+    land(distance) {
+        return this.damage(getFallDamage(distance), 'fall');
+    }
+
+    // Advance one game tick. `surroundings` says where the player is:
+    // { headInBlock, eyesInWater, inWater, inLava }
+    tick({ headInBlock = false, eyesInWater = false, inWater = false, inLava = false }) {
+        if (this.isDead()) return;
+        if (this.hurtTicks > 0) this.hurtTicks--;
+
+        if (headInBlock) this.damage(SUFFOCATION_DAMAGE, 'suffocation');
+
+        if (eyesInWater) {
+            this.air--;
+            if (this.air <= -DROWNING_INTERVAL) {
+                this.air = 0;
+                this.damage(DROWNING_DAMAGE, 'drowning');
+            }
+        } else {
+            this.air = MAX_AIR;
+        }
+
+        if (inLava) {
+            this.damage(LAVA_DAMAGE, 'lava');
+            this.fireTicks = LAVA_FIRE_TICKS;
+        } else if (inWater) {
+            this.fireTicks = 0;
+        }
+        if (this.fireTicks > 0) {
+            if (this.fireTicks % FIRE_INTERVAL === 0) this.damage(FIRE_DAMAGE, 'fire');
+            this.fireTicks--;
+        }
+
+        if (this.health < MAX_HEALTH && !this.isDead()) {
+            this.regenerationTicks++;
+            if (this.regenerationTicks >= REGENERATION_INTERVAL) {
+                this.regenerationTicks = 0;
+                this.health++;
+            }
+        } else {
+            this.regenerationTicks = 0;
+        }
+    }
+
+    isBurning() {
+        return this.fireTicks > 0;
+    }
+
+    toSaveData() {
+        return { health: this.health, air: this.air, fire: this.fireTicks };
+    }
+
+    // Restore saved values; anything missing, as in older saves, is full
+    load(data) {
+        this.reset();
+        if (!data) return;
+        if (Number.isFinite(data.health)) this.health = Math.min(MAX_HEALTH, Math.max(0, data.health));
+        if (Number.isFinite(data.air)) this.air = Math.min(MAX_AIR, Math.max(0, data.air));
+        if (Number.isFinite(data.fire)) this.fireTicks = Math.max(0, data.fire);
+    }
+}
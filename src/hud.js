@@ -0,0 +1,177 @@
+import { MAX_AIR, MAX_HEALTH, deathMessages } from './health.js';
+
+// Survival HUD: hearts and air bubbles above the hotbar, a red flash when
+// hurt, a glow while burning, and the death screen.
+
+// Heart and bubble icons are drawn from these rows, each pixel doubled
+const PIXEL = 2;
+const ICON_SPACING = 16;
+
+// Each bubble is a tenth of the air
+const BUBBLE_COUNT = 10;
+
+const heartPixels = [
+    '.##.##.',
+    '#######',
+    '#######',
+    '.#####.',
+    '..###..',
+    '...#...'
+];
+const bubblePixels = [
+    '.###.',
+    '#..##',
+    '#...#',
+    '#...#',
+    '.###.'
+];
+
+// Draw a pixel-art icon at x; only columns below `fill` (a fraction of the
+// width) get `color`, the rest get `emptyColor`
+function drawIcon(ctx, rows, x, color, emptyColor, fill = 1) {
+    const width = rows[0].length;
+    rows.forEach((row, y) => {
+        for (let i = 0; i < width; i++) {
+            if (row[i] !== '#') continue;
+            const filled = i < width * fill;
+            if (!filled && !emptyColor) continue;
+            ctx.fillStyle = filled ? color : emptyColor;
+            ctx.fillRect(x + i * PIXEL, y * PIXEL, PIXEL, PIXEL);
+        }
+    });
+}
+
+export class HealthBar {
+    constructor(health) {
+        this.health = health;
+        this.shown = null; // Values last drawn, to skip redrawing
+
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.bottom = '84px';
+        this.element.style.left = '50%';
+        this.element.style.transform = 'translateX(-50%)';
+        this.element.style.display = 'flex';
+        this.element.style.gap = '32px';
+        this.element.style.pointerEvents = 'none';
+
+        this.hearts = this.createCanvas(MAX_HEALTH / 2, heartPixels);
+        this.bubbles = this.createCanvas(BUBBLE_COUNT, bubblePixels);
+        this.element.append(this.hearts, this.bubbles);
+
+        // Red flash over the whole screen when hurt
+        this.flash = document.createElement('div');
+        this.flash.style.position = 'fixed';
+        this.flash.style.inset = '0';
+        this.flash.style.background = 'rgba(255, 0, 0, 0.3)';
+        this.flash.style.opacity = '0';
+        this.flash.style.pointerEvents = 'none';
+
+        // Orange glow around the edges while on fire
+        this.burning = document.createElement('div');
+        this.burning.style.position = 'fixed';
+        this.burning.style.inset = '0';
+        this.burning.style.boxShadow = 'inset 0 0 120px rgba(255, 110, 0, 0.8)';
+        this.burning.style.display = 'none';
+        this.burning.style.pointerEvents = 'none';
+
+        document.body.append(this.flash, this.burning, this.element);
+        this.update();
+    }
+
+    // Hidden in creative, where nothing hurts
+    setVisible(visible) {
+        this.element.style.display = visible ? 'flex' : 'none';
+    }
+
+    createCanvas(count, rows) {
+        const canvas = document.createElement('canvas');
+        canvas.width = count * ICON_SPACING;
+        canvas.height = rows.length * PIXEL;
+        return canvas;
+    }
+
+    // Redraw after the health or air changed; cheap to call every frame
+    update() {
+        const { health, air } = this.health;
+        const burning = this.health.isBurning();
+        const shown = this.shown;
+        if (shown && shown.health === health && shown.air === air && shown.burning === burning) return;
+
+        if (shown && health < shown.health) {
+            this.flash.style.transition = 'none';
+            this.flash.style.opacity = '1';
+            requestAnimationFrame(() => {
+                this.flash.style.transition = 'opacity 0.5s';
+                this.flash.style.opacity = '0';
+            });
+        }
+        this.shown = { health, air, burning };
+
+        // Two half hearts to a heart
+        const hearts = this.hearts.getContext('2d');
+        hearts.clearRect(0, 0, this.hearts.width, this.hearts.height);
+        for (let i = 0; i < MAX_HEALTH / 2; i++) {
+            const fill = Math.min(1, Math.max(0, (health - i * 2) / 2));
+            drawIcon(hearts, heartPixels, i * ICON_SPACING, '#e01818', 'rgba(40, 0, 0, 0.7)', fill);
+        }
+
+        // Bubbles only while under water
+        const bubbles = this.bubbles.getContext('2d');
+        bubbles.clearRect(0, 0, this.bubbles.width, this.bubbles.height);
+        if (air < MAX_AIR) {
+            const count = Math.ceil(Math.max(0, air) / MAX_AIR * BUBBLE_COUNT);
+            for (let i = 0; i < count; i++) {
+                drawIcon(bubbles, bubblePixels, this.bubbles.width - (i + 1) * ICON_SPACING, '#8cd0ff');
+            }
+        }
+
+        this.burning.style.display = burning ? 'block' : 'none';
+    }
+}
+
+// Shown when the player dies, with a button to respawn
+export class DeathScreen {
+    constructor({ onRespawn }) {
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.inset = '0';
+        this.element.style.background = 'rgba(120, 0, 0, 0.6)';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'monospace';
+        this.element.style.display = 'none';
+        this.element.style.flexDirection = 'column';
+        this.element.style.gap = '16px';
+        this.element.style.justifyContent = 'center';
+        this.element.style.alignItems = 'center';
+        this.element.style.zIndex = '200';
+
+        const title = document.createElement('div');
+        title.textContent = 'You died!';
+        title.style.fontSize = '36px';
+
+        this.message = document.createElement('div');
+        this.message.style.fontSize = '16px';
+
+        const respawnButton = document.createElement('button');
+        respawnButton.textContent = 'Respawn';
+        respawnButton.style.fontFamily = 'monospace';
+        respawnButton.style.fontSize = '16px';
+        respawnButton.style.padding = '8px 12px';
+        respawnButton.style.cursor = 'pointer';
+        respawnButton.addEventListener('click', () => onRespawn());
+
+        this.element.append(title, this.message, respawnButton);
+        document.body.appendChild(this.element);
+    }
+
+    // `cause` is a key of deathMessages, or null when unknown
+    show(cause) {
+        this.message.textContent = deathMessages[cause] ?? '';
+        this.element.style.display = 'flex';
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+}
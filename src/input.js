@@ -1,34 +1,69 @@
 import * as THREE from 'three';
+import { ActionMap, applyDeadZone } from './actions.js';
+import { BlockId, getTorchData, isBreakable, isFluid } from './blocks.js';
+import { CRACK_STAGES, CrackOverlay } from './crack-overlay.js';
+import { HOTBAR_SIZE } from './inventory.js';
+import { canHarvest, getBreakTicks, getDrops } from './items.js';
+import { raycastVoxels } from './raycast.js';
+import { TouchControls } from './touch-controls.js';
+
+// How far from the eyes the player can break and place blocks
+const REACH = 5;
+
+// Ticks to wait after breaking a block before the next one starts, as in Beta
+const BREAK_COOLDOWN_TICKS = 5;
+
+// Two presses of jump this close together, in milliseconds, toggle flight
+const DOUBLE_TAP_TIME = 300;
+
+// Share of a gamepad stick's travel around the middle that counts as
+// centred, since worn sticks rarely rest at exactly zero
+const GAMEPAD_DEAD_ZONE = 0.2;
+
+// Radians per second the camera turns with the right stick all the way over
+const GAMEPAD_LOOK_SPEED = 3;
 
 export class InputHandler {
-    constructor(player, world, domElement) {
+    constructor(player, world, domElement, actionMap = new ActionMap()) {
         this.player = player;
         this.world = world;
         this.domElement = domElement; // The DOM element to attach listeners to
+
+        // Keyboard, mouse, touch and gamepad all press actions (see
+        // actions.js); update() reads which ones are held
+        this.actions = actionMap;
+        this.actions.onPress = (action) => this.onActionPress(action);
+
+        // While the controls screen waits for a new binding, the next input
+        // goes to this instead of the game
+        this.capture = null;
+
+        // Gamepad buttons held at the last poll, and the left stick
+        this.gamepadButtons = [];
+        this.gamepadMove = { x: 0, y: 0 };
+
+        this.lastJumpTime = -Infinity; // For double-tapping jump
+
+        // Breaking: holding attack wears the targeted block down over game
+        // ticks. A click or tap shorter than a tick still counts for one.
+        this.breakClicked = false;
+        this.breaking = null; // { x, y, z, id, progress } with progress 0-1
+        this.breakCooldown = 0;
+        this.crackOverlay = new CrackOverlay(this.world.scene);
         
-        // Movement state
-        this.keys = {
-            forward: false,
-            backward: false,
-            left: false,
-            right: false,
-            jump: false,
-            sprint: false
-        };
-        
-        // Mouse state
-        this.mouseDown = false;
-        this.lastClickTime = 0;
-        
-        // Block highlight
-        this.highlightedBlock = null;
-        this.originalMaterials = new Map(); // Store original materials
+        // Block highlight, drawn as a dark outline slightly larger than the
+        // targeted block so it isn't hidden inside its faces
+        this.highlightBox = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.BoxGeometry(1.005, 1.005, 1.005)),
+            new THREE.LineBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.6 })
+        );
+        this.highlightBox.visible = false;
+        this.world.scene.add(this.highlightBox);
         
         // Setup event listeners
         this.setupKeyboardEvents();
         this.setupMouseEvents();
-        this.setupTouchEvents(); // Add touch events
-        this.setupMobileKeypadEvents(); // Add keypad events
+        this.touch = new TouchControls(this, domElement);
 
         // Debug: Log that input handler is initialized
         console.log('Input handler initialized');
@@ -36,342 +71,363 @@ export class InputHandler {
 
     setupKeyboardEvents() {
         document.addEventListener('keydown', (e) => {
-            console.log('Key pressed:', e.code); // Debug log
-            switch(e.code) {
-                case 'KeyW':
-                    this.keys.forward = true;
-                    break;
-                case 'KeyS':
-                    this.keys.backward = true;
-                    break;
-                case 'KeyA':
-                    this.keys.left = true;
-                    break;
-                case 'KeyD':
-                    this.keys.right = true;
-                    break;
-                case 'Space':
-                    console.log('Space pressed - attempting jump'); // Debug log
-                    this.keys.jump = true;
-                    this.player.jump();
-                    break;
-                case 'ShiftLeft':
-                case 'ShiftRight':
-                    this.keys.sprint = true;
-                    console.log('Sprint activated'); // Debug log
-                    break;
-                case 'Digit1':
-                case 'Digit2':
-                case 'Digit3':
-                case 'Digit4':
-                case 'Digit5':
-                case 'Digit6':
-                case 'Digit7':
-                case 'Digit8':
-                case 'Digit9':
-                    const slot = parseInt(e.code.replace('Digit', '')) - 1;
-                    this.player.setSelectedSlot(slot);
-                    break;
-            }
+            this.inputDown(e.code);
         });
 
         document.addEventListener('keyup', (e) => {
-            console.log('Key released:', e.code); // Debug log
-            switch(e.code) {
-                case 'KeyW':
-                    this.keys.forward = false;
-                    break;
-                case 'KeyS':
-                    this.keys.backward = false;
-                    break;
-                case 'KeyA':
-                    this.keys.left = false;
-                    break;
-                case 'KeyD':
-                    this.keys.right = false;
-                    break;
-                case 'Space':
-                    console.log('Space released'); // Debug log
-                    this.keys.jump = false;
-                    break;
-                case 'ShiftLeft':
-                case 'ShiftRight':
-                    this.keys.sprint = false;
-                    console.log('Sprint deactivated'); // Debug log
-                    break;
-            }
+            this.inputUp(e.code);
         });
     }
 
+    // Mouse buttons and the wheel only count while the game has the mouse,
+    // so clicking menus and screens doesn't break blocks behind them
     setupMouseEvents() {
         document.addEventListener('mousedown', (e) => {
-            if (e.button === 0) { // Left click
-                this.mouseDown = true;
-                this.handleBlockInteraction();
-            } else if (e.button === 2) { // Right click
-                this.handleBlockPlacement();
-            }
+            if (!document.pointerLockElement && !this.capture) return;
+            if (e.button === 1) e.preventDefault(); // No autoscroll
+            this.inputDown(`Mouse${e.button}`);
         });
 
         document.addEventListener('mouseup', (e) => {
-            if (e.button === 0) {
-                this.mouseDown = false;
-            }
+            this.inputUp(`Mouse${e.button}`);
         });
 
         // Prevent context menu on right click
         document.addEventListener('contextmenu', (e) => {
             e.preventDefault();
         });
+
+        // Each wheel step is a press and release
+        document.addEventListener('wheel', (e) => {
+            if ((!document.pointerLockElement && !this.capture) || e.deltaY === 0) return;
+            const input = e.deltaY > 0 ? 'WheelDown' : 'WheelUp';
+            this.inputDown(input);
+            this.inputUp(input);
+        });
     }
 
-    setupTouchEvents() {
-        let touchStartX = null;
-        let touchStartY = null;
-        let touchStartTime = null; // To detect taps
-        let initialTouches = 0; // To count fingers on touchstart
-        const tapThresholdTime = 300; // ms
-        const tapThresholdDistance = 10; // pixels
-        let touchStartedOnKeypad = false; // Track if the touch started on a keypad button
-
-        this.domElement.addEventListener('touchstart', (e) => {
-            // Check if the touch started on a keypad button
-            const targetId = e.target.id;
-            if (targetId === 'move-forward' || targetId === 'move-backward' || targetId === 'move-left' || targetId === 'move-right' || targetId === 'jump-button') {
-                touchStartedOnKeypad = true;
-                // Don't prevent default here to allow button's own event handling
-            } else {
-                touchStartedOnKeypad = false;
-                 // Prevent default only for touches not on keypad, to stop scrolling/zooming on canvas drag
-                e.preventDefault();
-
-                initialTouches = e.touches.length;
-                if (e.touches.length === 1) {
-                    touchStartX = e.touches[0].clientX;
-                    touchStartY = e.touches[0].clientY;
-                    touchStartTime = performance.now();
+    // Every key, mouse button and gamepad button press comes through here.
+    // While a screen is open only its own keys work: Escape closes it, as
+    // does whatever opens the inventory.
+    inputDown(input) {
+        if (this.capture) {
+            const capture = this.capture;
+            this.capture = null;
+            capture(input);
+            return;
+        }
+
+        // Nothing to do while dead but respawn (see main.js)
+        if (this.player.health.isDead()) return;
+
+        const openScreen = this.player.getOpenScreen();
+        if (openScreen) {
+            if (input === 'Escape') openScreen.close(false);
+            else if (this.actions.getActions(input).includes('inventory')) this.toggleScreen();
+            return;
+        }
+        this.actions.inputDown(input);
+    }
+
+    inputUp(input) {
+        this.actions.inputUp(input);
+    }
+
+    // The next input goes to `callback` instead of the game, e.g. to rebind
+    // an action. Null stops waiting.
+    captureNextInput(callback) {
+        this.capture = callback;
+    }
+
+    // Actions that do something once when pressed; held ones are read in
+    // update()
+    onActionPress(action) {
+        switch (action) {
+            case 'jump': {
+                // Double-tapping jump starts or stops flying in creative
+                const now = performance.now();
+                if (now - this.lastJumpTime < DOUBLE_TAP_TIME) {
+                    this.player.toggleFlight();
+                    this.lastJumpTime = -Infinity;
                 } else {
-                    // Reset if more than one touch starts for drag
-                    touchStartX = null;
-                    touchStartY = null;
-                    touchStartTime = null;
+                    this.lastJumpTime = now;
                 }
+                this.player.jump();
+                break;
             }
-        });
+            case 'attack':
+                this.breakClicked = true;
+                break;
+            case 'use':
+                this.handleBlockPlacement();
+                break;
+            case 'pickBlock':
+                this.pickBlock();
+                break;
+            case 'inventory':
+                this.toggleScreen();
+                break;
+            case 'noclip':
+                this.player.toggleNoclip();
+                break;
+            case 'hotbarNext':
+            case 'hotbarPrevious': {
+                // Wraps around at either end
+                const step = action === 'hotbarNext' ? 1 : -1;
+                this.player.setSelectedSlot((this.player.selectedSlot + step + HOTBAR_SIZE) % HOTBAR_SIZE);
+                break;
+            }
+            default:
+                if (action.startsWith('hotbar')) {
+                    this.player.setSelectedSlot(Number(action.slice('hotbar'.length)) - 1);
+                }
+        }
+    }
 
-        this.domElement.addEventListener('touchmove', (e) => {
-            // Only process touchmove for camera if the touch did NOT start on the keypad
-            if (!touchStartedOnKeypad && e.touches.length === 1 && touchStartX !== null && touchStartY !== null) {
-                // Keep this to prevent scrolling while dragging on the canvas
-                 e.preventDefault();
+    // Press and let go of an action at once, for taps
+    tapAction(action, source) {
+        this.actions.press(action, source);
+        this.actions.release(action, source);
+    }
 
-                const touchCurrentX = e.touches[0].clientX;
-                const touchCurrentY = e.touches[0].clientY;
+    // Open or close the inventory, or the block palette in creative
+    toggleScreen() {
+        const screen = this.player.getOpenScreen()
+            ?? (this.player.isCreative() ? this.player.blockPalette : this.player.inventoryScreen);
+        if (screen) {
+            screen.toggle();
+            this.releaseKeys();
+        }
+    }
 
-                // Reverse delta values for inverted controls
-                const deltaX = touchStartX - touchCurrentX;
-                const deltaY = touchStartY - touchCurrentY;
+    // Let go of everything, e.g. when a screen opens over the game
+    releaseKeys() {
+        this.actions.releaseAll();
+        this.touch.endJoystick();
+        this.touch.cancelLooks();
+    }
 
-                // Apply rotation to player's camera based on delta
-                const rotationSpeed = 0.002; // Adjust this value for sensitivity
+    // Turn the camera by `yaw` and `pitch` radians, for touch and gamepad
+    // looking (the mouse goes through PointerLockControls). Pitch stops at
+    // straight up and straight down.
+    look(yaw, pitch) {
+        const camera = this.player.camera;
+        const euler = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(camera.quaternion);
+        euler.y += yaw;
+        euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, euler.x + pitch));
+        camera.quaternion.setFromEuler(euler);
+    }
 
-                // Rotate horizontally (yaw)
-                this.player.camera.rotation.y += deltaX * rotationSpeed; // Use += for reversed horizontal
+    // Poll the first connected gamepad; runs every rendered frame. Buttons
+    // go through the action map like keys; the left stick moves and the
+    // right stick looks around, both past a dead zone.
+    updateGamepad(frameTime) {
+        const gamepads = navigator.getGamepads ? [...navigator.getGamepads()] : [];
+        const gamepad = gamepads.find(pad => pad?.connected) ?? null;
 
-                // Rotate vertically (pitch), clamping to prevent flipping
-                this.player.camera.rotation.x += deltaY * rotationSpeed; // Use += for reversed vertical
-                this.player.camera.rotation.x = Math.max(
-                    -Math.PI / 2,
-                    Math.min(Math.PI / 2,
-                    this.player.camera.rotation.x)
-                );
+        const buttons = gamepad ? gamepad.buttons.map(button => button.pressed) : [];
+        const count = Math.max(buttons.length, this.gamepadButtons.length);
+        for (let i = 0; i < count; i++) {
+            const pressed = buttons[i] ?? false;
+            if (pressed === (this.gamepadButtons[i] ?? false)) continue;
+            if (pressed) this.inputDown(`Button${i}`);
+            else this.inputUp(`Button${i}`);
+        }
+        this.gamepadButtons = buttons;
 
-                touchStartX = touchCurrentX;
-                touchStartY = touchCurrentY;
+        if (!gamepad || gamepad.axes.length < 4 || this.player.getOpenScreen() || this.player.health.isDead()) {
+            this.gamepadMove = { x: 0, y: 0 };
+            return;
+        }
+        const [moveX, moveY, lookX, lookY] = gamepad.axes;
+        this.gamepadMove = applyDeadZone(moveX, moveY, GAMEPAD_DEAD_ZONE);
+        const look = applyDeadZone(lookX, lookY, GAMEPAD_DEAD_ZONE);
+        this.look(-look.x * GAMEPAD_LOOK_SPEED * frameTime, -look.y * GAMEPAD_LOOK_SPEED * frameTime);
+    }
 
-                // Prevent tap from being registered if there's significant movement
-                if (Math.abs(deltaX) > tapThresholdDistance || Math.abs(deltaY) > tapThresholdDistance) {
-                     touchStartTime = null; // Invalidate tap detection
-                }
-            }
+    // The block the crosshair points at within reach, looking from the eyes
+    // through the voxel grid. Fluids don't stop the ray. placePosition is
+    // null when the eyes are inside the block.
+    raycastBlock() {
+        const camera = this.player.camera;
+        const direction = camera.getWorldDirection(new THREE.Vector3());
+        const hit = raycastVoxels(camera.position, direction, REACH, (x, y, z) => {
+            const id = this.world.getBlock(x, y, z);
+            return id !== BlockId.AIR && !isFluid(id);
         });
+        if (!hit) return null;
 
-        this.domElement.addEventListener('touchend', (e) => {
-            // Only process touchend for taps if the touch did NOT start on the keypad
-            if (!touchStartedOnKeypad) {
-                // Check for tap gesture only if a touch started and didn't move much
-                if (touchStartTime !== null && performance.now() - touchStartTime < tapThresholdTime) {
-                     // Check if all fingers lifted and how many were initially used
-                    if (e.touches.length === 0) {
-                        if (initialTouches === 1) {
-                            // One-finger tap to break block
-                            console.log('One-finger tap detected on canvas - attempting to break block'); // Debug
-                            this.handleBlockInteraction();
-                        } else if (initialTouches === 2) {
-                            // Two-finger tap to place block
-                             console.log('Two-finger tap detected on canvas - attempting to place block'); // Debug
-                            this.handleBlockPlacement();
-                        }
-                    }
-                }
-            }
-
-            // Reset touch state and keypad flag
-            touchStartX = null;
-            touchStartY = null;
-            touchStartTime = null;
-            initialTouches = 0;
-            touchStartedOnKeypad = false;
-        });
+        return {
+            blockPosition: new THREE.Vector3(hit.block.x, hit.block.y, hit.block.z),
+            placePosition: hit.place && new THREE.Vector3(hit.place.x, hit.place.y, hit.place.z),
+            face: hit.face
+        };
     }
 
-    setupMobileKeypadEvents() {
-        const moveForwardButton = document.getElementById('move-forward');
-        const moveBackwardButton = document.getElementById('move-backward');
-        const moveLeftButton = document.getElementById('move-left');
-        const moveRightButton = document.getElementById('move-right');
-        const jumpButton = document.getElementById('jump-button');
+    // Wear down the targeted block while breaking is held; runs once per
+    // game tick. Progress starts over whenever the target changes.
+    updateBreaking() {
+        if (this.breakCooldown > 0) this.breakCooldown--;
 
-        if (moveForwardButton) {
-            moveForwardButton.addEventListener('touchstart', (e) => { e.stopPropagation(); e.preventDefault(); this.keys.forward = true; console.log('Keypad Forward: true', this.keys); });
-            moveForwardButton.addEventListener('touchend', (e) => { e.stopPropagation(); e.preventDefault(); this.keys.forward = false; console.log('Keypad Forward: false', this.keys); });
-        }
-        if (moveBackwardButton) {
-            moveBackwardButton.addEventListener('touchstart', (e) => { e.stopPropagation(); e.preventDefault(); this.keys.backward = true; console.log('Keypad Backward: true', this.keys); });
-            moveBackwardButton.addEventListener('touchend', (e) => { e.stopPropagation(); e.preventDefault(); this.keys.backward = false; console.log('Keypad Backward: false', this.keys); });
+        const holding = this.actions.isDown('attack') || this.breakClicked;
+        this.breakClicked = false;
+        const target = holding ? this.raycastBlock() : null;
+        const position = target?.blockPosition;
+        const id = position ? this.world.getBlock(position.x, position.y, position.z) : BlockId.AIR;
+        const creative = this.player.isCreative();
+        if (creative ? id === BlockId.AIR : !isBreakable(id)) {
+            this.stopBreaking();
+            return;
         }
-        if (moveLeftButton) {
-            moveLeftButton.addEventListener('touchstart', (e) => { e.stopPropagation(); e.preventDefault(); this.keys.left = true; console.log('Keypad Left: true', this.keys); });
-            moveLeftButton.addEventListener('touchend', (e) => { e.stopPropagation(); e.preventDefault(); this.keys.left = false; console.log('Keypad Left: false', this.keys); });
-        }
-        if (moveRightButton) {
-            moveRightButton.addEventListener('touchstart', (e) => { e.stopPropagation(); e.preventDefault(); this.keys.right = true; console.log('Keypad Right: true', this.keys); });
-            moveRightButton.addEventListener('touchend', (e) => { e.stopPropagation(); e.preventDefault(); this.keys.right = false; console.log('Keypad Right: false', this.keys); });
+
+        const breaking = this.breaking;
+        if (!breaking || breaking.x !== position.x || breaking.y !== position.y ||
+            breaking.z !== position.z || breaking.id !== id) {
+            this.breaking = { x: position.x, y: position.y, z: position.z, id, progress: 0 };
         }
-        if (jumpButton) {
-            jumpButton.addEventListener('touchstart', (e) => { e.stopPropagation(); e.preventDefault(); this.player.jump(); console.log('Keypad Jump'); });
-            // For jump, we only need touchstart to trigger the jump
-            // jumpButton.addEventListener('touchend', (e) => { e.stopPropagation(); e.preventDefault(); this.keys.jump = false; }); // Not needed for jump action, removed preventDefault too
+        if (this.breakCooldown > 0) return;
+
+        // The held item is checked every tick, so switching tools part way
+        // changes the speed from then on. Creative breaks anything at once.
+        const item = this.player.getSelectedItem();
+        const ticks = creative ? 0 : getBreakTicks(id, item);
+        this.breaking.progress += ticks === 0 ? 1 : 1 / ticks;
+        if (this.breaking.progress >= 1) {
+            this.breakBlock(position, id, item);
+            this.stopBreaking();
+            this.breakCooldown = BREAK_COOLDOWN_TICKS;
+        } else {
+            this.crackOverlay.show(position, Math.floor(this.breaking.progress * CRACK_STAGES));
         }
     }
 
-    handleBlockInteraction() {
-        const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(new THREE.Vector2(0, 0), this.player.camera);
-        
-        const intersects = raycaster.intersectObjects(this.world.blocks.children);
-        if (intersects.length > 0) {
-            const block = intersects[0].object;
-            // Check if block is within reach (5 blocks)
-            const distance = block.position.distanceTo(this.player.position);
-            if (distance <= 5) {
-                // Add block to inventory
-                const blockType = block.userData.type;
-                this.player.addToInventory(blockType);
-                this.world.removeBlock(block);
-            }
+    stopBreaking() {
+        this.breaking = null;
+        this.crackOverlay.hide();
+    }
+
+    breakBlock(position, id, item) {
+        // Add whatever the block drops to the inventory, if the held tool
+        // is good enough to get it. With no room for the drop the block
+        // stays, rather than the drop being lost. Creative gets no drops.
+        const drop = !this.player.isCreative() && canHarvest(id, item) ? getDrops(id) : null;
+        if (drop !== null && !this.player.addToInventory(drop)) {
+            this.player.inventoryScreen?.showMessage('Inventory full');
+            return;
         }
+        this.world.removeBlock(position);
     }
 
     handleBlockPlacement() {
-        const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(new THREE.Vector2(0, 0), this.player.camera);
-        
-        const intersects = raycaster.intersectObjects(this.world.blocks.children);
-        if (intersects.length > 0) {
-            const intersection = intersects[0];
-            const normal = intersection.face.normal;
-            const position = intersection.point.add(normal.multiplyScalar(0.5));
+        if (this.player.health.isDead()) return;
+        const target = this.raycastBlock();
+
+        // Right-clicking a crafting table uses it; sneak to place against it
+        if (target && !this.actions.isDown('sneak') && this.player.inventoryScreen) {
+            const { x, y, z } = target.blockPosition;
+            if (this.world.getBlock(x, y, z) === BlockId.CRAFTING_TABLE) {
+                this.releaseKeys();
+                this.player.inventoryScreen.open('table');
+                return;
+            }
+        }
+
+        if (target && target.placePosition) {
+            const position = target.placePosition;
+
+            // Create a box for the block that would be placed
+            const blockBox = new THREE.Box3().setFromCenterAndSize(
+                position,
+                new THREE.Vector3(1, 1, 1)
+            );
             
-            // Round position to nearest block
-            position.x = Math.round(position.x);
-            position.y = Math.round(position.y);
-            position.z = Math.round(position.z);
+            // Create player bounding box
+            const playerBox = new THREE.Box3().setFromCenterAndSize(
+                this.player.position,
+                new THREE.Vector3(this.player.width, this.player.height, this.player.width)
+            );
             
-            // Check if block is within reach (5 blocks)
-            const distance = position.distanceTo(this.player.position);
-            if (distance <= 5) {
-                // Create a box for the block that would be placed
-                const blockBox = new THREE.Box3().setFromCenterAndSize(
-                    position,
-                    new THREE.Vector3(1, 1, 1)
-                );
-                
-                // Create player bounding box
-                const playerBox = new THREE.Box3().setFromCenterAndSize(
-                    this.player.position,
-                    new THREE.Vector3(this.player.width, this.player.height, this.player.width)
-                );
-                
-                // Only place block if it doesn't intersect with player
-                if (!blockBox.intersectsBox(playerBox)) {
-                    // Get block type from selected inventory slot
-                    const blockType = this.player.getSelectedBlockType();
-                    if (blockType) {
-                        this.world.addBlock(position, this.world.blockTypes[blockType]);
-                        this.player.removeFromInventory();
+            // Only place block if it doesn't intersect with player
+            if (!blockBox.intersectsBox(playerBox)) {
+                // Get block type from selected inventory slot
+                const blockId = this.player.getSelectedBlock();
+                if (blockId === BlockId.TORCH) {
+                    // Torches hang on the face they were placed against, which
+                    // has to be solid
+                    const data = getTorchData(target.face);
+                    const support = target.blockPosition;
+                    if (data !== null && this.world.isSolid(support.x, support.y, support.z)) {
+                        this.world.addBlock(position, blockId, data);
+                        this.useSelectedBlock();
                     }
+                } else if (blockId !== null) {
+                    this.world.addBlock(position, blockId);
+                    this.useSelectedBlock();
                 }
             }
         }
     }
 
+    // A placed block comes out of the inventory, except in creative
+    useSelectedBlock() {
+        if (!this.player.isCreative()) {
+            this.player.removeFromInventory();
+        }
+    }
+
+    // Pick the targeted block (see Player.pickBlock)
+    pickBlock() {
+        if (this.player.health.isDead()) return;
+        const target = this.raycastBlock();
+        if (!target) return;
+        const { x, y, z } = target.blockPosition;
+        this.player.pickBlock(this.world.getBlock(x, y, z));
+    }
+
+    // Outline the targeted block; runs every rendered frame
+    updateHighlight() {
+        const target = this.raycastBlock();
+        if (target) {
+            this.highlightBox.position.copy(target.blockPosition);
+            this.highlightBox.visible = true;
+        } else {
+            this.highlightBox.visible = false;
+        }
+    }
+
+    // Turn held actions and the gamepad's left stick into player movement
+    // and keep breaking blocks; runs once per game tick
     update() {
-        // Calculate movement direction
+        if (this.player.health.isDead()) {
+            this.releaseKeys();
+            this.breakClicked = false;
+            this.stopBreaking();
+            return;
+        }
+        this.updateBreaking();
+
+        // Calculate movement direction. A stick or the touch joystick pushed
+        // part way moves slower.
+        const held = (action) => this.actions.isDown(action) ? 1 : 0;
+        const analog = {
+            x: this.gamepadMove.x + this.touch.move.x,
+            y: this.gamepadMove.y + this.touch.move.y
+        };
         const direction = new THREE.Vector3(
-            (this.keys.right ? 1 : 0) - (this.keys.left ? 1 : 0),
+            held('right') - held('left') + analog.x,
             0,
-            (this.keys.forward ? 1 : 0) - (this.keys.backward ? 1 : 0)
+            held('forward') - held('backward') - analog.y
         );
         
-        // Update block highlight
-        const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(new THREE.Vector2(0, 0), this.player.camera);
-        const intersects = raycaster.intersectObjects(this.world.blocks.children);
-        
-        // Restore previous highlighted block
-        if (this.highlightedBlock && this.highlightedBlock !== intersects[0]?.object) {
-            const originalMaterial = this.originalMaterials.get(this.highlightedBlock);
-            if (originalMaterial) {
-                this.highlightedBlock.material = originalMaterial;
-                this.originalMaterials.delete(this.highlightedBlock);
-            }
-            this.highlightedBlock = null;
-        }
-        
-        // Highlight new block
-        if (intersects.length > 0) {
-            const block = intersects[0].object;
-            if (block !== this.highlightedBlock) {
-                // Store original material if not already stored
-                if (!this.originalMaterials.has(block)) {
-                    this.originalMaterials.set(block, block.material);
-                    
-                    // Create highlighted material
-                    const highlightMaterial = block.material.clone();
-                    if (highlightMaterial.map) {
-                        // If the material has a texture, adjust its color
-                        highlightMaterial.color.multiplyScalar(1.5); // Make it 50% brighter
-                    } else {
-                        // If it's a solid color, make it brighter
-                        highlightMaterial.color.multiplyScalar(1.5);
-                    }
-                    block.material = highlightMaterial;
-                }
-                this.highlightedBlock = block;
-            }
-        }
-        
-        // Debug: Log movement state
-        if (direction.length() > 0) {
-            console.log('Moving:', direction, 'Sprint:', this.keys.sprint);
-        }
-        
-        this.player.move(direction, this.keys.sprint);
+        // While flying, sprint flies down instead
+        const sprint = this.actions.isDown('sprint');
+        this.player.sneaking = this.actions.isDown('sneak');
+        this.player.move(direction, sprint && !this.player.flying);
 
-        // Debug: Log keys state if any movement key is active
-        if (this.keys.forward || this.keys.backward || this.keys.left || this.keys.right || this.keys.jump || this.keys.sprint) {
-             console.log('InputHandler Update Keys State:', this.keys);
-        }
+        // Holding jump swims upwards in fluids, or flies up
+        const jump = this.actions.isDown('jump');
+        this.player.swimUp = jump;
+        this.player.flyUp = jump;
+        this.player.flyDown = sprint;
     }
-} 
\ No newline at end of file
+}
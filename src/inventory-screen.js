@@ -0,0 +1,328 @@
+import { HOTBAR_SIZE, INVENTORY_SIZE } from './inventory.js';
+import { ICON_SIZE, ItemIcons } from './item-icons.js';
+import { getItemName } from './items.js';
+
+export const SLOT_SIZE = 40;
+
+// How long messages such as "Inventory full" stay up, in milliseconds
+const MESSAGE_TIME = 2000;
+
+// An empty slot: an icon canvas and a count in the corner. The block palette
+// uses these too.
+export function createSlot() {
+    const slot = document.createElement('div');
+    slot.className = 'inventory-slot';
+    slot.style.position = 'relative';
+
+    const icon = document.createElement('canvas');
+    icon.width = ICON_SIZE;
+    icon.height = ICON_SIZE;
+    icon.style.imageRendering = 'pixelated';
+    icon.style.pointerEvents = 'none';
+
+    const count = document.createElement('span');
+    count.style.position = 'absolute';
+    count.style.right = '2px';
+    count.style.bottom = '0';
+    count.style.fontSize = '12px';
+    count.style.textShadow = '1px 1px 1px black';
+    count.style.pointerEvents = 'none';
+
+    slot.append(icon, count);
+    return slot;
+}
+
+// Redraw a slot element for { id, count }, with icons from an ItemIcons
+export function drawSlot(element, slot, icons) {
+    const [icon, count] = element.children;
+    const ctx = icon.getContext('2d');
+    ctx.clearRect(0, 0, ICON_SIZE, ICON_SIZE);
+    if (slot.id !== null) {
+        ctx.drawImage(icons.get(slot.id), 0, 0);
+    }
+    count.textContent = slot.count > 1 ? slot.count : '';
+    element.title = slot.id !== null ? getItemName(slot.id).replace(/_/g, ' ') : '';
+}
+
+// The hotbar along the bottom of the screen and the full inventory opened
+// with E. In the inventory, clicking picks up and puts down stacks (right
+// click for half a stack or a single item), shift-clicking moves a stack
+// between the hotbar and the main grid, and a stack can be dragged from one
+// slot to another.
+//
+// Above the slots is a crafting grid, 2x2 in the inventory and 3x3 when the
+// screen is opened at a crafting table. Clicking the result takes what the
+// grid makes; shift-clicking it crafts as many as fit into the inventory.
+export class InventoryScreen {
+    constructor(player, atlas, recipes, { onOpen = null, onClose = null } = {}) {
+        this.player = player;
+        this.inventory = player.inventory;
+        this.recipes = recipes;
+        this.icons = new ItemIcons(atlas);
+        this.onOpen = onOpen;
+        this.onClose = onClose;
+        this.isOpen = false;
+        this.mode = 'inventory'; // or 'table', which crafting grid is shown
+
+        // Slot a drag started from while the button is down, as { area, index }
+        // with area 'inventory' or 'crafting' (see getSlots)
+        this.dragFrom = null;
+
+        // Hotbar, in the #inventory element from index.html
+        this.hotbar = document.getElementById('inventory');
+        this.hotbar.innerHTML = '';
+        this.hotbarSlots = [];
+        for (let i = 0; i < HOTBAR_SIZE; i++) {
+            const slot = createSlot();
+            this.hotbar.appendChild(slot);
+            this.hotbarSlots.push(slot);
+        }
+
+        this.message = document.createElement('div');
+        this.message.style.position = 'fixed';
+        this.message.style.bottom = '110px';
+        this.message.style.left = '50%';
+        this.message.style.transform = 'translateX(-50%)';
+        this.message.style.color = 'white';
+        this.message.style.fontFamily = 'monospace';
+        this.message.style.fontSize = '16px';
+        this.message.style.textShadow = '1px 1px 1px black';
+        this.message.style.pointerEvents = 'none';
+        document.body.appendChild(this.message);
+        this.messageTimer = null;
+
+        this.createScreen();
+        this.update();
+    }
+
+    createScreen() {
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '50%';
+        this.element.style.left = '50%';
+        this.element.style.transform = 'translate(-50%, -50%)';
+        this.element.style.display = 'none';
+        this.element.style.flexDirection = 'column';
+        this.element.style.gap = '12px';
+        this.element.style.padding = '16px';
+        this.element.style.background = 'rgba(0, 0, 0, 0.8)';
+        this.element.style.border = '2px solid #666';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'monospace';
+        this.element.style.zIndex = '150';
+        this.element.style.userSelect = 'none';
+
+        this.title = document.createElement('div');
+        this.element.appendChild(this.title);
+
+        this.element.appendChild(this.createCraftingArea());
+
+        // Main grid (9-35) above the hotbar row (0-8), like Beta
+        const grid = this.createGrid(HOTBAR_SIZE);
+        const hotbarRow = this.createGrid(HOTBAR_SIZE);
+        this.screenSlots = [];
+        for (let i = 0; i < INVENTORY_SIZE; i++) {
+            const slot = this.createClickableSlot('inventory', i);
+            this.screenSlots.push(slot);
+            (i < HOTBAR_SIZE ? hotbarRow : grid).appendChild(slot);
+        }
+        this.element.append(grid, hotbarRow);
+
+        // The held stack follows the mouse
+        this.cursor = createSlot();
+        this.cursor.style.position = 'fixed';
+        this.cursor.style.border = 'none';
+        this.cursor.style.background = 'none';
+        this.cursor.style.pointerEvents = 'none';
+        this.cursor.style.zIndex = '151';
+        this.cursor.style.display = 'none';
+
+        document.addEventListener('mousemove', (e) => {
+            this.cursor.style.left = `${e.clientX - SLOT_SIZE / 2}px`;
+            this.cursor.style.top = `${e.clientY - SLOT_SIZE / 2}px`;
+        });
+        document.addEventListener('mouseup', () => {
+            this.dragFrom = null;
+        });
+
+        document.body.append(this.element, this.cursor);
+    }
+
+    // Both crafting grids, only the one in use shown, then an arrow and the
+    // result slot
+    createCraftingArea() {
+        const area = document.createElement('div');
+        area.style.display = 'flex';
+        area.style.alignItems = 'center';
+        area.style.gap = '12px';
+
+        this.craftingElements = {};
+        this.craftingSlots = {};
+        for (const [mode, grid] of Object.entries(this.player.craftingGrids)) {
+            const element = this.createGrid(grid.size);
+            this.craftingSlots[mode] = grid.slots.map((_, i) => {
+                const slot = this.createClickableSlot('crafting', i);
+                element.appendChild(slot);
+                return slot;
+            });
+            this.craftingElements[mode] = element;
+            area.appendChild(element);
+        }
+
+        const arrow = document.createElement('div');
+        arrow.textContent = '→';
+        arrow.style.fontSize = '24px';
+
+        this.resultSlot = createSlot();
+        this.resultSlot.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            this.takeResult(e.shiftKey);
+        });
+        this.resultSlot.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        area.append(arrow, this.resultSlot);
+        return area;
+    }
+
+    createClickableSlot(area, index) {
+        const slot = createSlot();
+        slot.addEventListener('mousedown', (e) => this.onSlotMouseDown(e, area, index));
+        slot.addEventListener('mouseup', (e) => this.onSlotMouseUp(e, area, index));
+        slot.addEventListener('contextmenu', (e) => e.preventDefault());
+        return slot;
+    }
+
+    createGrid(columns) {
+        const grid = document.createElement('div');
+        grid.style.display = 'grid';
+        grid.style.gridTemplateColumns = `repeat(${columns}, ${SLOT_SIZE}px)`;
+        grid.style.gap = '4px';
+        return grid;
+    }
+
+    // The slots behind an area: the inventory's, or the crafting grid in use
+    getSlots(area) {
+        return area === 'inventory' ? this.inventory.slots : this.getCraftingGrid().slots;
+    }
+
+    getCraftingGrid() {
+        return this.player.craftingGrids[this.mode];
+    }
+
+    onSlotMouseDown(e, area, index) {
+        e.preventDefault();
+        if (e.button === 0 && e.shiftKey) {
+            if (area === 'inventory') {
+                this.inventory.quickMove(index);
+            } else {
+                this.inventory.returnSlots([this.getSlots(area)[index]]);
+                this.update();
+            }
+            return;
+        }
+        this.inventory.click(index, e.button, this.getSlots(area));
+
+        // Picking a stack up starts a drag; letting go over another slot
+        // puts it down there
+        this.dragFrom = e.button === 0 && this.inventory.cursor.id !== null ? { area, index } : null;
+    }
+
+    onSlotMouseUp(e, area, index) {
+        const from = this.dragFrom;
+        if (e.button === 0 && from && (from.area !== area || from.index !== index)) {
+            this.inventory.click(index, 0, this.getSlots(area));
+        }
+        this.dragFrom = null;
+    }
+
+    // Take what the crafting grid makes onto the held stack, or with
+    // `all` craft as many as fit straight into the inventory
+    takeResult(all) {
+        const grid = this.getCraftingGrid();
+        const result = grid.getResult(this.recipes);
+        if (!result) return;
+
+        if (!all) {
+            if (this.inventory.addToCursor(result.id, result.count)) {
+                grid.craft(this.recipes);
+                this.update();
+            }
+            return;
+        }
+
+        // Stop when the grid makes something else or runs out
+        let crafted = false;
+        while (true) {
+            const next = grid.getResult(this.recipes);
+            if (!next || next.id !== result.id || this.inventory.getRoomFor(next.id, next.count) < next.count) break;
+            grid.craft(this.recipes);
+            this.inventory.add(next.id, next.count);
+            crafted = true;
+        }
+        if (!crafted) this.showMessage('Inventory full');
+        this.update();
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    // Open the inventory, with the 3x3 grid for a crafting table when `mode`
+    // is 'table'
+    open(mode = 'inventory') {
+        this.isOpen = true;
+        this.mode = mode;
+        this.title.textContent = mode === 'table' ? 'Crafting Table' : 'Inventory';
+        for (const [name, element] of Object.entries(this.craftingElements)) {
+            element.style.display = name === mode ? 'grid' : 'none';
+        }
+        this.element.style.display = 'flex';
+        this.update();
+        if (this.onOpen) this.onOpen();
+    }
+
+    // Close the screen. The held stack and whatever is in the crafting grid
+    // go back into the inventory; if there is no room they stay where they
+    // are until the screen is opened again. `relock` is false when closing
+    // with Escape, which can't grab the mouse.
+    close(relock = true) {
+        const cursorFit = this.inventory.returnCursor();
+        const gridFit = this.inventory.returnSlots(this.getCraftingGrid().slots);
+        if (!cursorFit || !gridFit) {
+            this.showMessage('Inventory full, some items were kept aside');
+        }
+        this.isOpen = false;
+        this.dragFrom = null;
+        this.element.style.display = 'none';
+        this.update();
+        if (this.onClose) this.onClose(relock);
+    }
+
+    showMessage(text) {
+        this.message.textContent = text;
+        clearTimeout(this.messageTimer);
+        this.messageTimer = setTimeout(() => { this.message.textContent = ''; }, MESSAGE_TIME);
+    }
+
+    // Redraw everything after the inventory or the selected slot changed
+    update() {
+        const { slots, cursor } = this.inventory;
+        this.hotbarSlots.forEach((element, index) => {
+            drawSlot(element, slots[index], this.icons);
+            element.classList.toggle('selected', index === this.player.selectedSlot);
+        });
+
+        if (this.isOpen) {
+            this.screenSlots.forEach((element, index) => drawSlot(element, slots[index], this.icons));
+
+            const grid = this.getCraftingGrid();
+            this.craftingSlots[this.mode].forEach((element, index) => drawSlot(element, grid.slots[index], this.icons));
+            drawSlot(this.resultSlot, grid.getResult(this.recipes) ?? { id: null, count: 0 }, this.icons);
+        }
+
+        // Held stack; shown only while the screen is open
+        drawSlot(this.cursor, cursor, this.icons);
+        this.cursor.style.display = this.isOpen && cursor.id !== null ? 'flex' : 'none';
+    }
+}
@@ -0,0 +1,216 @@
+import { getTool } from './items.js';
+
+// The player's 36 slots: the hotbar (0-8) and the main grid above it (9-35),
+// laid out like Beta. Every slot is { id, count } with id null when empty.
+// No DOM here, so it runs (and can be checked) in Node; inventory-screen.js
+// draws it.
+export const HOTBAR_SIZE = 9;
+export const INVENTORY_SIZE = 36;
+export const MAX_STACK = 64;
+
+// Largest stack of an ID; tools don't stack
+export function getMaxStack(id) {
+    return getTool(id) === null ? MAX_STACK : 1;
+}
+
+function emptySlot() {
+    return { id: null, count: 0 };
+}
+
+export class Inventory {
+    constructor() {
+        this.slots = Array.from({ length: INVENTORY_SIZE }, emptySlot);
+
+        // Stack picked up in the inventory screen and not put down yet.
+        // Saved with the rest, so nothing is lost when the screen closes.
+        this.cursor = emptySlot();
+
+        // Called after every change
+        this.onChange = null;
+    }
+
+    changed() {
+        if (this.onChange) this.onChange();
+    }
+
+    // How many of `id` would fit, up to `count`
+    getRoomFor(id, count = 1) {
+        const maxStack = getMaxStack(id);
+        let room = 0;
+        for (const slot of this.slots) {
+            if (slot.id === null) room += maxStack;
+            else if (slot.id === id) room += Math.max(0, maxStack - slot.count);
+            if (room >= count) return count;
+        }
+        return room;
+    }
+
+    // Add items, topping up stacks of the same ID before filling empty slots,
+    // hotbar first. Returns how many didn't fit.
+    add(id, count = 1) {
+        const maxStack = getMaxStack(id);
+        let remaining = count;
+        for (const slot of this.slots) {
+            if (remaining === 0) break;
+            if (slot.id !== id) continue;
+            const moved = Math.min(remaining, maxStack - slot.count);
+            if (moved <= 0) continue;
+            slot.count += moved;
+            remaining -= moved;
+        }
+        for (const slot of this.slots) {
+            if (remaining === 0) break;
+            if (slot.id !== null) continue;
+            const moved = Math.min(remaining, maxStack);
+            slot.id = id;
+            slot.count = moved;
+            remaining -= moved;
+        }
+        if (remaining !== count) this.changed();
+        return remaining;
+    }
+
+    // Fill a slot with `count` of `id`, replacing what was there
+    set(index, id, count) {
+        this.slots[index] = { id, count };
+        this.changed();
+    }
+
+    // Take up to `count` from a slot. Returns how many were taken.
+    remove(index, count = 1) {
+        const slot = this.slots[index];
+        if (slot.id === null) return 0;
+        const taken = Math.min(count, slot.count);
+        slot.count -= taken;
+        if (slot.count === 0) slot.id = null;
+        this.changed();
+        return taken;
+    }
+
+    // Left click (button 0) picks up a stack, puts the held one down, tops up
+    // a matching stack or swaps with a different one. Right click (button 2)
+    // picks up half a stack, or puts down one of the held items. `slots` can
+    // be another set of slots the held stack moves in and out of, such as a
+    // crafting grid.
+    click(index, button = 0, slots = this.slots) {
+        const slot = slots[index];
+        const cursor = this.cursor;
+        const maxStack = getMaxStack(cursor.id ?? slot.id);
+
+        if (button === 2) {
+            if (cursor.id === null) {
+                if (slot.id === null) return;
+                const half = Math.ceil(slot.count / 2);
+                this.cursor = { id: slot.id, count: half };
+                slot.count -= half;
+                if (slot.count === 0) slot.id = null;
+                this.changed();
+                return;
+            }
+            if (slot.id === null || (slot.id === cursor.id && slot.count < maxStack)) {
+                slot.id = cursor.id;
+                slot.count++;
+                this.takeFromCursor(1);
+                this.changed();
+            }
+            return;
+        }
+
+        if (cursor.id !== null && slot.id === cursor.id) {
+            const moved = Math.min(cursor.count, maxStack - slot.count);
+            slot.count += moved;
+            this.takeFromCursor(moved);
+        } else {
+            slots[index] = cursor;
+            this.cursor = slot;
+        }
+        this.changed();
+    }
+
+    // Put a stack on top of the held one, e.g. something just crafted.
+    // Returns false, changing nothing, if it doesn't fit.
+    addToCursor(id, count) {
+        const cursor = this.cursor;
+        if (cursor.id !== null && (cursor.id !== id || cursor.count + count > getMaxStack(id))) {
+            return false;
+        }
+        this.cursor = { id, count: cursor.count + count };
+        this.changed();
+        return true;
+    }
+
+    takeFromCursor(count) {
+        this.cursor.count -= count;
+        if (this.cursor.count <= 0) this.cursor = emptySlot();
+    }
+
+    // Shift-click moves a whole stack between the hotbar and the main grid,
+    // as far as it fits
+    quickMove(index) {
+        const slot = this.slots[index];
+        if (slot.id === null) return;
+
+        const [start, end] = index < HOTBAR_SIZE ? [HOTBAR_SIZE, INVENTORY_SIZE] : [0, HOTBAR_SIZE];
+        const maxStack = getMaxStack(slot.id);
+        for (const pass of ['merge', 'empty']) {
+            for (let i = start; i < end && slot.count > 0; i++) {
+                const target = this.slots[i];
+                if (pass === 'merge' ? target.id !== slot.id : target.id !== null) continue;
+                const moved = Math.min(slot.count, maxStack - target.count);
+                target.id = slot.id;
+                target.count += moved;
+                slot.count -= moved;
+            }
+        }
+        if (slot.count === 0) slot.id = null;
+        this.changed();
+    }
+
+    // Put the held stack back into the slots. Returns true when it all fit;
+    // anything left stays held.
+    returnCursor() {
+        if (this.cursor.id === null) return true;
+        const left = this.add(this.cursor.id, this.cursor.count);
+        this.cursor = left > 0 ? { id: this.cursor.id, count: left } : emptySlot();
+        this.changed();
+        return left === 0;
+    }
+
+    // Move everything from other slots, such as a crafting grid, into the
+    // inventory. Returns true when it all fit; the rest stays where it was.
+    returnSlots(slots) {
+        let allFit = true;
+        for (const slot of slots) {
+            if (slot.id === null) continue;
+            slot.count = this.add(slot.id, slot.count);
+            if (slot.count === 0) slot.id = null;
+            else allFit = false;
+        }
+        return allFit;
+    }
+
+    // Restore saved slots. Stacks over the limit, as older saves may have,
+    // are split into free slots; what still doesn't fit ends up held.
+    load(slots, cursor = null) {
+        this.slots = Array.from({ length: INVENTORY_SIZE }, emptySlot);
+        this.cursor = emptySlot();
+        const extra = [];
+        (slots ?? []).slice(0, INVENTORY_SIZE).forEach((saved, index) => {
+            if (!saved || saved.id === null || saved.id === undefined || !(saved.count > 0)) return;
+            const count = Math.min(saved.count, getMaxStack(saved.id));
+            this.slots[index] = { id: saved.id, count };
+            if (saved.count > count) extra.push({ id: saved.id, count: saved.count - count });
+        });
+        if (cursor && cursor.id !== null && cursor.count > 0) extra.push(cursor);
+
+        for (const { id, count } of extra) {
+            const left = this.add(id, count);
+            if (left > 0) {
+                if (this.cursor.id === null) this.cursor = { id, count: 0 };
+                if (this.cursor.id === id) this.cursor.count += left;
+                else console.warn(`No room for ${left} of item ${id} from the save`);
+            }
+        }
+        this.changed();
+    }
+}
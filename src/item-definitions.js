@@ -0,0 +1,37 @@
+// Every item that isn't a block. Blocks are items too (see
+// block-definitions.js); item IDs start at 256 so the two never clash, and
+// follow Minecraft Beta like the block IDs.
+//
+// - id: number kept in inventory slots
+// - name: unique lowercase name; ItemId gets it in upper case as a key
+// - tool: kind of tool, matched against a block's `tool` (see
+//   block-definitions.js)
+// - tier: tool material, one of toolTiers
+export const itemDefinitions = [
+    { id: 256, name: 'iron_shovel', tool: 'shovel', tier: 'iron' },
+    { id: 257, name: 'iron_pickaxe', tool: 'pickaxe', tier: 'iron' },
+    { id: 258, name: 'iron_axe', tool: 'axe', tier: 'iron' },
+    { id: 263, name: 'coal' },
+    { id: 264, name: 'diamond' },
+    { id: 265, name: 'iron_ingot' },
+    { id: 269, name: 'wooden_shovel', tool: 'shovel', tier: 'wood' },
+    { id: 270, name: 'wooden_pickaxe', tool: 'pickaxe', tier: 'wood' },
+    { id: 271, name: 'wooden_axe', tool: 'axe', tier: 'wood' },
+    { id: 273, name: 'stone_shovel', tool: 'shovel', tier: 'stone' },
+    { id: 274, name: 'stone_pickaxe', tool: 'pickaxe', tier: 'stone' },
+    { id: 275, name: 'stone_axe', tool: 'axe', tier: 'stone' },
+    { id: 277, name: 'diamond_shovel', tool: 'shovel', tier: 'diamond' },
+    { id: 278, name: 'diamond_pickaxe', tool: 'pickaxe', tier: 'diamond' },
+    { id: 279, name: 'diamond_axe', tool: 'axe', tier: 'diamond' },
+    { id: 280, name: 'stick' }
+];
+
+// Tool materials as in Beta. A block that needs a tier to drop anything takes
+// that tier or a higher `level`; `speed` multiplies how fast the right kind of
+// tool breaks blocks.
+export const toolTiers = {
+    wood: { level: 0, speed: 2 },
+    stone: { level: 1, speed: 4 },
+    iron: { level: 2, speed: 6 },
+    diamond: { level: 3, speed: 8 }
+};
@@ -0,0 +1,119 @@
+import { getFaceTexture, isKnownBlock, isSolidBlock } from './blocks.js';
+import { getItemDefinition } from './items.js';
+import { TILE_SIZE } from './texture-atlas.js';
+
+// Inventory icons. Solid blocks are drawn as a small cube from their tiles in
+// the texture atlas, other blocks as their flat side texture, tools as a
+// pixel-art tool head on a handle in the colour of their tier, and other
+// items as a few coloured rectangles.
+export const ICON_SIZE = 32;
+
+const tierColors = {
+    wood: '#8b6a3a',
+    stone: '#8a8a8a',
+    iron: '#d8d8d8',
+    diamond: '#5fd8d0'
+};
+
+// Tool heads on a 16x16 grid as [x, y, width, height] rectangles. The
+// handle runs from the bottom left corner to the middle.
+const toolHeads = {
+    pickaxe: [[4, 2, 8, 2], [2, 4, 3, 2], [11, 4, 3, 2], [1, 6, 2, 3], [13, 6, 2, 3]],
+    shovel: [[9, 2, 5, 5], [10, 1, 3, 7]],
+    axe: [[8, 2, 5, 2], [9, 4, 5, 3], [8, 7, 5, 2]]
+};
+
+// Items that aren't tools, on the same 16x16 grid: a colour and rectangles
+const itemShapes = {
+    stick: { color: '#5c4326', rects: [[3, 11, 2, 2], [5, 9, 2, 2], [7, 7, 2, 2], [9, 5, 2, 2], [11, 3, 2, 2]] },
+    coal: { color: '#2a2a2a', rects: [[5, 4, 6, 8], [4, 6, 8, 5], [6, 3, 3, 10]] },
+    diamond: { color: '#5fd8d0', rects: [[5, 3, 6, 2], [3, 5, 10, 3], [5, 8, 6, 2], [7, 10, 2, 3]] },
+    iron_ingot: { color: '#d8d8d8', rects: [[4, 6, 9, 4], [2, 9, 11, 3]] }
+};
+
+export class ItemIcons {
+    constructor(atlas) {
+        this.atlas = atlas;
+        this.icons = new Map(); // id -> canvas
+        this.version = atlas.version;
+    }
+
+    // Canvas with the icon for a block or item ID, cached until the atlas
+    // gets a new resource pack
+    get(id) {
+        if (this.version !== this.atlas.version) {
+            this.icons.clear();
+            this.version = this.atlas.version;
+        }
+        if (!this.icons.has(id)) {
+            this.icons.set(id, this.draw(id));
+        }
+        return this.icons.get(id);
+    }
+
+    draw(id) {
+        const canvas = document.createElement('canvas');
+        canvas.width = ICON_SIZE;
+        canvas.height = ICON_SIZE;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+
+        const item = getItemDefinition(id);
+        if (item?.tool) {
+            this.drawTool(ctx, item);
+        } else if (item) {
+            this.drawShape(ctx, itemShapes[item.name]);
+        } else if (isKnownBlock(id) && isSolidBlock(id)) {
+            this.drawCube(ctx, id);
+        } else if (isKnownBlock(id)) {
+            this.drawFace(ctx, getFaceTexture(id, 'side'), [ICON_SIZE / TILE_SIZE, 0, 0, ICON_SIZE / TILE_SIZE, 0, 0]);
+        }
+        return canvas;
+    }
+
+    // Draw a texture's tile through an affine transform that maps the tile's
+    // 16x16 square onto a face, darkened by `shade` (0-1)
+    drawFace(ctx, texture, transform, shade = 0) {
+        const { x, y } = this.atlas.getTileOrigin(texture);
+        ctx.save();
+        ctx.setTransform(...transform);
+        ctx.drawImage(this.atlas.canvas, x, y, TILE_SIZE, TILE_SIZE, 0, 0, TILE_SIZE, TILE_SIZE);
+        if (shade > 0) {
+            ctx.fillStyle = `rgba(0, 0, 0, ${shade})`;
+            ctx.fillRect(0, 0, TILE_SIZE, TILE_SIZE);
+        }
+        ctx.restore();
+    }
+
+    // Isometric cube: top, left and right faces, the sides shaded like the
+    // world's faces
+    drawCube(ctx, id) {
+        const half = ICON_SIZE / 2;
+        const step = half / TILE_SIZE;
+        this.drawFace(ctx, getFaceTexture(id, 'top'), [step, -step / 2, step, step / 2, 0, half / 2]);
+        this.drawFace(ctx, getFaceTexture(id, 'side'), [step, step / 2, 0, step, 0, half / 2], 0.2);
+        this.drawFace(ctx, getFaceTexture(id, 'side'), [step, -step / 2, 0, step, half, half], 0.4);
+    }
+
+    drawTool(ctx, item) {
+        const scale = ICON_SIZE / 16;
+        ctx.fillStyle = '#5c4326';
+        for (let i = 0; i < 10; i++) {
+            ctx.fillRect((2 + i) * scale, (13 - i) * scale, scale * 2, scale * 2);
+        }
+        ctx.fillStyle = tierColors[item.tier];
+        for (const [x, y, width, height] of toolHeads[item.tool]) {
+            ctx.fillRect(x * scale, y * scale, width * scale, height * scale);
+        }
+    }
+
+    // Blank for an item nobody drew yet
+    drawShape(ctx, shape) {
+        if (!shape) return;
+        const scale = ICON_SIZE / 16;
+        ctx.fillStyle = shape.color;
+        for (const [x, y, width, height] of shape.rects) {
+            ctx.fillRect(x * scale, y * scale, width * scale, height * scale);
+        }
+    }
+}
@@ -0,0 +1,80 @@
+import { BlockId, getBlockDefinition, getBlockId, getBlockName, isKnownBlock } from './blocks.js';
+import { itemDefinitions, toolTiers } from './item-definitions.js';
+
+// The item registry: tools and other items that aren't blocks. Inventory
+// slots hold either kind of ID; block IDs are below 256, item IDs from 256.
+const itemsById = new Map();
+const itemsByName = new Map();
+
+// Upper case name -> ID, e.g. ItemId.STONE_PICKAXE
+export const ItemId = {};
+
+for (const definition of itemDefinitions) {
+    if (itemsById.has(definition.id) || isKnownBlock(definition.id)) {
+        throw new Error(`Item ${definition.id} (${definition.name}) is defined twice`);
+    }
+    itemsById.set(definition.id, definition);
+    itemsByName.set(definition.name, definition);
+    ItemId[definition.name.toUpperCase()] = definition.id;
+}
+
+// Properties of an item ID, as listed in item-definitions.js, or null for
+// blocks and unknown IDs
+export function getItemDefinition(id) {
+    return itemsById.get(id) ?? null;
+}
+
+// Whether an inventory slot can hold this ID: a block or an item
+export function isKnownItem(id) {
+    return itemsById.has(id) || isKnownBlock(id);
+}
+
+// Name of a block or item ID
+export function getItemName(id) {
+    return itemsById.get(id)?.name ?? getBlockName(id);
+}
+
+// ID of a block or item name, or null if there is no such thing
+export function getItemId(name) {
+    if (itemsByName.has(name)) return itemsByName.get(name).id;
+    const id = getBlockId(name);
+    return id === BlockId.AIR && name !== 'air' ? null : id;
+}
+
+// ID of what the player gets for breaking a block, or null for nothing
+export function getDrops(blockId) {
+    const drops = getBlockDefinition(blockId).drops;
+    return drops === null ? null : getItemId(drops);
+}
+
+// Tool kind, level and speed of an item, or null if it isn't a tool
+export function getTool(id) {
+    const item = itemsById.get(id);
+    if (!item?.tool) return null;
+    return { kind: item.tool, ...toolTiers[item.tier] };
+}
+
+// Whether breaking the block with this item (null for an empty hand) gives
+// its drops. Blocks with a `toolTier` need that kind of tool of at least
+// that tier.
+export function canHarvest(blockId, itemId) {
+    const block = getBlockDefinition(blockId);
+    if (!block.toolTier) return true;
+    const tool = getTool(itemId);
+    return tool !== null && tool.kind === block.tool && tool.level >= toolTiers[block.toolTier].level;
+}
+
+// Game ticks it takes to break a block while holding this item, with Beta's
+// formula: the right tool multiplies the speed by its tier, and blocks that
+// can't be harvested with the item take more than three times as long.
+// 0 breaks at once; Infinity never breaks.
+export function getBreakTicks(blockId, itemId) {
+    const { hardness, tool: blockTool } = getBlockDefinition(blockId);
+    if (hardness < 0) return Infinity;
+    if (hardness === 0) return 0;
+
+    const tool = getTool(itemId);
+    const speed = tool && blockTool && tool.kind === blockTool ? tool.speed : 1;
+    const progressPerTick = canHarvest(blockId, itemId) ? speed / hardness / 30 : 1 / hardness / 100;
+    return Math.ceil(1 / progressPerTick);
+}
@@ -0,0 +1,279 @@
+import { getLightEmission, getLightOpacity } from './blocks.js';
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT, CHUNK_VOLUME } from './chunk.js';
+
+// Voxel lighting like Beta's: every block has a sky light and a block light
+// level from 0 to 15. Sky light comes straight down from the sky at full
+// strength and block light from blocks such as torches and lava; both lose at
+// least one level per block as they spread. Chunks keep both in one byte per
+// block, sky light in the high nibble.
+
+export const MAX_LIGHT = 15;
+
+// Sky light above the top of the world
+export const SKY_LIGHT_ABOVE = MAX_LIGHT << 4;
+
+export const LightChannel = {
+    SKY: 'sky',
+    BLOCK: 'block'
+};
+
+export function getSkyLight(light) {
+    return light >> 4;
+}
+
+export function getBlockLight(light) {
+    return light & 0x0F;
+}
+
+function readChannel(light, channel) {
+    return channel === LightChannel.SKY ? light >> 4 : light & 0x0F;
+}
+
+function writeChannel(light, channel, level) {
+    return channel === LightChannel.SKY ? (light & 0x0F) | (level << 4) : (light & 0xF0) | level;
+}
+
+// Light that reaches a neighbour with the given opacity. Full sky light keeps
+// going straight down through clear blocks without fading.
+function spreadLevel(level, opacity, channel, downwards) {
+    if (opacity >= MAX_LIGHT) return 0;
+    if (channel === LightChannel.SKY && downwards && level === MAX_LIGHT && opacity === 0) return MAX_LIGHT;
+    return Math.max(0, level - Math.max(1, opacity));
+}
+
+const NEIGHBOURS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+// Light a chunk on its own, as if everything outside it were dark. Sky light
+// falls down each column and then spreads sideways under overhangs, and block
+// light spreads out from every emitting block. World.addChunk() lets light
+// from the neighbours in afterwards. Pure, so it runs in the chunk workers.
+export function computeChunkLight(blocks) {
+    const light = new Uint8Array(CHUNK_VOLUME);
+    const skyQueue = [];
+    const blockQueue = [];
+
+    // Height below which each column no longer sees the sky directly
+    const tops = new Int32Array(CHUNK_SIZE * CHUNK_SIZE);
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            let level = MAX_LIGHT;
+            let top = -1;
+            for (let y = CHUNK_HEIGHT - 1; y >= 0; y--) {
+                const index = Chunk.index(x, y, z);
+                const id = blocks[index];
+                if (level > 0) {
+                    level = spreadLevel(level, getLightOpacity(id), LightChannel.SKY, true);
+                    if (level < MAX_LIGHT && top < 0) top = y;
+                }
+                const emission = getLightEmission(id);
+                light[index] = (level << 4) | emission;
+                if (emission > 0) blockQueue.push(index);
+            }
+            tops[x * CHUNK_SIZE + z] = top;
+        }
+    }
+
+    // Only cells at or below a neighbouring column's top can light anything
+    // sideways; above that every neighbour is already full
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            let highest = -1;
+            for (const [dx, , dz] of NEIGHBOURS) {
+                const nx = x + dx;
+                const nz = z + dz;
+                if (nx < 0 || nx >= CHUNK_SIZE || nz < 0 || nz >= CHUNK_SIZE) continue;
+                highest = Math.max(highest, tops[nx * CHUNK_SIZE + nz]);
+            }
+            for (let y = Math.min(highest, CHUNK_HEIGHT - 1); y >= 0; y--) {
+                const index = Chunk.index(x, y, z);
+                if ((light[index] >> 4) > 1) skyQueue.push(index);
+            }
+        }
+    }
+
+    spreadInChunk(blocks, light, skyQueue, LightChannel.SKY);
+    spreadInChunk(blocks, light, blockQueue, LightChannel.BLOCK);
+    return light;
+}
+
+// Breadth-first flood fill inside one chunk from the queued block indices
+function spreadInChunk(blocks, light, queue, channel) {
+    for (let head = 0; head < queue.length; head++) {
+        const index = queue[head];
+        const x = index >> 11;
+        const z = (index >> 7) & 0x0F;
+        const y = index & 0x7F;
+        const level = readChannel(light[index], channel);
+        if (level <= 1) continue;
+
+        for (const [dx, dy, dz] of NEIGHBOURS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            const nz = z + dz;
+            if (!Chunk.inBounds(nx, ny, nz)) continue;
+
+            const neighbour = Chunk.index(nx, ny, nz);
+            const spread = spreadLevel(level, getLightOpacity(blocks[neighbour]), channel, dy < 0);
+            if (spread > readChannel(light[neighbour], channel)) {
+                light[neighbour] = writeChannel(light[neighbour], channel, spread);
+                queue.push(neighbour);
+            }
+        }
+    }
+}
+
+// Keeps the light of the loaded world up to date as blocks change and chunks
+// load, working across chunk borders. Every block whose light changes marks
+// its chunk for remeshing.
+export class LightEngine {
+    constructor(world) {
+        this.world = world;
+    }
+
+    getLevel(x, y, z, channel) {
+        if (y >= CHUNK_HEIGHT) return channel === LightChannel.SKY ? MAX_LIGHT : 0;
+        return readChannel(this.world.getLight(x, y, z), channel);
+    }
+
+    setLevel(x, y, z, channel, level) {
+        const light = this.world.getLight(x, y, z);
+        this.world.setLight(x, y, z, writeChannel(light, channel, level));
+    }
+
+    // Relight around a block that just changed. Light that may have come
+    // through or from the old block is taken away first, then everything
+    // around it spreads back in.
+    onBlockChanged(x, y, z) {
+        const id = this.world.getBlock(x, y, z);
+        for (const channel of [LightChannel.SKY, LightChannel.BLOCK]) {
+            const queue = this.removeLight(x, y, z, channel);
+
+            if (channel === LightChannel.BLOCK) {
+                const emission = getLightEmission(id);
+                if (emission > 0) {
+                    this.setLevel(x, y, z, channel, emission);
+                    queue.push(x, y, z);
+                }
+            } else if (y === CHUNK_HEIGHT - 1) {
+                const level = spreadLevel(MAX_LIGHT, getLightOpacity(id), channel, true);
+                this.setLevel(x, y, z, channel, level);
+                queue.push(x, y, z);
+            }
+
+            for (const [dx, dy, dz] of NEIGHBOURS) {
+                if (this.getLevel(x + dx, y + dy, z + dz, channel) > 0 && this.isLoaded(x + dx, y + dy, z + dz)) {
+                    queue.push(x + dx, y + dy, z + dz);
+                }
+            }
+            this.spread(queue, channel);
+        }
+    }
+
+    // Let light cross into a newly added chunk from its loaded neighbours, and
+    // out of it into them
+    stitchChunk(chunk) {
+        const queues = { [LightChannel.SKY]: [], [LightChannel.BLOCK]: [] };
+
+        // Only blocks brighter than the one across the border by more than
+        // a level have anything to give
+        const queueBrighter = (x, y, z, otherX, otherZ) => {
+            for (const channel of [LightChannel.SKY, LightChannel.BLOCK]) {
+                const level = this.getLevel(x, y, z, channel);
+                const other = this.getLevel(otherX, y, otherZ, channel);
+                if (level > other + 1) queues[channel].push(x, y, z);
+                if (other > level + 1) queues[channel].push(otherX, y, otherZ);
+            }
+        };
+
+        const last = CHUNK_SIZE - 1;
+        for (const [dx, dz] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+            if (!this.world.getChunk(chunk.cx + dx, chunk.cz + dz)) continue;
+
+            for (let i = 0; i < CHUNK_SIZE; i++) {
+                // Border column of this chunk and the facing one next door
+                const localX = dx < 0 ? 0 : dx > 0 ? last : i;
+                const localZ = dz < 0 ? 0 : dz > 0 ? last : i;
+                const x = chunk.worldX + localX;
+                const z = chunk.worldZ + localZ;
+                for (let y = 0; y < CHUNK_HEIGHT; y++) {
+                    queueBrighter(x, y, z, x + dx, z + dz);
+                }
+            }
+        }
+
+        this.spread(queues[LightChannel.SKY], LightChannel.SKY);
+        this.spread(queues[LightChannel.BLOCK], LightChannel.BLOCK);
+    }
+
+    isLoaded(x, y, z) {
+        return y >= 0 && y < CHUNK_HEIGHT && this.world.hasChunkAt(x, z);
+    }
+
+    // Darken everything that may have been lit through (x, y, z), starting
+    // with that block. Returns a queue of the lit blocks around the darkened
+    // area, ready to spread their light back in.
+    removeLight(x, y, z, channel) {
+        const relight = [];
+        const level = this.getLevel(x, y, z, channel);
+        if (level === 0) return relight;
+
+        this.setLevel(x, y, z, channel, 0);
+        const queue = [x, y, z, level];
+        for (let head = 0; head < queue.length; head += 4) {
+            const removed = queue[head + 3];
+            for (const [dx, dy, dz] of NEIGHBOURS) {
+                const nx = queue[head] + dx;
+                const ny = queue[head + 1] + dy;
+                const nz = queue[head + 2] + dz;
+                if (!this.isLoaded(nx, ny, nz)) continue;
+
+                const neighbourLevel = this.getLevel(nx, ny, nz, channel);
+                if (neighbourLevel === 0) continue;
+
+                // Dimmer than the removed light, or full sky light straight
+                // below it: it may have come from here, so it goes too
+                const fedFromHere = neighbourLevel < removed ||
+                    (channel === LightChannel.SKY && dy < 0 && removed === MAX_LIGHT && neighbourLevel === MAX_LIGHT);
+                if (fedFromHere) {
+                    this.setLevel(nx, ny, nz, channel, 0);
+                    queue.push(nx, ny, nz, neighbourLevel);
+
+                    // Emitting blocks keep their own light
+                    const emission = channel === LightChannel.BLOCK ? getLightEmission(this.world.getBlock(nx, ny, nz)) : 0;
+                    if (emission > 0) {
+                        this.setLevel(nx, ny, nz, channel, emission);
+                        relight.push(nx, ny, nz);
+                    }
+                } else {
+                    relight.push(nx, ny, nz);
+                }
+            }
+        }
+        return relight;
+    }
+
+    // Breadth-first flood fill from the queued (x, y, z) triples
+    spread(queue, channel) {
+        for (let head = 0; head < queue.length; head += 3) {
+            const x = queue[head];
+            const y = queue[head + 1];
+            const z = queue[head + 2];
+            const level = this.getLevel(x, y, z, channel);
+            if (level <= 1) continue;
+
+            for (const [dx, dy, dz] of NEIGHBOURS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                const nz = z + dz;
+                if (!this.isLoaded(nx, ny, nz)) continue;
+
+                const opacity = getLightOpacity(this.world.getBlock(nx, ny, nz));
+                const spread = spreadLevel(level, opacity, channel, dy < 0);
+                if (spread > this.getLevel(nx, ny, nz, channel)) {
+                    this.setLevel(nx, ny, nz, channel, spread);
+                    queue.push(nx, ny, nz);
+                }
+            }
+        }
+    }
+}
@@ -3,6 +3,32 @@ import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockCont
 import { World } from './world.js';
 import { Player } from './player.js';
 import { InputHandler } from './input.js';
+import { ActionMap, loadBindings } from './actions.js';
+import { ControlsScreen } from './controls-screen.js';
+import { InventoryScreen } from './inventory-screen.js';
+import { BlockPalette } from './block-palette.js';
+import { DeathScreen, HealthBar } from './hud.js';
+import { RecipeBook } from './crafting.js';
+import recipeTable from './recipes.json';
+import { WorldStorage } from './storage.js';
+import { WorldSelectScreen } from './menu.js';
+import { loadResourcePack } from './resource-pack.js';
+
+// Milliseconds between autosaves
+const AUTOSAVE_INTERVAL = 30000;
+
+// Game ticks per second, like Beta. Physics, block updates and everything
+// else that changes the world run on ticks; rendering runs as fast as the
+// screen refreshes and interpolates between the last two ticks.
+const DEFAULT_TICK_RATE = 20;
+
+// Game time one tick moves on, in seconds. It stays the same whatever the
+// tick rate, so a slower rate slows the whole game down evenly.
+const TICK_LENGTH = 1 / DEFAULT_TICK_RATE;
+
+// Longest stretch of time caught up in one frame, so coming back to a
+// background tab doesn't run thousands of ticks at once
+const MAX_FRAME_TIME = 0.25;
 
 class Game {
     constructor() {
@@ -19,30 +45,24 @@ class Game {
         this.renderer.domElement.style.webkitUserSelect = 'none'; // Disable text selection on iOS
         this.renderer.domElement.style.userSelect = 'none';
 
-        // Add ambient light
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-        this.scene.add(ambientLight);
-
-        // Add directional light (sun)
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.6);
-        directionalLight.position.set(10, 20, 10);
-        this.scene.add(directionalLight);
-
-        // Initialize world first
-        this.world = new World(this.scene);
+        // No scene lights: blocks carry their own light (see lighting.js)
 
         // Initialize controls
         this.controls = new PointerLockControls(this.camera, document.body);
         this.scene.add(this.controls.getObject());
 
-        // Initialize player with safe spawn position
-        const spawnPosition = this.world.findSafeSpawnPosition();
-        this.player = new Player(this.camera, this.controls);
-        this.player.position.copy(spawnPosition);
-        this.player.camera.position.copy(spawnPosition);
-        this.player.world = this.world; // Set the world reference
-        
-        this.input = new InputHandler(this.player, this.world, this.renderer.domElement);
+        // The world, player and input are created once a world is picked
+        this.world = null;
+        this.player = null;
+        this.input = null;
+        this.storage = null;
+        this.worldRecord = null;
+        this.saving = null;
+        this.autosaveTimer = null;
+
+        // Resource pack picked on the world select screen or dropped onto
+        // the page, null for the generated textures
+        this.resourcePack = null;
 
         // Add FPS counter
         this.fpsCounter = document.createElement('div');
@@ -56,15 +76,26 @@ class Game {
         this.fpsCounter.style.pointerEvents = 'none';
         document.body.appendChild(this.fpsCounter);
 
-        // FPS calculation variables
+        // Show the world seed so worlds can be shared
+        this.seedDisplay = this.fpsCounter.cloneNode();
+        this.seedDisplay.style.top = '28px';
+        document.body.appendChild(this.seedDisplay);
+
+        // FPS and TPS calculation variables
         this.frameCount = 0;
+        this.tickCount = 0;
         this.lastTime = performance.now();
         this.fps = 0;
-        this.targetFPS = 60;
-        this.frameInterval = 1000 / this.targetFPS;
-        this.lastFrameTime = 0;
+        this.tps = 0;
+        this.lastFrameTime = null;
 
-        // Add click-to-start overlay
+        // Fixed-rate game ticks; ?tps=... overrides the rate for debugging
+        const tickRate = Number(new URLSearchParams(window.location.search).get('tps'));
+        this.tickRate = tickRate > 0 ? tickRate : DEFAULT_TICK_RATE;
+        this.tickTime = 0; // Seconds of game time not yet run as ticks
+
+        // Add click-to-start overlay, shown once a world is loaded and whenever
+        // the pointer is unlocked
         this.overlay = document.createElement('div');
         this.overlay.style.position = 'fixed';
         this.overlay.style.top = '0';
@@ -73,7 +104,9 @@ class Game {
         this.overlay.style.height = '100%';
         this.overlay.style.background = 'rgba(0, 0, 0, 0.5)';
         this.overlay.style.color = 'white';
-        this.overlay.style.display = 'flex';
+        this.overlay.style.display = 'none';
+        this.overlay.style.flexDirection = 'column';
+        this.overlay.style.gap = '16px';
         this.overlay.style.justifyContent = 'center';
         this.overlay.style.alignItems = 'center';
         this.overlay.style.fontSize = '24px';
@@ -81,6 +114,45 @@ class Game {
         this.overlay.textContent = 'Click to Start';
         document.body.appendChild(this.overlay);
 
+        const quitButton = document.createElement('button');
+        quitButton.textContent = 'Save and Quit to Title';
+        quitButton.style.fontFamily = 'monospace';
+        quitButton.style.fontSize = '16px';
+        quitButton.style.padding = '8px 12px';
+        quitButton.style.cursor = 'pointer';
+        quitButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.quitToTitle();
+        });
+        quitButton.addEventListener('touchstart', (e) => {
+            e.stopPropagation();
+        });
+        this.overlay.appendChild(quitButton);
+
+        // Switches the world between survival and creative
+        this.gameModeButton = quitButton.cloneNode();
+        this.gameModeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.setGameMode(this.player.isCreative() ? 'survival' : 'creative');
+        });
+        this.gameModeButton.addEventListener('touchstart', (e) => {
+            e.stopPropagation();
+        });
+        this.overlay.appendChild(this.gameModeButton);
+
+        // Rebinding keys, mouse and gamepad buttons
+        const controlsButton = quitButton.cloneNode();
+        controlsButton.textContent = 'Controls';
+        controlsButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.overlay.style.display = 'none';
+            this.controlsScreen.open();
+        });
+        controlsButton.addEventListener('touchstart', (e) => {
+            e.stopPropagation();
+        });
+        this.overlay.appendChild(controlsButton);
+
         // Setup pointer lock
         this.overlay.addEventListener('click', () => {
             this.controls.lock();
@@ -99,7 +171,19 @@ class Game {
         });
 
         this.controls.addEventListener('unlock', () => {
-            this.overlay.style.display = 'flex';
+            // The inventory, block palette and death screens free the mouse
+            // on purpose
+            if (this.world && !this.player.getOpenScreen() && !this.player.health.isDead()) {
+                this.overlay.style.display = 'flex';
+            }
+        });
+
+        // Save when the tab is hidden; this also covers closing the tab on
+        // most browsers
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveGame();
+            }
         });
 
         // Handle window resize
@@ -109,56 +193,256 @@ class Game {
             this.renderer.setSize(window.innerWidth, window.innerHeight);
         });
 
-        this.setupMobileKeypad();
+        // Dropping a resource pack .zip onto the page swaps the textures,
+        // also in the middle of a game
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const files = [...e.dataTransfer.files];
+            if (files.length !== 1 || !files[0].name.toLowerCase().endsWith('.zip')) return;
+            this.loadResourcePack(files).catch(error => {
+                console.error('Failed to load resource pack:', error);
+            });
+        });
+
+        this.showWorldSelect();
+    }
+
+    async showWorldSelect() {
+        try {
+            this.storage = await WorldStorage.open();
+        } catch (error) {
+            console.error('World saving unavailable:', error);
+            this.storage = null;
+        }
+
+        // A seed can be given as ?seed=... to prefill the new world form
+        const seed = new URLSearchParams(window.location.search).get('seed') || '';
+        this.worldSelect = new WorldSelectScreen(this.storage, {
+            defaultSeed: seed,
+            // If the world can't start, the screen comes back with the error
+            onPlay: (record) => this.startWorld(record).catch((error) => {
+                this.closeWorld();
+                throw error;
+            }),
+            onResourcePack: (files) => this.loadResourcePack(files)
+        });
+        await this.worldSelect.show();
+    }
+
+    // Load a resource pack from files, or go back to the generated textures
+    // with null. A running world switches over straight away.
+    async loadResourcePack(files) {
+        this.resourcePack = files ? await loadResourcePack(files) : null;
+        if (this.world) {
+            this.world.setResourcePack(this.resourcePack);
+            this.player.updateInventoryUI(); // Icons come from the textures
+        }
+        return this.resourcePack;
+    }
+
+    async startWorld(record) {
+        this.worldRecord = record;
+        const savedChunks = this.storage && record.id
+            ? await this.storage.listChunkKeys(record.id)
+            : new Set();
+
+        // Initialize world first
+        this.world = new World(this.scene, {
+            seed: record.seed,
+            time: record.time,
+            storage: record.id ? this.storage : null,
+            worldId: record.id,
+            savedChunks,
+            resourcePack: this.resourcePack
+        });
+
+        // ?time=... starts at that time of day, for testing the day cycle.
+        // From the console: game.world.setTimeOfDay(18000)
+        const timeOfDay = new URLSearchParams(window.location.search).get('time');
+        if (timeOfDay !== null && Number.isFinite(Number(timeOfDay))) {
+            this.world.setTimeOfDay(Number(timeOfDay));
+        }
+
+        // Initialize player, at the saved position or a safe spawn position
+        this.player = new Player(this.camera, this.controls);
+        this.player.world = this.world; // Set the world reference
+        if (record.player) {
+            this.player.applySaveData(record.player);
+        } else {
+            this.player.setPosition(this.getSpawnPosition());
+        }
+        
+        // Hotbar and the inventory screen, or in creative the block
+        // palette, which free the mouse while open
+        const recipes = new RecipeBook(recipeTable);
+        const screenOptions = {
+            onOpen: () => this.controls.unlock(),
+            onClose: (relock) => {
+                if (relock) this.controls.lock();
+                else this.overlay.style.display = 'flex';
+            }
+        };
+        this.player.inventoryScreen = new InventoryScreen(this.player, this.world.atlas, recipes, screenOptions);
+        this.player.blockPalette = new BlockPalette(this.player, this.player.inventoryScreen.icons, screenOptions);
+
+        // Input goes through actions with the player's saved bindings
+        this.input = new InputHandler(this.player, this.world, this.renderer.domElement, new ActionMap(loadBindings()));
+        this.controlsScreen = new ControlsScreen(this.input.actions, this.input, {
+            onClose: () => { this.overlay.style.display = 'flex'; }
+        });
+        this.player.controlsScreen = this.controlsScreen;
+
+        // Hearts and air above the hotbar. Dying frees the mouse and shows
+        // the death screen until the player respawns at the world spawn.
+        this.healthBar = new HealthBar(this.player.health);
+        this.deathScreen = new DeathScreen({ onRespawn: () => this.respawn() });
+        this.player.onDeath = (cause) => this.showDeathScreen(cause);
+        this.setGameMode(record.gameMode ?? 'survival');
+
+        this.seedDisplay.textContent = `Seed: ${this.world.seed}`;
+        this.overlay.style.display = 'flex';
+        if (this.player.health.isDead()) {
+            this.showDeathScreen(null);
+        }
+
+        if (record.id) {
+            this.autosaveTimer = setInterval(() => this.saveGame(), AUTOSAVE_INTERVAL);
+        }
 
         // Start the game loop
         this.animate();
     }
 
-    // Add keypad HTML and styling
-    setupMobileKeypad() {
-        const keypadHTML = `
-            <div id="mobile-keypad" style="position: fixed; bottom: 20px; left: 20px; z-index: 100;">
-                <div style="display: grid; grid-template-columns: repeat(3, 50px); gap: 10px;">
-                    <div></div><button id="move-forward" style="width: 50px; height: 50px; -webkit-tap-highlight-color: transparent; user-select: none;">▲</button><div></div>
-                    <button id="move-left" style="width: 50px; height: 50px; -webkit-tap-highlight-color: transparent; user-select: none;">◀</button><button id="move-backward" style="width: 50px; height: 50px; -webkit-tap-highlight-color: transparent; user-select: none;">▼</button><button id="move-right" style="width: 50px; height: 50px; -webkit-tap-highlight-color: transparent; user-select: none;">▶</button>
-                    <div></div><button id="jump-button" style="width: 50px; height: 50px; -webkit-tap-highlight-color: transparent; user-select: none;">Jump</button><div></div>
-                </div>
-            </div>
-        `;
-        document.body.insertAdjacentHTML('beforeend', keypadHTML);
+    // Where the player appears in a new world and after dying: the spawn
+    // point of an imported world, or dry land near the origin
+    getSpawnPosition() {
+        const spawn = this.worldRecord.spawn;
+        return spawn
+            ? new THREE.Vector3(spawn.x, spawn.y + 1, spawn.z)
+            : this.world.findSafeSpawnPosition();
     }
 
-    animate() {
-        requestAnimationFrame(this.animate.bind(this));
-        
-        const currentTime = performance.now();
-        const elapsed = currentTime - this.lastFrameTime;
-        
-        // Only update if enough time has passed
-        if (elapsed >= this.frameInterval) {
-            // Calculate FPS
-            this.frameCount++;
-            const timeSinceLastFPSUpdate = currentTime - this.lastTime;
-            
-            if (timeSinceLastFPSUpdate >= 1000) {
-                this.fps = Math.round((this.frameCount * 1000) / timeSinceLastFPSUpdate);
-                this.fpsCounter.textContent = `FPS: ${this.fps}`;
-                this.frameCount = 0;
-                this.lastTime = currentTime;
+    // Switch the world between 'survival' and 'creative', e.g.
+    // game.setGameMode('creative') in the console. The dead have to
+    // respawn first.
+    setGameMode(mode) {
+        if (this.player.health.isDead() && mode !== this.player.gameMode) return;
+        this.player.getOpenScreen()?.close(false);
+        this.player.setGameMode(mode);
+        this.worldRecord.gameMode = mode;
+        this.healthBar.setVisible(mode === 'survival');
+        this.gameModeButton.textContent = `Game Mode: ${mode === 'creative' ? 'Creative' : 'Survival'}`;
+    }
+
+    showDeathScreen(cause) {
+        this.player.getOpenScreen()?.close(false);
+        this.controls.unlock();
+        this.overlay.style.display = 'none';
+        this.deathScreen.show(cause);
+    }
+
+    respawn() {
+        this.player.respawn(this.getSpawnPosition());
+        this.deathScreen.hide();
+        this.overlay.style.display = 'flex';
+    }
+
+    // Save changed chunks and the player. Overlapping calls share one save.
+    saveGame() {
+        if (!this.storage || !this.worldRecord || !this.worldRecord.id) {
+            return Promise.resolve();
+        }
+        if (this.saving) return this.saving;
+
+        this.saving = (async () => {
+            try {
+                await this.world.saveModifiedChunks();
+                this.worldRecord.player = this.player.getSaveData();
+                this.worldRecord.time = this.world.time;
+                this.worldRecord.lastPlayed = Date.now();
+                await this.storage.saveWorld(this.worldRecord);
+            } catch (error) {
+                console.error('Autosave failed:', error);
+            } finally {
+                this.saving = null;
             }
-            
-            const delta = this.frameInterval / 1000; // Convert to seconds
-            this.input.update();
-            this.player.update(delta);
-            this.world.update(this.player.position);
-            
-            this.renderer.render(this.scene, this.camera);
-            
-            this.lastFrameTime = currentTime;
+        })();
+        return this.saving;
+    }
+
+    // Undo a startWorld() that failed part way, so nothing is left to run or
+    // save
+    closeWorld() {
+        clearInterval(this.autosaveTimer);
+        this.autosaveTimer = null;
+        this.world?.dispose();
+        this.world = null;
+        this.worldRecord = null;
+    }
+
+    async quitToTitle() {
+        clearInterval(this.autosaveTimer);
+        await this.saveGame();
+        // Input listeners live on the document, so start from a clean page
+        window.location.reload();
+    }
+
+    // Change the game speed, e.g. game.setTickRate(5) in the console to
+    // watch physics and fluids in slow motion
+    setTickRate(tickRate) {
+        this.tickRate = Math.max(1, tickRate);
+    }
+
+    // One game tick: input, physics and block updates
+    tick() {
+        this.input.update();
+        this.player.update(TICK_LENGTH);
+        this.world.tick();
+    }
+
+    animate(currentTime = performance.now()) {
+        requestAnimationFrame(this.animate.bind(this));
+
+        const frameTime = this.lastFrameTime === null
+            ? 0
+            : Math.min((currentTime - this.lastFrameTime) / 1000, MAX_FRAME_TIME);
+        this.lastFrameTime = currentTime;
+
+        // Calculate FPS and TPS
+        this.frameCount++;
+        const timeSinceLastFPSUpdate = currentTime - this.lastTime;
+        if (timeSinceLastFPSUpdate >= 1000) {
+            this.fps = Math.round((this.frameCount * 1000) / timeSinceLastFPSUpdate);
+            this.tps = Math.round((this.tickCount * 1000) / timeSinceLastFPSUpdate);
+            this.fpsCounter.textContent = `FPS: ${this.fps} TPS: ${this.tps}/${this.tickRate}`;
+            this.frameCount = 0;
+            this.tickCount = 0;
+            this.lastTime = currentTime;
         }
+
+        // Gamepad buttons and sticks are polled, not sent as events
+        this.input.updateGamepad(frameTime);
+
+        // Run as many whole ticks as real time allows
+        const tickLength = 1 / this.tickRate;
+        this.tickTime += frameTime;
+        while (this.tickTime >= tickLength) {
+            this.tick();
+            this.tickTime -= tickLength;
+            this.tickCount++;
+        }
+
+        // Draw the player part way between the last two ticks
+        this.player.updateCamera(this.tickTime / tickLength);
+        this.input.updateHighlight();
+        this.healthBar.update();
+        this.world.update(this.player.position);
+
+        this.renderer.render(this.scene, this.camera);
     }
 }
 
-// Start the game
-const game = new Game(); 
\ No newline at end of file
+// Start the game. It is also reachable from the console for debugging.
+const game = new Game();
+window.game = game; 
\ No newline at end of file
@@ -0,0 +1,363 @@
+import { BlockId, isKnownBlock } from './blocks.js';
+import { INVENTORY_SIZE, MAX_STACK } from './inventory.js';
+import { MAX_AIR, MAX_HEALTH } from './health.js';
+import { isKnownItem } from './items.js';
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT, CHUNK_VOLUME } from './chunk.js';
+import { computeChunkLight, getBlockLight, getSkyLight } from './lighting.js';
+import { TagType, nbt, readNbt, getTag, decompress, readCompressedNbt, writeCompressedNbt } from './nbt.js';
+import { hashSeed } from './random.js';
+
+// Minecraft Beta McRegion (.mcr) region files and level.dat.
+//
+// A region file holds 32×32 chunks. It starts with two 4 KiB tables: chunk
+// locations (3-byte sector offset + 1-byte sector count) and timestamps. Each
+// chunk is stored at its sector as a 4-byte length, a compression byte (2 =
+// zlib) and the compressed NBT. Beta chunks are 16×128×16 with the same
+// Y-first block order as ours, so block arrays copy across directly.
+
+export const REGION_SIZE = 32;
+const SECTOR_SIZE = 4096;
+const COMPRESSION_ZLIB = 2;
+
+// Beta release this format belongs to (level.dat "version")
+const MCREGION_VERSION = 19132;
+
+// Beta blocks this game doesn't have yet, mapped to the closest block we do
+// have. Anything not listed here and not known is treated as stone if it is
+// a full block, see betaToBlockId().
+const betaBlockFallbacks = {
+    6: BlockId.AIR, // Sapling
+    20: BlockId.AIR, // Glass
+    31: BlockId.AIR, // Tall grass
+    32: BlockId.AIR, // Dead bush
+    37: BlockId.AIR, // Dandelion
+    38: BlockId.AIR, // Rose
+    39: BlockId.AIR, // Brown mushroom
+    40: BlockId.AIR, // Red mushroom
+    51: BlockId.AIR, // Fire
+    55: BlockId.AIR, // Redstone wire
+    59: BlockId.AIR, // Crops
+    63: BlockId.AIR, // Sign
+    64: BlockId.AIR, // Wooden door
+    65: BlockId.AIR, // Ladder
+    66: BlockId.AIR, // Rail
+    68: BlockId.AIR, // Wall sign
+    69: BlockId.AIR, // Lever
+    70: BlockId.AIR, // Stone pressure plate
+    71: BlockId.AIR, // Iron door
+    72: BlockId.AIR, // Wooden pressure plate
+    75: BlockId.AIR, // Redstone torch (off)
+    76: BlockId.AIR, // Redstone torch (on)
+    77: BlockId.AIR, // Button
+    78: BlockId.AIR, // Snow layer
+    83: BlockId.AIR, // Sugar cane
+    90: BlockId.AIR, // Portal
+    93: BlockId.AIR, // Repeater (off)
+    94: BlockId.AIR, // Repeater (on)
+    96: BlockId.AIR // Trapdoor
+};
+
+export function betaToBlockId(betaId) {
+    if (isKnownBlock(betaId)) return betaId;
+    return betaBlockFallbacks[betaId] ?? BlockId.STONE;
+}
+
+export function regionCoords(cx, cz) {
+    return { rx: Math.floor(cx / REGION_SIZE), rz: Math.floor(cz / REGION_SIZE) };
+}
+
+export function regionFileName(rx, rz) {
+    return `r.${rx}.${rz}.mcr`;
+}
+
+// Parse "r.<x>.<z>.mcr"; returns null for other names
+export function parseRegionFileName(name) {
+    const match = /^r\.(-?\d+)\.(-?\d+)\.mcr$/.exec(name);
+    return match ? { rx: Number(match[1]), rz: Number(match[2]) } : null;
+}
+
+// Beta positions are measured from block corners, ours from block centres, and
+// Beta stores the player's eye height (1.62 above the feet) where we store the
+// centre of a 1.2 high box
+const BETA_EYE_HEIGHT = 1.62;
+const PLAYER_HALF_HEIGHT = 0.6;
+
+export function fromBetaPosition([x, y, z]) {
+    return {
+        x: x - 0.5,
+        y: y - BETA_EYE_HEIGHT - 0.5 + PLAYER_HALF_HEIGHT,
+        z: z - 0.5
+    };
+}
+
+export function toBetaPosition({ x, y, z }) {
+    return [x + 0.5, y - PLAYER_HALF_HEIGHT + 0.5 + BETA_EYE_HEIGHT, z + 0.5];
+}
+
+// Read every chunk in a region file. Returns [{ cx, cz, blocks, data }] with
+// block IDs already mapped to ours and the Data nibbles unpacked to bytes.
+export async function readRegion(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < SECTOR_SIZE * 2) {
+        throw new Error('Region file is too short to contain a header');
+    }
+
+    const chunks = [];
+    for (let i = 0; i < REGION_SIZE * REGION_SIZE; i++) {
+        const location = view.getUint32(i * 4);
+        if (location === 0) continue;
+
+        const start = (location >>> 8) * SECTOR_SIZE;
+        if (start + 5 > bytes.length) {
+            throw new Error(`Chunk ${i} points past the end of the region file`);
+        }
+        const length = view.getUint32(start);
+        const compression = view.getUint8(start + 4);
+        if (compression !== COMPRESSION_ZLIB) {
+            throw new Error(`Chunk ${i} uses unsupported compression type ${compression}`);
+        }
+
+        const data = bytes.subarray(start + 5, start + 4 + length);
+        const { tag } = readNbt(await decompress(data, 'deflate'));
+        chunks.push(chunkFromNbt(tag));
+    }
+    return chunks;
+}
+
+function chunkFromNbt(root) {
+    const level = getTag(root, 'Level', TagType.COMPOUND);
+    if (!level) throw new Error('Chunk NBT has no Level compound');
+
+    const cx = getTag(level, 'xPos', TagType.INT)?.value;
+    const cz = getTag(level, 'zPos', TagType.INT)?.value;
+    const betaBlocks = getTag(level, 'Blocks', TagType.BYTE_ARRAY)?.value;
+    if (cx === undefined || cz === undefined || !betaBlocks || betaBlocks.length !== CHUNK_VOLUME) {
+        throw new Error('Chunk NBT is missing xPos, zPos or a full Blocks array');
+    }
+
+    const blocks = new Uint8Array(CHUNK_VOLUME);
+    for (let i = 0; i < CHUNK_VOLUME; i++) {
+        blocks[i] = betaToBlockId(betaBlocks[i]);
+    }
+
+    // Data is optional; without it every block gets 0
+    const data = new Uint8Array(CHUNK_VOLUME);
+    const betaData = getTag(level, 'Data', TagType.BYTE_ARRAY)?.value;
+    if (betaData && betaData.length === CHUNK_VOLUME / 2) {
+        for (let i = 0; i < CHUNK_VOLUME; i++) {
+            data[i] = getNibble(betaData, i);
+        }
+    }
+    return { cx, cz, blocks, data };
+}
+
+function getNibble(array, index) {
+    const byte = array[index >> 1];
+    return index & 1 ? byte >> 4 : byte & 0x0F;
+}
+
+function setNibble(array, index, value) {
+    const byte = index >> 1;
+    if (index & 1) {
+        array[byte] = (array[byte] & 0x0F) | (value << 4);
+    } else {
+        array[byte] = (array[byte] & 0xF0) | value;
+    }
+}
+
+function chunkToNbt(chunk) {
+    const blockCount = CHUNK_VOLUME;
+    const heightMap = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+    const skyLight = new Uint8Array(blockCount / 2);
+    const blockLight = new Uint8Array(blockCount / 2);
+    const data = new Uint8Array(blockCount / 2);
+
+    // Saved chunks don't keep their light, so light those on their own
+    const light = chunk.light ?? computeChunkLight(chunk.blocks);
+    for (let i = 0; i < blockCount; i++) {
+        setNibble(data, i, chunk.data[i] & 0x0F);
+        setNibble(skyLight, i, getSkyLight(light[i]));
+        setNibble(blockLight, i, getBlockLight(light[i]));
+    }
+
+    // Height above the highest block of each column
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            let height = 0;
+            for (let y = CHUNK_HEIGHT - 1; y >= 0; y--) {
+                if (chunk.blocks[Chunk.index(x, y, z)] !== BlockId.AIR) {
+                    height = y + 1;
+                    break;
+                }
+            }
+            heightMap[(z << 4) | x] = height;
+        }
+    }
+
+    return nbt.compound({
+        Level: nbt.compound({
+            xPos: nbt.int(chunk.cx),
+            zPos: nbt.int(chunk.cz),
+            LastUpdate: nbt.long(0),
+            TerrainPopulated: nbt.byte(1),
+            Blocks: nbt.byteArray(chunk.blocks),
+            Data: nbt.byteArray(data),
+            SkyLight: nbt.byteArray(skyLight),
+            BlockLight: nbt.byteArray(blockLight),
+            HeightMap: nbt.byteArray(heightMap),
+            Entities: nbt.list(TagType.COMPOUND, []),
+            TileEntities: nbt.list(TagType.COMPOUND, [])
+        })
+    });
+}
+
+// Build a region file from chunks ({ cx, cz, blocks, data }) that all lie in the
+// same region
+export async function writeRegion(chunks) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const header = new DataView(new ArrayBuffer(SECTOR_SIZE * 2));
+    const sectors = [];
+    let nextSector = 2;
+
+    for (const chunk of chunks) {
+        const compressed = await writeCompressedNbt(chunkToNbt(chunk), '', 'deflate');
+        const sectorCount = Math.ceil((compressed.length + 5) / SECTOR_SIZE);
+        if (sectorCount > 255) {
+            throw new Error(`Chunk ${chunk.cx}, ${chunk.cz} is too large for a region file`);
+        }
+
+        const data = new Uint8Array(sectorCount * SECTOR_SIZE);
+        const view = new DataView(data.buffer);
+        view.setUint32(0, compressed.length + 1);
+        view.setUint8(4, COMPRESSION_ZLIB);
+        data.set(compressed, 5);
+
+        const index = (chunk.cx & (REGION_SIZE - 1)) + (chunk.cz & (REGION_SIZE - 1)) * REGION_SIZE;
+        header.setUint32(index * 4, (nextSector << 8) | sectorCount);
+        header.setUint32(SECTOR_SIZE + index * 4, timestamp);
+        sectors.push(data);
+        nextSector += sectorCount;
+    }
+
+    const region = new Uint8Array(nextSector * SECTOR_SIZE);
+    region.set(new Uint8Array(header.buffer), 0);
+    let offset = SECTOR_SIZE * 2;
+    for (const data of sectors) {
+        region.set(data, offset);
+        offset += data.length;
+    }
+    return region;
+}
+
+// Read the parts of level.dat this game uses
+export async function readLevelDat(bytes) {
+    const { tag } = await readCompressedNbt(bytes);
+    const data = getTag(tag, 'Data', TagType.COMPOUND);
+    if (!data) throw new Error('level.dat has no Data compound');
+
+    const level = {
+        name: getTag(data, 'LevelName', TagType.STRING)?.value ?? 'Imported World',
+        seed: String(getTag(data, 'RandomSeed', TagType.LONG)?.value ?? 0n),
+        time: Number(getTag(data, 'Time', TagType.LONG)?.value ?? 0n),
+        // GameType came after Beta 1.7 (1 is creative); older saves are survival
+        gameMode: getTag(data, 'GameType', TagType.INT)?.value === 1 ? 'creative' : 'survival',
+        spawn: {
+            x: getTag(data, 'SpawnX', TagType.INT)?.value ?? 0,
+            y: getTag(data, 'SpawnY', TagType.INT)?.value ?? 64,
+            z: getTag(data, 'SpawnZ', TagType.INT)?.value ?? 0
+        },
+        player: null
+    };
+
+    const player = getTag(data, 'Player', TagType.COMPOUND);
+    const pos = player && getTag(player, 'Pos', TagType.LIST);
+    if (pos && pos.value.length === 3) {
+        const rotation = getTag(player, 'Rotation', TagType.LIST);
+        const [yaw, pitch] = rotation ? rotation.value.map(item => item.value) : [0, 0];
+        level.player = {
+            position: fromBetaPosition(pos.value.map(item => item.value)),
+            // Beta yaw is in degrees with 0 facing +Z; pitch is positive looking down
+            rotation: {
+                x: -pitch * Math.PI / 180,
+                y: Math.PI - yaw * Math.PI / 180
+            },
+            inventory: readInventory(getTag(player, 'Inventory', TagType.LIST)),
+            health: getTag(player, 'Health', TagType.SHORT)?.value ?? MAX_HEALTH,
+            air: getTag(player, 'Air', TagType.SHORT)?.value ?? MAX_AIR,
+            fire: Math.max(0, getTag(player, 'Fire', TagType.SHORT)?.value ?? 0)
+        };
+    }
+
+    return level;
+}
+
+// Slots 0-35 of a Beta inventory (hotbar then main grid), as { id, count }
+// (null if empty). Armour slots (100-103) are left out.
+function readInventory(list) {
+    const slots = Array(INVENTORY_SIZE).fill(null);
+    if (!list) return slots;
+    for (const item of list.value) {
+        const slot = getTag(item, 'Slot', TagType.BYTE)?.value;
+        const id = getTag(item, 'id', TagType.SHORT)?.value;
+        const count = getTag(item, 'Count', TagType.BYTE)?.value;
+        if (slot >= 0 && slot < INVENTORY_SIZE && isKnownItem(id) && id !== BlockId.AIR && count > 0) {
+            slots[slot] = { id, count };
+        }
+    }
+    return slots;
+}
+
+// Our slots are numbered like Beta's, and stacks never go over Beta's limit
+function writeInventory(inventory) {
+    const slots = [];
+    inventory.slice(0, INVENTORY_SIZE).forEach((item, slot) => {
+        if (!item) return;
+        slots.push(nbt.compound({
+            id: nbt.short(item.id),
+            Count: nbt.byte(Math.min(item.count, MAX_STACK)),
+            Damage: nbt.short(0),
+            Slot: nbt.byte(slot)
+        }));
+    });
+    return slots;
+}
+
+// Write level.dat. `player` is { position, rotation, inventory: [{ id, count } | null],
+// health, air, fire } with health, air and fire as in health.js
+export async function writeLevelDat({ name, seed, time = 0, gameMode = 'survival', spawn, player }) {
+    const data = {
+        RandomSeed: nbt.long(hashSeed(seed)),
+        SpawnX: nbt.int(spawn.x),
+        SpawnY: nbt.int(spawn.y),
+        SpawnZ: nbt.int(spawn.z),
+        Time: nbt.long(time),
+        LastPlayed: nbt.long(Date.now()),
+        SizeOnDisk: nbt.long(0),
+        LevelName: nbt.string(name),
+        GameType: nbt.int(gameMode === 'creative' ? 1 : 0),
+        version: nbt.int(MCREGION_VERSION)
+    };
+
+    if (player) {
+        const position = toBetaPosition(player.position);
+        const yaw = 180 - player.rotation.y * 180 / Math.PI;
+        const pitch = -player.rotation.x * 180 / Math.PI;
+        data.Player = nbt.compound({
+            Pos: nbt.list(TagType.DOUBLE, position.map(nbt.double)),
+            Motion: nbt.list(TagType.DOUBLE, [0, 0, 0].map(nbt.double)),
+            Rotation: nbt.list(TagType.FLOAT, [yaw, pitch].map(nbt.float)),
+            FallDistance: nbt.float(0),
+            Fire: nbt.short(player.fire > 0 ? player.fire : -20),
+            Air: nbt.short(player.air ?? MAX_AIR),
+            OnGround: nbt.byte(1),
+            Dimension: nbt.int(0),
+            Health: nbt.short(player.health ?? MAX_HEALTH),
+            HurtTime: nbt.short(0),
+            DeathTime: nbt.short(0),
+            AttackTime: nbt.short(0),
+            Inventory: nbt.list(TagType.COMPOUND, writeInventory(player.inventory))
+        });
+    }
+
+    return writeCompressedNbt(nbt.compound({ Data: nbt.compound(data) }), '', 'gzip');
+}
@@ -0,0 +1,326 @@
+import { getTextureNames } from './blocks.js';
+import { randomSeed } from './random.js';
+import { importBetaWorld, exportBetaWorld } from './world-transfer.js';
+
+// World select screen shown before the game starts. Lists saved worlds and
+// creates new ones. Without storage (no IndexedDB) only unsaved worlds can be
+// created.
+export class WorldSelectScreen {
+    constructor(storage, { defaultSeed = '', onPlay, onResourcePack = null }) {
+        this.storage = storage;
+        this.onPlay = onPlay;
+        this.onResourcePack = onResourcePack;
+
+        this.element = document.createElement('div');
+        this.element.id = 'worldSelect';
+        this.element.style.position = 'fixed';
+        this.element.style.top = '0';
+        this.element.style.left = '0';
+        this.element.style.width = '100%';
+        this.element.style.height = '100%';
+        this.element.style.background = 'rgba(0, 0, 0, 0.8)';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'monospace';
+        this.element.style.display = 'flex';
+        this.element.style.flexDirection = 'column';
+        this.element.style.alignItems = 'center';
+        this.element.style.overflowY = 'auto';
+        this.element.style.zIndex = '200';
+
+        const title = document.createElement('h1');
+        title.textContent = 'Select World';
+        title.style.fontSize = '28px';
+        this.element.appendChild(title);
+
+        this.list = document.createElement('div');
+        this.list.style.display = 'flex';
+        this.list.style.flexDirection = 'column';
+        this.list.style.gap = '8px';
+        this.list.style.width = 'min(90%, 420px)';
+        this.element.appendChild(this.list);
+
+        // New world form
+        const form = document.createElement('form');
+        form.style.display = 'flex';
+        form.style.flexDirection = 'column';
+        form.style.gap = '8px';
+        form.style.width = 'min(90%, 420px)';
+        form.style.marginTop = '24px';
+
+        this.nameInput = this.createInput('World name', 'New World');
+        this.seedInput = this.createInput('Seed (leave blank for random)', defaultSeed);
+
+        // Can be switched later from the pause screen
+        this.gameModeSelect = document.createElement('select');
+        this.gameModeSelect.style.padding = '8px';
+        this.gameModeSelect.style.fontFamily = 'monospace';
+        this.gameModeSelect.style.fontSize = '16px';
+        for (const [value, label] of [['survival', 'Survival'], ['creative', 'Creative']]) {
+            this.gameModeSelect.add(new Option(label, value));
+        }
+
+        const createButton = this.createButton('Create New World');
+        createButton.type = 'submit';
+
+        form.append(this.nameInput, this.seedInput, this.gameModeSelect, createButton);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createWorld();
+        });
+        this.element.appendChild(form);
+
+        // Import a Minecraft Beta save: its level.dat and region/*.mcr files
+        this.importInput = document.createElement('input');
+        this.importInput.type = 'file';
+        this.importInput.multiple = true;
+        this.importInput.accept = '.mcr,.dat';
+        this.importInput.style.display = 'none';
+        this.importInput.addEventListener('change', () => this.importWorld());
+
+        this.importButton = this.createButton('Import Beta World (.mcr + level.dat)');
+        this.importButton.style.marginTop = '8px';
+        this.importButton.style.width = 'min(90%, 420px)';
+        this.importButton.addEventListener('click', () => this.importInput.click());
+        this.element.append(this.importInput, this.importButton);
+
+        // Resource packs: a .zip or a folder of PNGs with a pack.json (see
+        // resource-pack.js). They last until the page is reloaded.
+        if (this.onResourcePack) {
+            this.element.appendChild(this.createResourcePackControls());
+        }
+
+        this.message = document.createElement('div');
+        this.message.style.marginTop = '12px';
+        this.message.style.color = '#f88';
+        this.element.appendChild(this.message);
+
+        document.body.appendChild(this.element);
+    }
+
+    createResourcePackControls() {
+        const section = document.createElement('div');
+        section.style.display = 'flex';
+        section.style.flexDirection = 'column';
+        section.style.gap = '8px';
+        section.style.width = 'min(90%, 420px)';
+        section.style.marginTop = '24px';
+
+        this.packStatus = document.createElement('div');
+        this.packStatus.textContent = 'Textures: default';
+        this.packStatus.style.textAlign = 'center';
+
+        const zipInput = document.createElement('input');
+        zipInput.type = 'file';
+        zipInput.accept = '.zip';
+        zipInput.style.display = 'none';
+        zipInput.addEventListener('change', () => this.loadResourcePack(zipInput));
+
+        const folderInput = document.createElement('input');
+        folderInput.type = 'file';
+        folderInput.webkitdirectory = true;
+        folderInput.style.display = 'none';
+        folderInput.addEventListener('change', () => this.loadResourcePack(folderInput));
+
+        const buttons = document.createElement('div');
+        buttons.style.display = 'flex';
+        buttons.style.gap = '8px';
+        const zipButton = this.createButton('Resource Pack (.zip)');
+        zipButton.addEventListener('click', () => zipInput.click());
+        const folderButton = this.createButton('Pack Folder');
+        folderButton.addEventListener('click', () => folderInput.click());
+        const defaultButton = this.createButton('Default');
+        defaultButton.addEventListener('click', async () => {
+            await this.onResourcePack(null);
+            this.packStatus.textContent = 'Textures: default';
+        });
+        [zipButton, folderButton, defaultButton].forEach(button => { button.style.flex = '1'; });
+        buttons.append(zipButton, folderButton, defaultButton);
+
+        section.append(this.packStatus, buttons, zipInput, folderInput);
+        return section;
+    }
+
+    async loadResourcePack(input) {
+        const files = [...input.files];
+        input.value = '';
+        if (files.length === 0) return;
+
+        this.message.textContent = 'Loading resource pack...';
+        try {
+            const pack = await this.onResourcePack(files);
+            this.packStatus.textContent = `Textures: ${pack.name} (${pack.textures.size} of ${getTextureNames().length})`;
+            this.message.textContent = '';
+        } catch (error) {
+            console.error('Failed to load resource pack:', error);
+            this.message.textContent = `Could not load resource pack: ${error.message}`;
+        }
+    }
+
+    createInput(placeholder, value) {
+        const input = document.createElement('input');
+        input.placeholder = placeholder;
+        input.value = value;
+        input.style.padding = '8px';
+        input.style.fontFamily = 'monospace';
+        input.style.fontSize = '16px';
+        return input;
+    }
+
+    createButton(label) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.padding = '8px 12px';
+        button.style.fontFamily = 'monospace';
+        button.style.fontSize = '16px';
+        button.style.cursor = 'pointer';
+        return button;
+    }
+
+    async show() {
+        this.element.style.display = 'flex';
+        await this.refresh();
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    async refresh() {
+        this.list.innerHTML = '';
+
+        if (!this.storage) {
+            this.message.textContent = 'Saving is not available in this browser. Worlds will not be kept.';
+            this.importButton.style.display = 'none';
+            return;
+        }
+
+        const worlds = await this.storage.listWorlds();
+        if (worlds.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No saved worlds yet.';
+            empty.style.textAlign = 'center';
+            this.list.appendChild(empty);
+        }
+
+        for (const world of worlds) {
+            this.list.appendChild(this.createWorldEntry(world));
+        }
+    }
+
+    createWorldEntry(world) {
+        const entry = document.createElement('div');
+        entry.style.display = 'flex';
+        entry.style.alignItems = 'center';
+        entry.style.gap = '8px';
+        entry.style.padding = '8px';
+        entry.style.background = 'rgba(255, 255, 255, 0.1)';
+        entry.style.border = '2px solid #666';
+
+        const info = document.createElement('div');
+        info.style.flex = '1';
+        const name = document.createElement('div');
+        name.textContent = world.name;
+        name.style.fontSize = '18px';
+        const details = document.createElement('div');
+        const gameMode = world.gameMode === 'creative' ? 'Creative' : 'Survival';
+        details.textContent = `${gameMode} · Seed: ${world.seed} · ${new Date(world.lastPlayed).toLocaleString()}`;
+        details.style.fontSize = '12px';
+        details.style.color = '#ccc';
+        info.append(name, details);
+
+        const playButton = this.createButton('Play');
+        playButton.addEventListener('click', () => this.playWorld(world.id));
+
+        const exportButton = this.createButton('Export');
+        exportButton.title = 'Download as a Minecraft Beta save (.zip)';
+        exportButton.addEventListener('click', () => this.exportWorld(world, exportButton));
+
+        const deleteButton = this.createButton('Delete');
+        deleteButton.addEventListener('click', async () => {
+            if (!window.confirm(`Delete "${world.name}"? This cannot be undone.`)) return;
+            await this.storage.deleteWorld(world.id);
+            await this.refresh();
+        });
+
+        entry.append(info, playButton, exportButton, deleteButton);
+        return entry;
+    }
+
+    async createWorld() {
+        const name = this.nameInput.value.trim() || 'New World';
+        const seedText = this.seedInput.value.trim();
+        const seed = seedText === '' ? randomSeed() : seedText;
+        const gameMode = this.gameModeSelect.value;
+
+        if (!this.storage) {
+            await this.play({ id: null, name, seed, gameMode, player: null });
+            return;
+        }
+
+        try {
+            const world = await this.storage.createWorld({ name, seed, gameMode });
+            await this.play(world);
+        } catch (error) {
+            console.error('Failed to create world:', error);
+            this.message.textContent = `Could not create world: ${error.message}`;
+        }
+    }
+
+    async importWorld() {
+        const files = [...this.importInput.files];
+        this.importInput.value = '';
+        if (files.length === 0) return;
+
+        this.message.textContent = 'Importing...';
+        try {
+            await importBetaWorld(files, this.storage);
+            this.message.textContent = '';
+            await this.refresh();
+        } catch (error) {
+            console.error('Failed to import world:', error);
+            this.message.textContent = `Could not import world: ${error.message}`;
+        }
+    }
+
+    async exportWorld(world, button) {
+        button.disabled = true;
+        this.message.textContent = 'Exporting...';
+        try {
+            const zip = await exportBetaWorld(await this.storage.loadWorld(world.id), this.storage);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([zip], { type: 'application/zip' }));
+            link.download = `${world.name}.zip`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            this.message.textContent = '';
+        } catch (error) {
+            console.error('Failed to export world:', error);
+            this.message.textContent = `Could not export world: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async playWorld(id) {
+        try {
+            const world = await this.storage.loadWorld(id);
+            await this.play(world);
+        } catch (error) {
+            console.error('Failed to load world:', error);
+            this.message.textContent = `Could not load world: ${error.message}`;
+        }
+    }
+
+    // Hide the screen and start a world. If it fails to start, show the
+    // screen again with the error.
+    async play(world) {
+        this.hide();
+        try {
+            await this.onPlay(world);
+        } catch (error) {
+            console.error('Failed to start world:', error);
+            await this.show();
+            this.message.textContent = `Could not start world: ${error.message}`;
+        }
+    }
+}
@@ -0,0 +1,584 @@
+import {
+    BlockId, FALLING_LEVEL, getFaceTexture, getFluid, getTextureIndex, getTorchSupport, isFluid, isSolidBlock, isTransparent
+} from './blocks.js';
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT } from './chunk.js';
+import { getBlockLight, getSkyLight, MAX_LIGHT, SKY_LIGHT_ABOVE } from './lighting.js';
+
+const dims = [CHUNK_SIZE, CHUNK_HEIGHT, CHUNK_SIZE];
+
+// A chunk plus a one-block border taken from its neighbours, used to mesh a
+// chunk away from the World (e.g. in a worker). Same Y-first layout as Chunk.
+export const PADDED_SIZE = CHUNK_SIZE + 2;
+
+function paddedIndex(x, y, z) {
+    return y + (z + 1) * CHUNK_HEIGHT + (x + 1) * CHUNK_HEIGHT * PADDED_SIZE;
+}
+
+// Copy a chunk and the facing columns of its eight neighbours into a padded
+// volume. `getNeighbour(dx, dz)` returns the neighbouring chunk or undefined.
+// `field` picks the chunk array to copy ('blocks', 'data' or 'light') and
+// missing neighbours are filled with `fill` (air, no data, or sky light).
+export function createPaddedVolume(chunk, getNeighbour, field = 'blocks', fill = 0) {
+    const volume = new Uint8Array(PADDED_SIZE * CHUNK_HEIGHT * PADDED_SIZE);
+    if (fill !== 0) volume.fill(fill);
+
+    // Columns are contiguous in both layouts, so copy a column at a time
+    const copyColumn = (source, sourceX, sourceZ, x, z) => {
+        const start = Chunk.index(sourceX, 0, sourceZ);
+        volume.set(source[field].subarray(start, start + CHUNK_HEIGHT), paddedIndex(x, 0, z));
+    };
+
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            copyColumn(chunk, x, z, x, z);
+        }
+    }
+
+    const west = getNeighbour(-1, 0);
+    const east = getNeighbour(1, 0);
+    const north = getNeighbour(0, -1);
+    const south = getNeighbour(0, 1);
+    for (let i = 0; i < CHUNK_SIZE; i++) {
+        if (west) copyColumn(west, CHUNK_SIZE - 1, i, -1, i);
+        if (east) copyColumn(east, 0, i, CHUNK_SIZE, i);
+        if (north) copyColumn(north, i, CHUNK_SIZE - 1, i, -1);
+        if (south) copyColumn(south, i, 0, i, CHUNK_SIZE);
+    }
+
+    // Fluid surfaces slope towards the diagonal neighbours too
+    const last = CHUNK_SIZE - 1;
+    for (const [dx, dz] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+        const corner = getNeighbour(dx, dz);
+        if (corner) {
+            copyColumn(corner, dx < 0 ? last : 0, dz < 0 ? last : 0, dx < 0 ? -1 : CHUNK_SIZE, dz < 0 ? -1 : CHUNK_SIZE);
+        }
+    }
+
+    return volume;
+}
+
+export function buildChunkMeshFromVolume(volume, levels, light) {
+    const inVolume = y => y >= 0 && y < CHUNK_HEIGHT;
+    return buildChunkMesh(
+        (x, y, z) => inVolume(y) ? volume[paddedIndex(x, y, z)] : BlockId.AIR,
+        (x, y, z) => inVolume(y) && levels ? levels[paddedIndex(x, y, z)] : 0,
+        (x, y, z) => {
+            if (y >= CHUNK_HEIGHT || !light) return SKY_LIGHT_ABOVE;
+            return y < 0 ? 0 : light[paddedIndex(x, y, z)];
+        }
+    );
+}
+
+// Fluids don't fill their block, so the faces behind them stay visible
+function letsFacesThrough(id) {
+    return isTransparent(id) || isFluid(id);
+}
+
+// A face between two blocks is drawn when the block behind it is solid and the
+// block in front of it lets light through. Faces between two blocks of the same
+// transparent type (e.g. leaves) are skipped. Fluids and torches are meshed
+// separately.
+function isFaceVisible(block, neighbour) {
+    if (block === BlockId.AIR || block === BlockId.TORCH || isFluid(block)) return false;
+    if (!letsFacesThrough(neighbour)) return false;
+    return block !== neighbour;
+}
+
+// Build the geometry buffers for one chunk. `getBlock(x, y, z)` takes chunk-local
+// coordinates and must also answer for the one-block border around the chunk
+// (x or z of -1 and 16) so faces on chunk edges are culled against neighbours.
+//
+// Coplanar faces of the same block type are merged greedily into larger quads.
+// UVs run from 0 to the quad size so repeating textures keep one tile per block,
+// and every vertex carries the atlas tile of its texture in `tiles`.
+//
+// `getLight(x, y, z)` gives the packed light of a block (see lighting.js),
+// also for the border. Each vertex gets the smooth light of the blocks in
+// front of its face plus ambient occlusion, baked into its colour: red is sky
+// light, green is block light and blue the shade from occlusion and the
+// face's direction. Faces only merge when all four corners match.
+//
+// Returns plain typed arrays plus one group per texture so this can run
+// without THREE. Fluids go into a separate `fluid` set of arrays (see
+// buildFluidMesh) so they can be drawn with their own material.
+// `getLevel(x, y, z)` gives the block data used for fluid levels.
+export function buildChunkMesh(getBlock, getLevel = () => 0, getLight = () => SKY_LIGHT_ABOVE) {
+    // Quads are collected per texture so each texture ends up as one draw group
+    const quadsByTexture = new Map();
+
+    const x = [0, 0, 0];
+    const q = [0, 0, 0];
+
+    for (let d = 0; d < 3; d++) {
+        const u = (d + 1) % 3;
+        const v = (d + 2) % 3;
+        const mask = new Int32Array(dims[u] * dims[v]);
+        const maskLight = new Uint16Array(dims[u] * dims[v] * 4);
+
+        q[0] = 0; q[1] = 0; q[2] = 0;
+        q[d] = 1;
+
+        // Walk every slice boundary along axis d. A boundary at s sits between
+        // the block at s - 1 and the block at s.
+        for (let s = 0; s <= dims[d]; s++) {
+            let n = 0;
+            for (x[v] = 0; x[v] < dims[v]; x[v]++) {
+                for (x[u] = 0; x[u] < dims[u]; x[u]++, n++) {
+                    x[d] = s - 1;
+                    const behind = getBlock(x[0], x[1], x[2]);
+                    x[d] = s;
+                    const ahead = getBlock(x[0], x[1], x[2]);
+
+                    // Positive IDs face +d and belong to the block behind the
+                    // boundary, negative IDs face -d and belong to the block ahead.
+                    // Faces of blocks outside this chunk belong to the neighbour.
+                    if (s > 0 && isFaceVisible(behind, ahead)) {
+                        mask[n] = behind;
+                    } else if (s < dims[d] && isFaceVisible(ahead, behind) &&
+                        !(d === 1 && s === 0)) {
+                        mask[n] = -ahead;
+                    } else {
+                        mask[n] = 0;
+                        continue;
+                    }
+
+                    // Light is sampled in the layer the face looks into
+                    x[d] = mask[n] > 0 ? s : s - 1;
+                    for (let c = 0; c < 4; c++) {
+                        maskLight[n * 4 + c] = getVertexLight(getBlock, getLight, x, u, v, CORNERS[c]);
+                    }
+                }
+            }
+
+            // Greedily merge the mask into rectangles
+            n = 0;
+            for (let j = 0; j < dims[v]; j++) {
+                for (let i = 0; i < dims[u];) {
+                    const id = mask[n];
+                    if (id === 0) {
+                        i++;
+                        n++;
+                        continue;
+                    }
+
+                    const matches = other => mask[other] === id && sameLight(maskLight, n, other);
+
+                    // Grow along u
+                    let width = 1;
+                    while (i + width < dims[u] && matches(n + width)) {
+                        width++;
+                    }
+
+                    // Grow along v while the whole row matches
+                    let height = 1;
+                    grow: while (j + height < dims[v]) {
+                        for (let k = 0; k < width; k++) {
+                            if (!matches(n + k + height * dims[u])) break grow;
+                        }
+                        height++;
+                    }
+
+                    const texture = getFaceTexture(Math.abs(id), d !== 1 ? 'side' : id > 0 ? 'top' : 'bottom');
+                    if (!quadsByTexture.has(texture)) quadsByTexture.set(texture, []);
+                    quadsByTexture.get(texture).push({
+                        d, u, v,
+                        s, i, j, width, height,
+                        front: id > 0,
+                        light: maskLight.slice(n * 4, n * 4 + 4)
+                    });
+
+                    // Clear the merged area
+                    for (let l = 0; l < height; l++) {
+                        for (let k = 0; k < width; k++) {
+                            mask[n + k + l * dims[u]] = 0;
+                        }
+                    }
+
+                    i += width;
+                    n += width;
+                }
+            }
+        }
+    }
+
+    addTorchQuads(getBlock, getLevel, getLight, quadsByTexture);
+
+    return {
+        ...writeQuads(quadsByTexture),
+        fluid: buildFluidMesh(getBlock, getLevel, getLight)
+    };
+}
+
+// Turn quads grouped by texture into geometry arrays with one draw group per
+// texture
+function writeQuads(quadsByTexture) {
+    let quadCount = 0;
+    quadsByTexture.forEach(quads => { quadCount += quads.length; });
+
+    const positions = new Float32Array(quadCount * 4 * 3);
+    const normals = new Float32Array(quadCount * 4 * 3);
+    const uvs = new Float32Array(quadCount * 4 * 2);
+    const colors = new Float32Array(quadCount * 4 * 3);
+    const indices = new Uint32Array(quadCount * 6);
+    const groups = [];
+
+    // Atlas tile of every vertex, so one material can draw every texture
+    const tiles = new Float32Array(quadCount * 4);
+
+    let quadIndex = 0;
+    quadsByTexture.forEach((quads, texture) => {
+        groups.push({ start: quadIndex * 6, count: quads.length * 6, texture });
+        tiles.fill(getTextureIndex(texture), quadIndex * 4, (quadIndex + quads.length) * 4);
+        for (const quad of quads) {
+            const write = quad.corners ? writeCornerQuad : writeQuad;
+            write(quad, quadIndex, positions, normals, uvs, colors, indices);
+            quadIndex++;
+        }
+    });
+
+    return { positions, normals, uvs, colors, tiles, indices, groups };
+}
+
+// Quad corners in (u, v), counter-clockwise when seen from +d
+const CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+// Brightness of each ambient occlusion level, from a corner boxed in by two
+// blocks (0) to a fully open one (3)
+const AO_SHADE = [0.55, 0.7, 0.85, 1];
+
+// Faces are shaded by direction like Beta: tops brightest, bottoms darkest
+function getFaceShade(d, front) {
+    if (d === 1) return front ? 1 : 0.5;
+    return d === 0 ? 0.6 : 0.8;
+}
+
+// Blocks that darken the corners next to them
+function castsShadow(id) {
+    return !letsFacesThrough(id);
+}
+
+// Light at one corner of a face: sky and block light averaged over the up to
+// four blocks in front of the face touching that corner, plus its ambient
+// occlusion. `position` is the block in front of the face and `corner` which
+// of its corners, in (u, v). Packed as sky and block light in quarter levels
+// (6 bits each) and the occlusion level (2 bits).
+function getVertexLight(getBlock, getLight, position, u, v, corner) {
+    const p = [position[0], position[1], position[2]];
+    const sideU = corner[0] ? 1 : -1;
+    const sideV = corner[1] ? 1 : -1;
+
+    let sky = 0;
+    let block = 0;
+    let count = 0;
+    const add = () => {
+        const light = getLight(p[0], p[1], p[2]);
+        sky += getSkyLight(light);
+        block += getBlockLight(light);
+        count++;
+    };
+
+    add();
+
+    p[u] += sideU;
+    const shadowU = castsShadow(getBlock(p[0], p[1], p[2]));
+    if (!shadowU) add();
+
+    p[u] -= sideU;
+    p[v] += sideV;
+    const shadowV = castsShadow(getBlock(p[0], p[1], p[2]));
+    if (!shadowV) add();
+
+    p[u] += sideU;
+    const shadowCorner = castsShadow(getBlock(p[0], p[1], p[2]));
+    if (!shadowCorner && !(shadowU && shadowV)) add();
+
+    const ao = shadowU && shadowV ? 0 : 3 - shadowU - shadowV - shadowCorner;
+    return Math.round(sky * 4 / count) | (Math.round(block * 4 / count) << 6) | (ao << 12);
+}
+
+function sameLight(maskLight, a, b) {
+    for (let c = 0; c < 4; c++) {
+        if (maskLight[a * 4 + c] !== maskLight[b * 4 + c]) return false;
+    }
+    return true;
+}
+
+// Write one vertex colour: sky light, block light, shade
+function writeColor(colors, vertex, sky, block, shade) {
+    const o = vertex * 3;
+    colors[o] = sky / MAX_LIGHT;
+    colors[o + 1] = block / MAX_LIGHT;
+    colors[o + 2] = shade;
+}
+
+// Flat light for faces without smoothing: the brighter of the block itself
+// and the one in front of the face
+function getFaceLight(getLight, x, y, z, normal) {
+    const own = getLight(x, y, z);
+    const front = getLight(x + normal[0], y + normal[1], z + normal[2]);
+    return {
+        sky: Math.max(getSkyLight(own), getSkyLight(front)),
+        block: Math.max(getBlockLight(own), getBlockLight(front))
+    };
+}
+
+function writeQuad(quad, quadIndex, positions, normals, uvs, colors, indices) {
+    const { d, u, v, s, i, j, width, height, front, light } = quad;
+    const faceShade = getFaceShade(d, front);
+
+    // Corners in block-corner space; blocks are centred on integer coordinates
+    // so everything is shifted by half a block on output.
+    const vertexOffset = quadIndex * 4;
+    const brightness = [];
+    for (let c = 0; c < 4; c++) {
+        const p = [0, 0, 0];
+        p[d] = s;
+        p[u] = i + CORNERS[c][0] * width;
+        p[v] = j + CORNERS[c][1] * height;
+
+        const o = (vertexOffset + c) * 3;
+        positions[o] = p[0] - 0.5;
+        positions[o + 1] = p[1] - 0.5;
+        positions[o + 2] = p[2] - 0.5;
+
+        normals[o] = 0;
+        normals[o + 1] = 0;
+        normals[o + 2] = 0;
+        normals[o + d] = front ? 1 : -1;
+
+        // Side faces keep the texture upright (V follows Y)
+        const uvOffset = (vertexOffset + c) * 2;
+        if (d === 1) {
+            uvs[uvOffset] = p[0];
+            uvs[uvOffset + 1] = p[2];
+        } else {
+            const horizontal = d === 0 ? 2 : 0;
+            uvs[uvOffset] = p[horizontal];
+            uvs[uvOffset + 1] = p[1];
+        }
+
+        const sky = (light[c] & 0x3F) / 4;
+        const block = ((light[c] >> 6) & 0x3F) / 4;
+        const ao = light[c] >> 12;
+        writeColor(colors, vertexOffset + c, sky, block, AO_SHADE[ao] * faceShade);
+        brightness.push(Math.max(sky, block) + ao * MAX_LIGHT);
+    }
+
+    // Corners wind counter-clockwise when seen from +d. The quad is split
+    // along the diagonal away from its darkest corners so occlusion doesn't
+    // smear across the whole face.
+    const indexOffset = quadIndex * 6;
+    const a = vertexOffset, b = vertexOffset + 1, c = vertexOffset + 2, e = vertexOffset + 3;
+    const flip = brightness[0] + brightness[2] < brightness[1] + brightness[3];
+    if (front) {
+        indices.set(flip ? [a, b, e, b, c, e] : [a, b, c, a, c, e], indexOffset);
+    } else {
+        indices.set(flip ? [a, e, b, b, e, c] : [a, c, b, a, e, c], indexOffset);
+    }
+}
+
+// Torches are thin posts: standing in the middle of the floor, or leaning
+// against the wall they hang on
+const TORCH_HALF_WIDTH = 1 / 16;
+const TORCH_HEIGHT = 10 / 16;
+const TORCH_WALL_OFFSET = 0.4;
+const TORCH_WALL_LIFT = 0.2;
+
+function addTorchQuads(getBlock, getLevel, getLight, quadsByTexture) {
+    const quads = [];
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            for (let y = 0; y < CHUNK_HEIGHT; y++) {
+                if (getBlock(x, y, z) !== BlockId.TORCH) continue;
+
+                // Block-corner space, like the fluid quads
+                const [sx, sy, sz] = getTorchSupport(getLevel(x, y, z));
+                const onWall = sy === 0;
+                const centerX = x + 0.5 + (onWall ? sx * TORCH_WALL_OFFSET : 0);
+                const centerZ = z + 0.5 + (onWall ? sz * TORCH_WALL_OFFSET : 0);
+                const bottom = y + (onWall ? TORCH_WALL_LIFT : 0);
+                const box = [
+                    [centerX - TORCH_HALF_WIDTH, bottom, centerZ - TORCH_HALF_WIDTH],
+                    [centerX + TORCH_HALF_WIDTH, bottom + TORCH_HEIGHT, centerZ + TORCH_HALF_WIDTH]
+                ];
+                const { sky, block } = getFaceLight(getLight, x, y, z, [0, 0, 0]);
+                quads.push(...boxQuads(box, sky, block));
+            }
+        }
+    }
+    if (quads.length > 0) quadsByTexture.set(getFaceTexture(BlockId.TORCH, 'side'), quads);
+}
+
+// The six faces of a box given as [min, max] corners
+function boxQuads([min, max], sky, block) {
+    const quads = [];
+    for (let axis = 0; axis < 3; axis++) {
+        const u = (axis + 1) % 3;
+        const v = (axis + 2) % 3;
+        for (const side of [0, 1]) {
+            const normal = [0, 0, 0];
+            normal[axis] = side ? 1 : -1;
+            const corners = CORNERS.map(([cu, cv]) => {
+                const p = [0, 0, 0];
+                p[axis] = side ? max[axis] : min[axis];
+                p[u] = cu ? max[u] : min[u];
+                p[v] = cv ? max[v] : min[v];
+                return p;
+            });
+            quads.push({ corners, normal, sky, block, shade: getFaceShade(axis, side === 1) });
+        }
+    }
+    return quads;
+}
+
+// Height of a fluid's surface inside its block. Sources are 8/9 full, each
+// level of flow lowers it by 1/9 and falling fluid fills the block.
+export function fluidSurfaceHeight(level) {
+    return level >= FALLING_LEVEL ? 1 : (8 - level) / 9;
+}
+
+const HORIZONTAL_FACES = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+// Fluid blocks get one quad per visible face instead of greedy merging,
+// because their top corners sit at different heights. Each corner height is
+// the average of the fluid blocks sharing it, so neighbouring surfaces meet
+// without gaps and slope down towards the end of a flow. Fluid faces are lit
+// flat, without smoothing or occlusion.
+function buildFluidMesh(getBlock, getLevel, getLight) {
+    const quadsByTexture = new Map();
+
+    // Add the light and shade of a face of the fluid block (x, y, z)
+    const lit = (x, y, z, quad) => {
+        const axis = quad.normal.findIndex(n => n !== 0);
+        return {
+            ...quad,
+            ...getFaceLight(getLight, x, y, z, quad.normal),
+            shade: getFaceShade(axis, quad.normal[axis] > 0)
+        };
+    };
+
+    // Surface height at the corner shared by the blocks (x - 1..x, z - 1..z)
+    const cornerHeight = (fluid, x, y, z) => {
+        let total = 0;
+        let weight = 0;
+        for (let bx = x - 1; bx <= x; bx++) {
+            for (let bz = z - 1; bz <= z; bz++) {
+                if (getFluid(getBlock(bx, y + 1, bz)) === fluid) return 1;
+
+                const id = getBlock(bx, y, bz);
+                if (getFluid(id) === fluid) {
+                    // Sources count more so pools stay level up to their edge
+                    const level = getLevel(bx, y, bz);
+                    const sourceWeight = level === 0 ? 10 : 1;
+                    total += fluidSurfaceHeight(level) * sourceWeight;
+                    weight += sourceWeight;
+                } else if (!isSolidBlock(id)) {
+                    // Open air next to the fluid pulls the edge down
+                    weight++;
+                }
+            }
+        }
+        return total / weight;
+    };
+
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            for (let y = 0; y < CHUNK_HEIGHT; y++) {
+                const fluid = getFluid(getBlock(x, y, z));
+                if (!fluid) continue;
+
+                const isOpen = id => getFluid(id) !== fluid && letsFacesThrough(id);
+                const texture = getFaceTexture(fluid.still, 'top');
+                if (!quadsByTexture.has(texture)) quadsByTexture.set(texture, []);
+                const quads = quadsByTexture.get(texture);
+
+                // Corner heights indexed [x][z] in block-corner space
+                const heights = [
+                    [cornerHeight(fluid, x, y, z), cornerHeight(fluid, x, y, z + 1)],
+                    [cornerHeight(fluid, x + 1, y, z), cornerHeight(fluid, x + 1, y, z + 1)]
+                ];
+
+                if (getFluid(getBlock(x, y + 1, z)) !== fluid) {
+                    quads.push(lit(x, y, z, {
+                        corners: [
+                            [x, y + heights[0][0], z],
+                            [x + 1, y + heights[1][0], z],
+                            [x + 1, y + heights[1][1], z + 1],
+                            [x, y + heights[0][1], z + 1]
+                        ],
+                        normal: [0, 1, 0]
+                    }));
+                }
+
+                if (y > 0 && isOpen(getBlock(x, y - 1, z))) {
+                    quads.push(lit(x, y, z, {
+                        corners: [[x, y, z], [x + 1, y, z], [x + 1, y, z + 1], [x, y, z + 1]],
+                        normal: [0, -1, 0]
+                    }));
+                }
+
+                for (const [dx, dz] of HORIZONTAL_FACES) {
+                    if (!isOpen(getBlock(x + dx, y, z + dz))) continue;
+
+                    // The two corners on this side, in block-corner space
+                    const sx = dx > 0 ? 1 : 0;
+                    const sz = dz > 0 ? 1 : 0;
+                    const [a, b] = dx !== 0 ? [[sx, 0], [sx, 1]] : [[0, sz], [1, sz]];
+                    quads.push(lit(x, y, z, {
+                        corners: [
+                            [x + a[0], y, z + a[1]],
+                            [x + b[0], y, z + b[1]],
+                            [x + b[0], y + heights[b[0]][b[1]], z + b[1]],
+                            [x + a[0], y + heights[a[0]][a[1]], z + a[1]]
+                        ],
+                        normal: [dx, 0, dz]
+                    }));
+                }
+            }
+        }
+    }
+
+    return writeQuads(quadsByTexture);
+}
+
+// Write a quad given by its four corners in block-corner space, lit evenly
+function writeCornerQuad(quad, quadIndex, positions, normals, uvs, colors, indices) {
+    const { corners, normal, sky, block, shade } = quad;
+    const vertexOffset = quadIndex * 4;
+    for (let c = 0; c < 4; c++) {
+        writeColor(colors, vertexOffset + c, sky, block, shade);
+
+        const [px, py, pz] = corners[c];
+        const o = (vertexOffset + c) * 3;
+        positions[o] = px - 0.5;
+        positions[o + 1] = py - 0.5;
+        positions[o + 2] = pz - 0.5;
+        normals.set(normal, o);
+
+        // Same UV layout as the block faces
+        const uvOffset = (vertexOffset + c) * 2;
+        if (normal[1] !== 0) {
+            uvs[uvOffset] = px;
+            uvs[uvOffset + 1] = pz;
+        } else {
+            uvs[uvOffset] = normal[0] !== 0 ? pz : px;
+            uvs[uvOffset + 1] = py;
+        }
+    }
+
+    // Wind the corners so the face points along its normal
+    const [p0, p1, p2] = corners;
+    const e1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+    const e2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+    const facing =
+        (e1[1] * e2[2] - e1[2] * e2[1]) * normal[0] +
+        (e1[2] * e2[0] - e1[0] * e2[2]) * normal[1] +
+        (e1[0] * e2[1] - e1[1] * e2[0]) * normal[2];
+
+    const a = vertexOffset, b = vertexOffset + 1, c = vertexOffset + 2, e = vertexOffset + 3;
+    if (facing > 0) {
+        indices.set([a, b, c, a, c, e], quadIndex * 6);
+    } else {
+        indices.set([a, c, b, a, e, c], quadIndex * 6);
+    }
+}
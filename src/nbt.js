@@ -0,0 +1,521 @@
+// Reader and writer for Minecraft's NBT (Named Binary Tag) format, big-endian
+// as used by level.dat, region files and structure files. Works the same in
+// the browser and in Node (18+); nothing here touches the DOM.
+//
+// Tags are plain objects { type, value }:
+//   BYTE, SHORT, INT, FLOAT, DOUBLE -> number
+//   LONG                            -> BigInt
+//   BYTE_ARRAY                      -> Uint8Array (raw bytes, read as unsigned)
+//   STRING                          -> string
+//   LIST                            -> array of tags, plus `elementType`
+//   COMPOUND                        -> Map of name -> tag, in file order
+//   INT_ARRAY                       -> Int32Array
+//   LONG_ARRAY                      -> BigInt64Array
+//
+// Reading and writing back gives the same bytes: compounds keep their order,
+// strings use Java's modified UTF-8, and NaN floats keep their bit pattern in
+// a `bits` property.
+
+export const TagType = {
+    END: 0,
+    BYTE: 1,
+    SHORT: 2,
+    INT: 3,
+    LONG: 4,
+    FLOAT: 5,
+    DOUBLE: 6,
+    BYTE_ARRAY: 7,
+    STRING: 8,
+    LIST: 9,
+    COMPOUND: 10,
+    INT_ARRAY: 11,
+    LONG_ARRAY: 12
+};
+
+const tagNames = Object.fromEntries(Object.entries(TagType).map(([name, type]) => [type, name]));
+
+// Same nesting limit as the Java implementation, so hostile files can't blow
+// the stack
+const MAX_DEPTH = 512;
+
+export class NbtError extends Error {
+    constructor(message, offset) {
+        super(offset === undefined ? message : `${message} (at byte ${offset})`);
+        this.name = 'NbtError';
+        this.offset = offset;
+    }
+}
+
+// Helpers for building tags
+export const nbt = {
+    byte: value => ({ type: TagType.BYTE, value }),
+    short: value => ({ type: TagType.SHORT, value }),
+    int: value => ({ type: TagType.INT, value }),
+    long: value => ({ type: TagType.LONG, value: BigInt(value) }),
+    float: value => ({ type: TagType.FLOAT, value }),
+    double: value => ({ type: TagType.DOUBLE, value }),
+    byteArray: value => ({ type: TagType.BYTE_ARRAY, value }),
+    string: value => ({ type: TagType.STRING, value }),
+    list: (elementType, value) => ({ type: TagType.LIST, elementType, value }),
+    compound: entries => ({ type: TagType.COMPOUND, value: new Map(Object.entries(entries)) }),
+    intArray: value => ({ type: TagType.INT_ARRAY, value: Int32Array.from(value) }),
+    longArray: value => ({ type: TagType.LONG_ARRAY, value: BigInt64Array.from(value, BigInt) })
+};
+
+// Java's modified UTF-8: NUL is written as two bytes and characters outside
+// the BMP as two three-byte surrogates
+function encodeModifiedUtf8(text) {
+    const bytes = [];
+    for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        if (c >= 0x01 && c <= 0x7F) {
+            bytes.push(c);
+        } else if (c <= 0x7FF) {
+            bytes.push(0xC0 | (c >> 6), 0x80 | (c & 0x3F));
+        } else {
+            bytes.push(0xE0 | (c >> 12), 0x80 | ((c >> 6) & 0x3F), 0x80 | (c & 0x3F));
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+function decodeModifiedUtf8(bytes, offset) {
+    let text = '';
+    for (let i = 0; i < bytes.length;) {
+        const a = bytes[i];
+        let c;
+        if (a < 0x80 && a !== 0) {
+            c = a;
+            i += 1;
+        } else if ((a & 0xE0) === 0xC0 && i + 1 < bytes.length && (bytes[i + 1] & 0xC0) === 0x80) {
+            c = ((a & 0x1F) << 6) | (bytes[i + 1] & 0x3F);
+            // Only NUL may use a longer form than needed
+            if (c < 0x80 && c !== 0) throw new NbtError('Overlong modified UTF-8 sequence in string', offset + i);
+            i += 2;
+        } else if ((a & 0xF0) === 0xE0 && i + 2 < bytes.length &&
+            (bytes[i + 1] & 0xC0) === 0x80 && (bytes[i + 2] & 0xC0) === 0x80) {
+            c = ((a & 0x0F) << 12) | ((bytes[i + 1] & 0x3F) << 6) | (bytes[i + 2] & 0x3F);
+            if (c < 0x800) throw new NbtError('Overlong modified UTF-8 sequence in string', offset + i);
+            i += 3;
+        } else {
+            throw new NbtError('Invalid modified UTF-8 in string', offset + i);
+        }
+        text += String.fromCharCode(c);
+    }
+    return text;
+}
+
+class NbtReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+        this.depth = 0;
+    }
+
+    need(size, what) {
+        if (this.offset + size > this.bytes.length) {
+            throw new NbtError(`Unexpected end of data while reading ${what}`, this.offset);
+        }
+    }
+
+    readLength(what) {
+        const start = this.offset;
+        const length = this.readPayload(TagType.INT);
+        if (length < 0) throw new NbtError(`Negative ${what} length ${length}`, start);
+        return length;
+    }
+
+    readPayload(type) {
+        const view = this.view;
+        let value;
+        switch (type) {
+            case TagType.BYTE:
+                this.need(1, 'BYTE');
+                value = view.getInt8(this.offset);
+                this.offset += 1;
+                return value;
+            case TagType.SHORT:
+                this.need(2, 'SHORT');
+                value = view.getInt16(this.offset);
+                this.offset += 2;
+                return value;
+            case TagType.INT:
+                this.need(4, 'INT');
+                value = view.getInt32(this.offset);
+                this.offset += 4;
+                return value;
+            case TagType.LONG:
+                this.need(8, 'LONG');
+                value = view.getBigInt64(this.offset);
+                this.offset += 8;
+                return value;
+            case TagType.FLOAT:
+                this.need(4, 'FLOAT');
+                value = view.getFloat32(this.offset);
+                this.offset += 4;
+                return value;
+            case TagType.DOUBLE:
+                this.need(8, 'DOUBLE');
+                value = view.getFloat64(this.offset);
+                this.offset += 8;
+                return value;
+            case TagType.BYTE_ARRAY: {
+                const length = this.readLength('BYTE_ARRAY');
+                this.need(length, 'BYTE_ARRAY');
+                value = this.bytes.slice(this.offset, this.offset + length);
+                this.offset += length;
+                return value;
+            }
+            case TagType.STRING: {
+                this.need(2, 'STRING length');
+                const length = view.getUint16(this.offset);
+                this.offset += 2;
+                this.need(length, 'STRING');
+                value = decodeModifiedUtf8(this.bytes.subarray(this.offset, this.offset + length), this.offset);
+                this.offset += length;
+                return value;
+            }
+            case TagType.INT_ARRAY: {
+                const length = this.readLength('INT_ARRAY');
+                this.need(length * 4, 'INT_ARRAY');
+                value = new Int32Array(length);
+                for (let i = 0; i < length; i++, this.offset += 4) {
+                    value[i] = view.getInt32(this.offset);
+                }
+                return value;
+            }
+            case TagType.LONG_ARRAY: {
+                const length = this.readLength('LONG_ARRAY');
+                this.need(length * 8, 'LONG_ARRAY');
+                value = new BigInt64Array(length);
+                for (let i = 0; i < length; i++, this.offset += 8) {
+                    value[i] = view.getBigInt64(this.offset);
+                }
+                return value;
+            }
+            default:
+                throw new NbtError(`Unknown tag type ${type}`, this.offset);
+        }
+    }
+
+    readTag(type) {
+        const start = this.offset;
+        switch (type) {
+            case TagType.LIST: {
+                this.enter(start);
+                const elementType = this.readPayload(TagType.BYTE);
+                const length = this.readLength('LIST');
+                if (elementType === TagType.END && length > 0) {
+                    throw new NbtError('LIST of END tags must be empty', start);
+                }
+                if (!(elementType in tagNames)) {
+                    throw new NbtError(`Unknown LIST element type ${elementType}`, start);
+                }
+                const items = [];
+                for (let i = 0; i < length; i++) {
+                    items.push(this.readTag(elementType));
+                }
+                this.depth--;
+                return { type, elementType, value: items };
+            }
+            case TagType.COMPOUND: {
+                this.enter(start);
+                const entries = new Map();
+                for (;;) {
+                    const childType = this.readPayload(TagType.BYTE);
+                    if (childType === TagType.END) break;
+                    if (!(childType in tagNames)) {
+                        throw new NbtError(`Unknown tag type ${childType}`, this.offset - 1);
+                    }
+                    const nameOffset = this.offset;
+                    const name = this.readPayload(TagType.STRING);
+                    if (entries.has(name)) {
+                        throw new NbtError(`Duplicate name "${name}" in COMPOUND`, nameOffset);
+                    }
+                    entries.set(name, this.readTag(childType));
+                }
+                this.depth--;
+                return { type, value: entries };
+            }
+            case TagType.FLOAT:
+            case TagType.DOUBLE: {
+                const value = this.readPayload(type);
+                const tag = { type, value };
+                if (Number.isNaN(value)) {
+                    // Keep the exact NaN so it is written back unchanged
+                    tag.bits = type === TagType.FLOAT
+                        ? this.view.getUint32(start)
+                        : this.view.getBigUint64(start);
+                }
+                return tag;
+            }
+            default:
+                return { type, value: this.readPayload(type) };
+        }
+    }
+
+    enter(offset) {
+        if (++this.depth > MAX_DEPTH) {
+            throw new NbtError(`Tags nested deeper than ${MAX_DEPTH} levels`, offset);
+        }
+    }
+}
+
+function checkInteger(value, min, max, type) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new NbtError(`${tagNames[type]} value ${value} is not an integer between ${min} and ${max}`);
+    }
+}
+
+function checkBigInt(value) {
+    const big = BigInt(value);
+    if (BigInt.asIntN(64, big) !== big) {
+        throw new NbtError(`LONG value ${value} does not fit in 64 bits`);
+    }
+    return big;
+}
+
+class NbtWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1024);
+        this.view = new DataView(this.buffer.buffer);
+        this.offset = 0;
+        this.depth = 0;
+    }
+
+    ensure(size) {
+        if (this.offset + size <= this.buffer.length) return;
+        let length = this.buffer.length * 2;
+        while (this.offset + size > length) length *= 2;
+        const buffer = new Uint8Array(length);
+        buffer.set(this.buffer);
+        this.buffer = buffer;
+        this.view = new DataView(buffer.buffer);
+    }
+
+    writeByte(value) {
+        this.ensure(1);
+        this.view.setInt8(this.offset, value);
+        this.offset += 1;
+    }
+
+    writeInt(value) {
+        this.ensure(4);
+        this.view.setInt32(this.offset, value);
+        this.offset += 4;
+    }
+
+    writePayload(tag) {
+        const { type, value } = tag;
+        switch (type) {
+            case TagType.BYTE:
+                checkInteger(value, -128, 127, type);
+                this.writeByte(value);
+                break;
+            case TagType.SHORT:
+                checkInteger(value, -32768, 32767, type);
+                this.ensure(2);
+                this.view.setInt16(this.offset, value);
+                this.offset += 2;
+                break;
+            case TagType.INT:
+                checkInteger(value, -2147483648, 2147483647, type);
+                this.writeInt(value);
+                break;
+            case TagType.LONG:
+                this.ensure(8);
+                this.view.setBigInt64(this.offset, checkBigInt(value));
+                this.offset += 8;
+                break;
+            case TagType.FLOAT:
+                this.ensure(4);
+                if (Number.isNaN(value) && tag.bits !== undefined) {
+                    this.view.setUint32(this.offset, tag.bits);
+                } else {
+                    this.view.setFloat32(this.offset, value);
+                }
+                this.offset += 4;
+                break;
+            case TagType.DOUBLE:
+                this.ensure(8);
+                if (Number.isNaN(value) && tag.bits !== undefined) {
+                    this.view.setBigUint64(this.offset, BigInt(tag.bits));
+                } else {
+                    this.view.setFloat64(this.offset, value);
+                }
+                this.offset += 8;
+                break;
+            case TagType.BYTE_ARRAY:
+                this.writeInt(value.length);
+                this.ensure(value.length);
+                this.buffer.set(value, this.offset);
+                this.offset += value.length;
+                break;
+            case TagType.STRING: {
+                if (typeof value !== 'string') {
+                    throw new NbtError(`STRING value must be a string, got ${typeof value}`);
+                }
+                const bytes = encodeModifiedUtf8(value);
+                if (bytes.length > 0xFFFF) {
+                    throw new NbtError(`STRING is ${bytes.length} bytes long, the limit is 65535`);
+                }
+                this.ensure(2 + bytes.length);
+                this.view.setUint16(this.offset, bytes.length);
+                this.offset += 2;
+                this.buffer.set(bytes, this.offset);
+                this.offset += bytes.length;
+                break;
+            }
+            case TagType.LIST: {
+                this.enter();
+                const elementType = tag.elementType ?? (value.length > 0 ? value[0].type : TagType.END);
+                if (elementType === TagType.END && value.length > 0) {
+                    throw new NbtError('LIST with elements needs an elementType');
+                }
+                this.writeByte(elementType);
+                this.writeInt(value.length);
+                for (const item of value) {
+                    if (item.type !== elementType) {
+                        throw new NbtError(`LIST of ${tagNames[elementType]} contains a ${tagNames[item.type]}`);
+                    }
+                    this.writePayload(item);
+                }
+                this.depth--;
+                break;
+            }
+            case TagType.COMPOUND:
+                this.enter();
+                for (const [name, child] of value) {
+                    this.writeNamedTag(name, child);
+                }
+                this.writeByte(TagType.END);
+                this.depth--;
+                break;
+            case TagType.INT_ARRAY:
+                this.writeInt(value.length);
+                this.ensure(value.length * 4);
+                for (const item of value) {
+                    this.view.setInt32(this.offset, item);
+                    this.offset += 4;
+                }
+                break;
+            case TagType.LONG_ARRAY:
+                this.writeInt(value.length);
+                this.ensure(value.length * 8);
+                for (const item of value) {
+                    this.view.setBigInt64(this.offset, checkBigInt(item));
+                    this.offset += 8;
+                }
+                break;
+            default:
+                throw new NbtError(`Unknown tag type ${type}`);
+        }
+    }
+
+    writeNamedTag(name, tag) {
+        if (!tag || !(tag.type in tagNames) || tag.type === TagType.END) {
+            throw new NbtError(`Invalid tag for "${name}"`);
+        }
+        this.writeByte(tag.type);
+        this.writePayload(nbt.string(name));
+        this.writePayload(tag);
+    }
+
+    enter() {
+        if (++this.depth > MAX_DEPTH) {
+            throw new NbtError(`Tags nested deeper than ${MAX_DEPTH} levels`);
+        }
+    }
+
+    result() {
+        return this.buffer.slice(0, this.offset);
+    }
+}
+
+// Parse uncompressed NBT. Returns the root tag and its name. Data left over
+// after the root tag is an error unless `allowTrailingData` is set.
+export function readNbt(bytes, { allowTrailingData = false } = {}) {
+    const reader = new NbtReader(bytes);
+    const type = reader.readPayload(TagType.BYTE);
+    if (type === TagType.END || !(type in tagNames)) {
+        throw new NbtError(`Invalid root tag type ${type}`, 0);
+    }
+    const name = reader.readPayload(TagType.STRING);
+    const tag = reader.readTag(type);
+    if (!allowTrailingData && reader.offset !== bytes.length) {
+        throw new NbtError(`${bytes.length - reader.offset} bytes of trailing data after the root tag`, reader.offset);
+    }
+    return { name, tag };
+}
+
+// Serialize a root tag (normally a compound) to uncompressed NBT bytes
+export function writeNbt(tag, name = '') {
+    const writer = new NbtWriter();
+    writer.writeNamedTag(name, tag);
+    return writer.result();
+}
+
+// Look up a child of a compound tag, optionally checking its type
+export function getTag(compound, name, type) {
+    const tag = compound.value.get(name);
+    if (!tag || (type !== undefined && tag.type !== type)) return undefined;
+    return tag;
+}
+
+async function transform(bytes, stream, description) {
+    const writer = stream.writable.getWriter();
+    // Errors surface through the reader below
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+
+    const chunks = [];
+    let length = 0;
+    const reader = stream.readable.getReader();
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            length += value.length;
+        }
+    } catch (error) {
+        throw new NbtError(`Invalid ${description} data: ${error.message}`);
+    }
+
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
+
+// `format` is 'gzip' (level.dat, structure files) or 'deflate' (zlib, region
+// file chunks)
+export function compress(bytes, format) {
+    return transform(bytes, new CompressionStream(format), format);
+}
+
+export function decompress(bytes, format) {
+    return transform(bytes, new DecompressionStream(format), format);
+}
+
+// Work out how NBT bytes are compressed from their first bytes
+export function detectCompression(bytes) {
+    if (bytes[0] === 0x1F && bytes[1] === 0x8B) return 'gzip';
+    // zlib header: deflate method and a valid header checksum
+    if ((bytes[0] & 0x0F) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) return 'deflate';
+    return null;
+}
+
+// Read gzip, zlib or uncompressed NBT
+export async function readCompressedNbt(bytes, options) {
+    const format = detectCompression(bytes);
+    return readNbt(format ? await decompress(bytes, format) : bytes, options);
+}
+
+export function writeCompressedNbt(tag, name = '', format = 'gzip') {
+    return compress(writeNbt(tag, name), format);
+}
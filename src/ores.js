@@ -0,0 +1,100 @@
+import { BlockId } from './blocks.js';
+import { CHUNK_SIZE } from './chunk.js';
+import { mulberry32, positionRandom } from './random.js';
+
+const ORE_SALT = 20;
+
+// Veins placed in every chunk. `count` veins of about `size` blocks are
+// spread evenly between `minY` and `maxY`; rarer ores only show up deep down.
+// `chance` below 1 means the vein only appears in that share of chunks.
+export const oreVeins = [
+    { blockId: BlockId.COAL_ORE, count: 16, size: 12, minY: 5, maxY: 96 },
+    { blockId: BlockId.IRON_ORE, count: 12, size: 8, minY: 5, maxY: 48 },
+    { blockId: BlockId.GOLD_ORE, count: 2, size: 8, minY: 5, maxY: 24 },
+    { blockId: BlockId.DIAMOND_ORE, count: 1, size: 6, minY: 5, maxY: 14 },
+    { blockId: BlockId.GRAVEL, count: 6, size: 24, minY: 5, maxY: 64 },
+    { blockId: BlockId.DIRT, count: 6, size: 24, minY: 5, maxY: 64 },
+
+    // Pockets of water and lava inside the stone
+    { blockId: BlockId.WATER, count: 1, size: 16, minY: 12, maxY: 48, chance: 0.25, pocket: true },
+    { blockId: BlockId.LAVA, count: 1, size: 16, minY: 5, maxY: 24, chance: 0.15, pocket: true }
+];
+
+// Veins wander at most this far from where they start
+const VEIN_REACH = 6;
+
+// Add ore veins to a chunk. Veins starting in the neighbouring chunks are
+// rebuilt too and clipped, like trees, so a vein crossing a border looks the
+// same from both sides. Only stone is ever replaced.
+export function generateOres(chunk, seed) {
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            const cx = chunk.cx + dx;
+            const cz = chunk.cz + dz;
+            const random = positionRandom(seed, cx, cz, 0, ORE_SALT);
+
+            for (const vein of oreVeins) {
+                for (let i = 0; i < vein.count; i++) {
+                    // Always draw the same numbers so later veins don't
+                    // depend on whether this one was placed
+                    const roll = random();
+                    const x = cx * CHUNK_SIZE + Math.floor(random() * CHUNK_SIZE);
+                    const y = vein.minY + Math.floor(random() * (vein.maxY - vein.minY + 1));
+                    const z = cz * CHUNK_SIZE + Math.floor(random() * CHUNK_SIZE);
+                    const veinSeed = Math.floor(random() * 0x100000000);
+                    if (roll >= (vein.chance ?? 1)) continue;
+
+                    // Skip veins that can't reach this chunk
+                    if (x < chunk.worldX - VEIN_REACH || x >= chunk.worldX + CHUNK_SIZE + VEIN_REACH ||
+                        z < chunk.worldZ - VEIN_REACH || z >= chunk.worldZ + CHUNK_SIZE + VEIN_REACH) {
+                        continue;
+                    }
+
+                    const place = vein.pocket ? placePocket : placeVein;
+                    place(chunk, x - chunk.worldX, y, z - chunk.worldZ, vein, mulberry32(veinSeed));
+                }
+            }
+        }
+    }
+}
+
+function replaceStone(chunk, x, y, z, blockId) {
+    if (chunk.getBlock(x, y, z) === BlockId.STONE) {
+        chunk.setBlock(x, y, z, blockId);
+    }
+}
+
+// A random walk of `size` blocks from (x, y, z), chunk-relative
+function placeVein(chunk, x, y, z, vein, random) {
+    let px = x;
+    let py = y;
+    let pz = z;
+    for (let i = 0; i < vein.size; i++) {
+        replaceStone(chunk, px, py, pz, vein.blockId);
+
+        const axis = Math.floor(random() * 3);
+        const step = random() < 0.5 ? -1 : 1;
+        if (axis === 0) px = clampReach(px + step, x);
+        else if (axis === 1) py += step;
+        else pz = clampReach(pz + step, z);
+    }
+}
+
+function clampReach(value, origin) {
+    return Math.max(origin - VEIN_REACH, Math.min(origin + VEIN_REACH, value));
+}
+
+// A roughly round blob, so fluid pockets fill a room-sized space
+function placePocket(chunk, x, y, z, vein, random) {
+    const radius = Math.cbrt(vein.size) * 0.8 + random() * 0.5;
+    const reach = Math.ceil(radius);
+
+    for (let dx = -reach; dx <= reach; dx++) {
+        for (let dy = -reach; dy <= reach; dy++) {
+            for (let dz = -reach; dz <= reach; dz++) {
+                if (dx * dx + dy * dy + dz * dz > radius * radius) continue;
+                replaceStone(chunk, x + dx, y + dy, z + dz, vein.blockId);
+            }
+        }
+    }
+}
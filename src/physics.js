@@ -0,0 +1,173 @@
+// Voxel collision for axis-aligned boxes. Pure functions with no THREE or DOM
+// dependency so they can run (and be checked) in Node.
+//
+// Boxes are { minX, minY, minZ, maxX, maxY, maxZ }. Block (x, y, z) fills
+// x - 0.5 to x + 0.5 on each axis. `isSolid(x, y, z)` says which blocks
+// collide.
+
+// How far below the feet sneaking looks for ground to stay on
+const SNEAK_SUPPORT_DEPTH = 0.05;
+
+// Sneaking shortens a move in steps of this size until it stays supported
+const SNEAK_STEP = 0.05;
+
+// Box of the given size centred on `position`
+export function createBox(position, width, height) {
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
+    return {
+        minX: position.x - halfWidth,
+        minY: position.y - halfHeight,
+        minZ: position.z - halfWidth,
+        maxX: position.x + halfWidth,
+        maxY: position.y + halfHeight,
+        maxZ: position.z + halfWidth
+    };
+}
+
+export function offsetBox(box, dx, dy, dz) {
+    return {
+        minX: box.minX + dx,
+        minY: box.minY + dy,
+        minZ: box.minZ + dz,
+        maxX: box.maxX + dx,
+        maxY: box.maxY + dy,
+        maxZ: box.maxZ + dz
+    };
+}
+
+export function boxCenter(box) {
+    return {
+        x: (box.minX + box.maxX) / 2,
+        y: (box.minY + box.maxY) / 2,
+        z: (box.minZ + box.maxZ) / 2
+    };
+}
+
+// Boxes of the solid blocks the box could touch while moving by (dx, dy, dz).
+// Only the voxels inside the swept area are looked at.
+export function getBlockBoxes(box, dx, dy, dz, isSolid) {
+    const minX = Math.floor(Math.min(box.minX, box.minX + dx) + 0.5);
+    const minY = Math.floor(Math.min(box.minY, box.minY + dy) + 0.5);
+    const minZ = Math.floor(Math.min(box.minZ, box.minZ + dz) + 0.5);
+    const maxX = Math.ceil(Math.max(box.maxX, box.maxX + dx) - 0.5);
+    const maxY = Math.ceil(Math.max(box.maxY, box.maxY + dy) - 0.5);
+    const maxZ = Math.ceil(Math.max(box.maxZ, box.maxZ + dz) - 0.5);
+
+    const boxes = [];
+    for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+            for (let z = minZ; z <= maxZ; z++) {
+                if (isSolid(x, y, z)) {
+                    boxes.push(createBox({ x, y, z }, 1, 1));
+                }
+            }
+        }
+    }
+    return boxes;
+}
+
+// Shorten a move along one axis so `box` stops at the first block in the
+// way. Blocks only count when they overlap the box on the other two axes.
+function clipAxis(box, blocks, distance, axis) {
+    const [a, b] = axis === 'X' ? ['Y', 'Z'] : axis === 'Y' ? ['X', 'Z'] : ['X', 'Y'];
+    for (const block of blocks) {
+        if (block[`max${a}`] <= box[`min${a}`] || block[`min${a}`] >= box[`max${a}`]) continue;
+        if (block[`max${b}`] <= box[`min${b}`] || block[`min${b}`] >= box[`max${b}`]) continue;
+
+        if (distance > 0 && block[`min${axis}`] >= box[`max${axis}`]) {
+            distance = Math.min(distance, block[`min${axis}`] - box[`max${axis}`]);
+        } else if (distance < 0 && block[`max${axis}`] <= box[`min${axis}`]) {
+            distance = Math.max(distance, block[`max${axis}`] - box[`min${axis}`]);
+        }
+    }
+    return distance;
+}
+
+// Move along Y, then X, then Z, stopping at blocks on each axis in turn.
+// Because every move is clipped against all blocks along its whole path,
+// fast objects can't tunnel through thin walls.
+function sweep(box, dx, dy, dz, isSolid) {
+    const blocks = getBlockBoxes(box, dx, dy, dz, isSolid);
+
+    const movedY = clipAxis(box, blocks, dy, 'Y');
+    box = offsetBox(box, 0, movedY, 0);
+    const movedX = clipAxis(box, blocks, dx, 'X');
+    box = offsetBox(box, movedX, 0, 0);
+    const movedZ = clipAxis(box, blocks, dz, 'Z');
+    box = offsetBox(box, 0, 0, movedZ);
+
+    return { box, dx: movedX, dy: movedY, dz: movedZ };
+}
+
+// Whether anything solid is right under the box if it moved by (dx, dz)
+function isSupported(box, dx, dz, isSolid) {
+    const below = offsetBox(box, dx, -SNEAK_SUPPORT_DEPTH, dz);
+    return getBlockBoxes(below, 0, 0, 0, isSolid).some(block =>
+        block.maxX > below.minX && block.minX < below.maxX &&
+        block.maxY > below.minY && block.minY < below.maxY &&
+        block.maxZ > below.minZ && block.minZ < below.maxZ
+    );
+}
+
+function shorten(value) {
+    if (Math.abs(value) < SNEAK_STEP) return 0;
+    return value - Math.sign(value) * SNEAK_STEP;
+}
+
+// Move `box` by `motion` ({ x, y, z }) through the voxel world.
+//
+// Options:
+// - stepHeight: walking into a ledge up to this tall climbs it instead of
+//   stopping, as long as the box started on the ground
+// - onGround: whether the box is standing on something before the move
+// - sneaking: on the ground, don't move anywhere the box would drop from
+//
+// Returns { box, motion, collidedX, collidedY, collidedZ, onGround,
+// hitCeiling }, where `motion` is how far the box actually moved.
+export function moveBox(box, motion, isSolid, { stepHeight = 0, onGround = false, sneaking = false } = {}) {
+    let { x: dx, y: dy, z: dz } = motion;
+
+    // Pull back any part of the move that would walk off an edge
+    if (sneaking && onGround) {
+        while (dx !== 0 && !isSupported(box, dx, 0, isSolid)) dx = shorten(dx);
+        while (dz !== 0 && !isSupported(box, 0, dz, isSolid)) dz = shorten(dz);
+        while (dx !== 0 && dz !== 0 && !isSupported(box, dx, dz, isSolid)) {
+            dx = shorten(dx);
+            dz = shorten(dz);
+        }
+    }
+
+    let result = sweep(box, dx, dy, dz, isSolid);
+
+    // Blocked sideways while on the ground: try the same move from up to
+    // stepHeight higher, then settle back down, and keep whichever gets
+    // further
+    const blockedSideways = result.dx !== dx || result.dz !== dz;
+    if (stepHeight > 0 && blockedSideways && (onGround || (dy < 0 && result.dy !== dy))) {
+        const raised = sweep(box, 0, stepHeight, 0, isSolid);
+        const across = sweep(raised.box, dx, 0, dz, isSolid);
+        const settled = sweep(across.box, 0, -(raised.dy - Math.min(dy, 0)), 0, isSolid);
+
+        const stepped = {
+            box: settled.box,
+            dx: across.dx,
+            dy: raised.dy + settled.dy,
+            dz: across.dz
+        };
+        if (stepped.dx * stepped.dx + stepped.dz * stepped.dz > result.dx * result.dx + result.dz * result.dz) {
+            result = stepped;
+        }
+    }
+
+    const collidedY = result.dy !== dy;
+    return {
+        box: result.box,
+        motion: { x: result.dx, y: result.dy, z: result.dz },
+        collidedX: result.dx !== dx,
+        collidedY,
+        collidedZ: result.dz !== dz,
+        onGround: collidedY && dy < 0,
+        hitCeiling: collidedY && dy > 0
+    };
+}
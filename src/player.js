@@ -1,4 +1,16 @@
 import * as THREE from 'three';
+import { Fluid, getFluid, isKnownBlock, isSolidBlock, isTransparent } from './blocks.js';
+import { CraftingGrid } from './crafting.js';
+import { Health } from './health.js';
+import { HOTBAR_SIZE, Inventory, getMaxStack } from './inventory.js';
+import { boxCenter, createBox, moveBox } from './physics.js';
+
+// How fluids change movement. Drag is the share of vertical speed kept per
+// second, gravity and swimForce are in blocks per second squared.
+const fluidPhysics = new Map([
+    [Fluid.WATER, { speed: 0.5, gravity: 6, swimForce: 20, drag: 0.012 }],
+    [Fluid.LAVA, { speed: 0.3, gravity: 4, swimForce: 14, drag: 0.0001 }]
+]);
 
 export class Player {
     constructor(camera, controls) {
@@ -7,163 +19,249 @@ export class Player {
         
         // Player state
         this.position = new THREE.Vector3(0, 20, 0);
+        this.previousPosition = this.position.clone(); // Position at the last tick, for interpolation
         this.velocity = new THREE.Vector3();
         this.onGround = false;
-        this.fallTime = 0; // Track how long we've been falling
+        this.fluid = null; // Fluid the player is in, if any
+        this.swimUp = false; // Set while jump is held
+        this.sneaking = false; // Set while sneak is held; stops walking off edges
+        this.collidedHorizontally = false;
+
+        // 'survival' or 'creative', set per world by the game. In creative
+        // the player takes no damage and can fly (double-tap jump), moving
+        // up and down with flyUp and flyDown; noclip flies through blocks.
+        this.gameMode = 'survival';
+        this.flying = false;
+        this.noclip = false;
+        this.flyUp = false;
+        this.flyDown = false;
         
         // Movement parameters
         this.walkSpeed = 7; // Back to original value
         this.sprintSpeed = 9.1; // Back to original value
-        this.jumpForce = 8.5; // Back to original value
-        this.baseGravity = 25;
-        this.maxGravity = 35; // Maximum gravity after falling for a while
-        this.gravityAcceleration = 14; // How quickly gravity increases
+        this.jumpForce = 9; // Clears a full block at 20 ticks per second
+        this.sneakSpeed = 2.1;
+        this.flySpeed = 10.9;
+        this.stepHeight = 0.5; // Ledges up to this high are climbed automatically
+        this.gravity = 28;
+        this.terminalVelocity = 60;
         
         // Player dimensions
         this.height = 1.2; // Reduced height to feel more natural
         this.width = 0.6;
+        this.eyeHeight = 1.0; // Camera height above `position`
+
+        // Health and air (see health.js). `fallDistance` is how far the
+        // player has dropped since last standing or swimming; landing turns
+        // it into fall damage. `onDeath` is called once when health runs out.
+        this.health = new Health();
+        this.fallDistance = 0;
+        this.onDeath = null;
         
         // Initialize camera position
         this.camera.position.copy(this.position);
-        this.camera.position.y += 1.0; // Eye level (1.2 - 0.2 for head position)
+        this.camera.position.y += this.eyeHeight;
         
-        // Inventory
-        this.inventory = Array(9).fill(null).map(() => ({ type: null, count: 0 }));
+        // Inventory: the hotbar and main grid (see inventory.js). The screen
+        // that draws it is set up by the game.
+        this.inventory = new Inventory();
+        this.inventory.onChange = () => this.updateInventoryUI();
+        this.inventoryScreen = null;
+        this.blockPalette = null; // Creative's screen instead of the inventory
+        this.controlsScreen = null; // Rebinding, opened from the pause screen
+
+        // Crafting grids of the inventory (2x2) and of crafting tables (3x3).
+        // Whatever is left in them when the screen closes and can't go back
+        // into the inventory waits there.
+        this.craftingGrids = {
+            inventory: new CraftingGrid(2),
+            table: new CraftingGrid(3)
+        };
         this.selectedSlot = 0;
 
         // Debug: Log that player is initialized
         console.log('Player initialized at position:', this.position);
     }
 
+    // Advance one game tick of `delta` seconds
     update(delta) {
-        // Use fixed time step for physics
-        const fixedDelta = 1/60; // 60 FPS fixed time step
+        this.previousPosition.copy(this.position);
+
+        // Hold still until the terrain under the player has been generated,
+        // and while dead
+        if (this.world && !this.world.hasChunkAt(this.position.x, this.position.z)) {
+            return;
+        }
+        if (this.health.isDead()) return;
         
-        // Store old position for collision detection
-        const oldPosition = this.position.clone();
-
-        // Apply gravity with acceleration
-        if (!this.onGround) {
-            // Increase fall time
-            this.fallTime += fixedDelta;
-            
-            // Calculate current gravity based on fall time
-            const currentGravity = Math.min(
-                this.baseGravity + (this.fallTime * this.gravityAcceleration),
-                this.maxGravity
-            );
-            
-            this.velocity.y -= currentGravity * fixedDelta;
-            
-            // Debug: Log falling state
-            console.log('Falling with gravity:', currentGravity, 'Fall time:', this.fallTime);
+        this.fluid = this.getFluidAtBody();
+        const physics = this.flying ? null : fluidPhysics.get(this.fluid);
+        if (this.flying) {
+            this.velocity.y = ((this.flyUp ? 1 : 0) - (this.flyDown ? 1 : 0)) * this.flySpeed;
+        } else if (physics) {
+            // Sink slowly, swim up while jump is held, and push up out of the
+            // fluid when swimming against a ledge
+            this.velocity.y -= physics.gravity * delta;
+            if (this.swimUp) {
+                this.velocity.y += physics.swimForce * delta;
+                if (this.collidedHorizontally) {
+                    this.velocity.y = Math.max(this.velocity.y, 5);
+                }
+            }
+            this.velocity.y *= Math.pow(physics.drag, delta);
         } else {
-            // Reset fall time when on ground
-            this.fallTime = 0;
+            // Gravity pulls every step, even on the ground, so the collision
+            // test sees the ground and onGround stays steady
+            this.velocity.y = Math.max(this.velocity.y - this.gravity * delta, -this.terminalVelocity);
         }
 
-        // Update position based on velocity
-        this.position.x += this.velocity.x * fixedDelta;
-        this.position.z += this.velocity.z * fixedDelta;
-        this.position.y += this.velocity.y * fixedDelta;
-        
-        // Check for collisions with blocks
-        this.handleCollisions(oldPosition);
-        
-        // Update camera position
-        this.camera.position.x = this.position.x;
-        this.camera.position.z = this.position.z;
-        this.camera.position.y = this.position.y + 1.0; // Keep camera at eye level
+        // Move and collide
+        const speedFactor = physics ? physics.speed : 1;
+        const startY = this.position.y;
+        if (this.noclip) {
+            this.position.addScaledVector(this.velocity, delta);
+            this.onGround = false;
+        } else {
+            this.moveWithCollisions(
+                this.velocity.x * speedFactor * delta,
+                this.velocity.y * delta,
+                this.velocity.z * speedFactor * delta
+            );
+        }
 
-        // Debug: Log ground state and position
-        console.log('Ground state:', this.onGround, 'Position:', this.position);
+        // Flying down onto the ground lands
+        if (this.flying && this.onGround) this.flying = false;
+        this.updateHealth(startY);
     }
 
-    handleCollisions(oldPosition) {
-        if (!this.world || !this.world.blocks) return;
+    // Fall damage, then everything that hurts over time, after a move that
+    // started at height `startY`. Fluids break a fall. Nothing hurts in
+    // creative.
+    updateHealth(startY) {
+        if (this.isCreative()) {
+            this.fallDistance = 0;
+            return;
+        }
+        if (this.fluid || this.flying) {
+            this.fallDistance = 0;
+        } else if (this.onGround) {
+            if (this.fallDistance > 0) this.health.land(this.fallDistance);
+            this.fallDistance = 0;
+        } else if (this.position.y < startY) {
+            this.fallDistance += startY - this.position.y;
+        }
 
-        // Create player bounding box
-        const playerBox = new THREE.Box3().setFromCenterAndSize(
-            this.position,
-            new THREE.Vector3(this.width, this.height, this.width)
-        );
+        if (this.world) {
+            const x = Math.round(this.position.x);
+            const y = Math.round(this.position.y + this.eyeHeight);
+            const z = Math.round(this.position.z);
+            const head = this.world.getBlock(x, y, z);
+            this.health.tick({
+                headInBlock: isSolidBlock(head) && !isTransparent(head),
+                eyesInWater: getFluid(head) === Fluid.WATER,
+                inWater: this.fluid === Fluid.WATER,
+                inLava: this.fluid === Fluid.LAVA
+            });
+        }
 
-        // Check collision with all blocks
-        let highestBlockY = -Infinity;
-        let collision = false;
-
-        for (const block of this.world.blocks.children) {
-            const blockBox = new THREE.Box3().setFromObject(block);
-            
-            if (playerBox.intersectsBox(blockBox)) {
-                collision = true;
-                
-                // Calculate collision response
-                const blockCenter = new THREE.Vector3();
-                blockBox.getCenter(blockCenter);
-                
-                // Calculate penetration depth for each axis
-                const penetrationX = Math.min(
-                    Math.abs(playerBox.max.x - blockBox.min.x),
-                    Math.abs(playerBox.min.x - blockBox.max.x)
-                );
-                const penetrationY = Math.min(
-                    Math.abs(playerBox.max.y - blockBox.min.y),
-                    Math.abs(playerBox.min.y - blockBox.max.y)
-                );
-                const penetrationZ = Math.min(
-                    Math.abs(playerBox.max.z - blockBox.min.z),
-                    Math.abs(playerBox.min.z - blockBox.max.z)
-                );
-
-                // Find the minimum penetration axis
-                const minPenetration = Math.min(penetrationX, penetrationY, penetrationZ);
-
-                // Handle vertical collision
-                if (minPenetration === penetrationY) {
-                    if (this.position.y > block.position.y) {
-                        // Only snap to block if we're moving downward and close to the block
-                        if (this.velocity.y <= 0 && this.position.y - (blockBox.max.y + this.height/2) < 0.1) {
-                            this.position.y = blockBox.max.y + this.height / 2;
-                            this.velocity.y = 0;
-                            highestBlockY = Math.max(highestBlockY, block.position.y + 1);
-                            this.onGround = true;
-                        }
-                    } else {
-                        // Hitting ceiling - stop upward momentum
-                        this.position.y = blockBox.min.y - this.height / 2;
-                        this.velocity.y = Math.min(0, this.velocity.y); // Only stop upward momentum
-                    }
-                } else if (minPenetration === penetrationX) {
-                    // Horizontal collision (X axis)
-                    if (this.position.x > block.position.x) {
-                        this.position.x = blockBox.max.x + this.width / 2;
-                    } else {
-                        this.position.x = blockBox.min.x - this.width / 2;
-                    }
-                    this.velocity.x = 0;
-                } else if (minPenetration === penetrationZ) {
-                    // Horizontal collision (Z axis)
-                    if (this.position.z > block.position.z) {
-                        this.position.z = blockBox.max.z + this.width / 2;
-                    } else {
-                        this.position.z = blockBox.min.z - this.width / 2;
-                    }
-                    this.velocity.z = 0;
-                }
-            }
+        if (this.health.isDead()) {
+            this.velocity.set(0, 0, 0);
+            if (this.onDeath) this.onDeath(this.health.deathCause);
         }
+    }
 
-        // Update ground state if not standing on any block
-        if (this.position.y > highestBlockY + 0.1) {
-            this.onGround = false;
+    isCreative() {
+        return this.gameMode === 'creative';
+    }
+
+    // Switch between 'survival' and 'creative'. Survival ends flight;
+    // creative starts at full health.
+    setGameMode(mode) {
+        this.gameMode = mode;
+        this.fallDistance = 0;
+        if (this.isCreative()) {
+            this.health.reset();
+        } else {
+            this.flying = false;
+            this.noclip = false;
         }
     }
 
-    move(direction, isSprinting) {
-        // Debug: Log movement input
-        console.log('Move called with direction:', direction, 'Sprinting:', isSprinting);
+    // Start or stop flying, in creative only
+    toggleFlight() {
+        if (!this.isCreative()) return;
+        this.flying = !this.flying;
+        this.velocity.y = 0;
+        if (!this.flying) this.noclip = false;
+    }
+
+    // Fly through blocks, in creative only. Turning it on starts flying.
+    toggleNoclip() {
+        if (!this.isCreative()) return;
+        this.noclip = !this.noclip;
+        if (this.noclip) this.flying = true;
+    }
+
+    // Back to full health at `position`
+    respawn(position) {
+        this.health.reset();
+        this.setPosition(position);
+    }
+
+    // Place the camera between the last two tick positions; alpha is how far
+    // into the current tick rendering is (0-1)
+    updateCamera(alpha) {
+        this.camera.position.lerpVectors(this.previousPosition, this.position, alpha);
+        this.camera.position.y += this.eyeHeight;
+    }
+
+    // Move without interpolating from the old position
+    setPosition(position) {
+        this.fallDistance = 0;
+        this.position.copy(position);
+        this.previousPosition.copy(position);
+        this.velocity.set(0, 0, 0);
+        this.updateCamera(1);
+    }
+
+    // The fluid at the player's feet or middle, or null
+    getFluidAtBody() {
+        if (!this.world) return null;
+        const x = Math.round(this.position.x);
+        const z = Math.round(this.position.z);
+        const feet = Math.round(this.position.y - this.height / 2 + 0.1);
+        const middle = Math.round(this.position.y);
+        return getFluid(this.world.getBlock(x, middle, z)) ?? getFluid(this.world.getBlock(x, feet, z));
+    }
+
+    // Move by (dx, dy, dz) through the world, sliding along blocks
+    moveWithCollisions(dx, dy, dz) {
+        if (!this.world) {
+            this.position.x += dx;
+            this.position.y += dy;
+            this.position.z += dz;
+            return;
+        }
+
+        const box = createBox(this.position, this.width, this.height);
+        const result = moveBox(box, { x: dx, y: dy, z: dz }, (x, y, z) => this.world.isSolid(x, y, z), {
+            stepHeight: this.stepHeight,
+            onGround: this.onGround,
+            sneaking: this.sneaking
+        });
 
+        const center = boxCenter(result.box);
+        this.position.set(center.x, center.y, center.z);
+
+        // Landing and bumping your head both stop vertical movement
+        if (result.collidedY) this.velocity.y = 0;
+        if (result.collidedX) this.velocity.x = 0;
+        if (result.collidedZ) this.velocity.z = 0;
+        this.onGround = result.onGround;
+        this.collidedHorizontally = result.collidedX || result.collidedZ;
+    }
+
+    move(direction, isSprinting) {
         // Get the forward and right vectors from the camera
         const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
         const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
@@ -179,15 +277,15 @@ export class Player {
         moveVector.addScaledVector(forward, direction.z);
         moveVector.addScaledVector(right, direction.x);
         
-        // Apply movement
+        // Apply movement. Shorter than 1 (a stick pushed part way) moves
+        // slower; longer (two keys at once) is brought back to full speed.
         if (moveVector.length() > 0) {
-            moveVector.normalize();
-            const speed = isSprinting ? this.sprintSpeed : this.walkSpeed;
+            if (moveVector.length() > 1) moveVector.normalize();
+            const speed = this.flying ? this.flySpeed
+                : this.sneaking ? this.sneakSpeed
+                : isSprinting ? this.sprintSpeed : this.walkSpeed;
             this.velocity.x = moveVector.x * speed;
             this.velocity.z = moveVector.z * speed;
-            
-            // Debug: Log velocity
-            console.log('New velocity:', this.velocity, 'Speed:', speed);
         } else {
             this.velocity.x = 0;
             this.velocity.z = 0;
@@ -196,6 +294,7 @@ export class Player {
 
     jump() {
         console.log('Jump called, onGround:', this.onGround); // Debug log
+        if (this.flying) return; // Holding jump flies up instead
         if (this.onGround) {
             this.velocity.y = this.jumpForce;
             this.onGround = false;
@@ -206,56 +305,109 @@ export class Player {
     }
 
     setSelectedSlot(slot) {
-        if (slot >= 0 && slot < 9) {
+        if (slot >= 0 && slot < HOTBAR_SIZE) {
             this.selectedSlot = slot;
-            // Update UI
-            document.querySelectorAll('.inventory-slot').forEach((el, index) => {
-                el.classList.toggle('selected', index === slot);
-            });
+            this.updateInventoryUI();
         }
     }
 
-    addToInventory(blockType) {
-        // Find first slot with same block type or empty slot
-        let slot = this.inventory.findIndex(item => item.type === blockType || item.type === null);
-        if (slot === -1) {
-            slot = this.selectedSlot; // Use selected slot if no matching slots
+    // Add one of a block or item. Returns false, leaving the inventory as it
+    // was, when there is no room for it.
+    addToInventory(id) {
+        if (this.inventory.getRoomFor(id) === 0) return false;
+        this.inventory.add(id);
+        return true;
+    }
+
+    hasRoomFor(id) {
+        return this.inventory.getRoomFor(id) > 0;
+    }
+
+    removeFromInventory() {
+        this.inventory.remove(this.selectedSlot);
+    }
+
+    // Middle click: select the hotbar slot holding `id`. In creative a block
+    // that isn't there yet goes into the first empty hotbar slot, or the
+    // selected one when none is empty.
+    pickBlock(id) {
+        const hotbar = this.inventory.slots.slice(0, HOTBAR_SIZE);
+        const held = hotbar.findIndex(slot => slot.id === id);
+        if (held !== -1) {
+            this.setSelectedSlot(held);
+            return;
         }
-        
-        // Add to inventory
-        if (this.inventory[slot].type === null) {
-            this.inventory[slot] = { type: blockType, count: 1 };
-        } else {
-            this.inventory[slot].count++;
+        if (!this.isCreative()) return;
+
+        const empty = hotbar.findIndex(slot => slot.id === null);
+        const index = empty !== -1 ? empty : this.selectedSlot;
+        this.inventory.set(index, id, getMaxStack(id));
+        this.setSelectedSlot(index);
+    }
+
+    // The inventory screen, block palette or controls screen, whichever is
+    // open, or null
+    getOpenScreen() {
+        if (this.inventoryScreen?.isOpen) return this.inventoryScreen;
+        if (this.blockPalette?.isOpen) return this.blockPalette;
+        if (this.controlsScreen?.isOpen) return this.controlsScreen;
+        return null;
+    }
+
+    // Player state stored with the world save
+    getSaveData() {
+        const rotation = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(this.camera.quaternion);
+        return {
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            rotation: { x: rotation.x, y: rotation.y },
+            inventory: this.inventory.slots.map(slot => ({ ...slot })),
+            heldItem: { ...this.inventory.cursor },
+            crafting: {
+                inventory: this.craftingGrids.inventory.toSaveData(),
+                table: this.craftingGrids.table.toSaveData()
+            },
+            selectedSlot: this.selectedSlot,
+            flying: this.flying,
+            ...this.health.toSaveData()
+        };
+    }
+
+    applySaveData(data) {
+        this.setPosition(new THREE.Vector3(data.position.x, data.position.y, data.position.z));
+        this.camera.quaternion.setFromEuler(
+            new THREE.Euler(data.rotation.x, data.rotation.y, 0, 'YXZ')
+        );
+
+        // Saves from before the main grid only have the nine hotbar slots
+        if (Array.isArray(data.inventory)) {
+            this.inventory.load(data.inventory, data.heldItem);
         }
-        
+        this.craftingGrids.inventory.load(data.crafting?.inventory);
+        this.craftingGrids.table.load(data.crafting?.table);
+        this.health.load(data);
+        this.flying = data.flying ?? false;
+        this.setSelectedSlot(data.selectedSlot ?? 0);
         this.updateInventoryUI();
     }
 
-    removeFromInventory() {
-        const slot = this.inventory[this.selectedSlot];
-        if (slot && slot.type !== null) {
-            slot.count--;
-            if (slot.count <= 0) {
-                slot.type = null;
-                slot.count = 0;
-            }
-            this.updateInventoryUI();
-        }
+    // Block or item ID in the selected slot, or null
+    getSelectedItem() {
+        return this.inventory.slots[this.selectedSlot].id;
     }
 
-    getSelectedBlockType() {
-        return this.inventory[this.selectedSlot].type;
+    // Block ID in the selected slot, or null when it is empty or holds an
+    // item that can't be placed
+    getSelectedBlock() {
+        const id = this.getSelectedItem();
+        return id !== null && isKnownBlock(id) ? id : null;
     }
 
     updateInventoryUI() {
-        document.querySelectorAll('.inventory-slot').forEach((el, index) => {
-            const slot = this.inventory[index];
-            if (slot.type) {
-                el.textContent = `${slot.type[0].toUpperCase()}${slot.count > 1 ? slot.count : ''}`;
-            } else {
-                el.textContent = (index + 1).toString();
-            }
-        });
+        if (this.inventoryScreen) {
+            this.inventoryScreen.update();
+        }
+        if (this.blockPalette) {
+            this.blockPalette.update();
+        }
     }
-} 
\ No newline at end of file
+}
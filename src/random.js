@@ -0,0 +1,58 @@
+// Seeded random numbers for world generation. Nothing in generation may use
+// Math.random(), otherwise the same seed would not give the same world.
+
+// Turn a world seed (number or string) into a 32-bit integer. Numeric strings
+// are read as numbers, any other string is hashed the way Java's
+// String.hashCode() does it, like Minecraft Beta.
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.trunc(seed) | 0;
+    }
+
+    const text = String(seed).trim();
+    if (/^-?\d+$/.test(text)) {
+        return Number(text) | 0;
+    }
+
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (Math.imul(hash, 31) + text.charCodeAt(i)) | 0;
+    }
+    return hash;
+}
+
+// Pick a seed for a new world when none was given
+export function randomSeed() {
+    return (Math.random() * 0x100000000) | 0;
+}
+
+// Mulberry32 PRNG: returns a function producing floats in [0, 1)
+export function mulberry32(seed) {
+    let state = seed | 0;
+    return function () {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Mix a seed with integer coordinates into a new 32-bit seed. `salt` keeps
+// separate features (trees, ores...) at the same position independent.
+export function hashCoords(seed, x, y, z = 0, salt = 0) {
+    let h = seed ^ Math.imul(salt | 0, 0x27D4EB2F);
+    h = Math.imul(h ^ (x | 0), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13) ^ (y | 0), 0xC2B2AE35);
+    h = Math.imul(h ^ (h >>> 16) ^ (z | 0), 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return h | 0;
+}
+
+// A PRNG that only depends on the seed and a position, so the result is the
+// same no matter which chunk asks for it or in what order
+export function positionRandom(seed, x, y, z = 0, salt = 0) {
+    return mulberry32(hashCoords(seed, x, y, z, salt));
+}
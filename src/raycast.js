@@ -0,0 +1,74 @@
+// Walk a ray through the block grid one cell at a time (Amanatides & Woo,
+// "A Fast Voxel Traversal Algorithm"). Every cell the ray touches is visited
+// in order, so the first hit is exact and no meshes are needed.
+//
+// `origin` and `direction` are { x, y, z } in world space; `direction` must
+// be normalised so distances are in blocks. `isHit(x, y, z)` decides which
+// blocks stop the ray.
+//
+// Returns { block, face, place, distance } or null when nothing is hit within
+// `maxDistance`. `face` is the normal of the face the ray entered through and
+// `place` is the cell in front of it, where a new block would go. Both are null
+// when the ray starts inside the hit block.
+export function raycastVoxels(origin, direction, maxDistance, isHit) {
+    // Blocks are centred on integer coordinates; shifting by half a block
+    // makes each cell span [n, n + 1) so floor() finds it
+    const ox = origin.x + 0.5;
+    const oy = origin.y + 0.5;
+    const oz = origin.z + 0.5;
+
+    let x = Math.floor(ox);
+    let y = Math.floor(oy);
+    let z = Math.floor(oz);
+
+    const stepX = Math.sign(direction.x);
+    const stepY = Math.sign(direction.y);
+    const stepZ = Math.sign(direction.z);
+
+    // Distance along the ray to cross one whole cell on each axis
+    const deltaX = stepX !== 0 ? Math.abs(1 / direction.x) : Infinity;
+    const deltaY = stepY !== 0 ? Math.abs(1 / direction.y) : Infinity;
+    const deltaZ = stepZ !== 0 ? Math.abs(1 / direction.z) : Infinity;
+
+    // Distance along the ray to the first cell boundary on each axis
+    const firstBoundary = (position, cell, step, delta) => {
+        if (step > 0) return (cell + 1 - position) * delta;
+        if (step < 0) return (position - cell) * delta;
+        return Infinity;
+    };
+    let maxX = firstBoundary(ox, x, stepX, deltaX);
+    let maxY = firstBoundary(oy, y, stepY, deltaY);
+    let maxZ = firstBoundary(oz, z, stepZ, deltaZ);
+
+    let face = null;
+    let distance = 0;
+    while (distance <= maxDistance) {
+        if (isHit(x, y, z)) {
+            return {
+                block: { x, y, z },
+                face,
+                place: face ? { x: x + face.x, y: y + face.y, z: z + face.z } : null,
+                distance
+            };
+        }
+
+        // Step into whichever neighbouring cell the ray reaches first
+        if (maxX < maxY && maxX < maxZ) {
+            x += stepX;
+            distance = maxX;
+            maxX += deltaX;
+            face = { x: -stepX, y: 0, z: 0 };
+        } else if (maxY < maxZ) {
+            y += stepY;
+            distance = maxY;
+            maxY += deltaY;
+            face = { x: 0, y: -stepY, z: 0 };
+        } else {
+            z += stepZ;
+            distance = maxZ;
+            maxZ += deltaZ;
+            face = { x: 0, y: 0, z: -stepZ };
+        }
+    }
+    return null;
+}
@@ -0,0 +1,96 @@
+import { getTextureNames } from './blocks.js';
+import { readZip } from './zip.js';
+
+// Resource packs replace the generated block textures with PNGs. A pack is a
+// .zip or a folder holding a pack.json manifest and the images:
+//
+// {
+//     "name": "My Pack",
+//     "textures": {
+//         "stone": "blocks/stone.png",
+//         "water": { "file": "blocks/water_still.png", "frameTime": 2 }
+//     }
+// }
+//
+// Textures the manifest leaves out are looked for as <texture name>.png
+// anywhere in the pack, and any that are still missing keep their generated
+// tile. An image taller than it is wide is an animation: a vertical strip of
+// square frames, each shown for `frameTime` ticks.
+
+export const MANIFEST_NAME = 'pack.json';
+
+const DEFAULT_FRAME_TIME = 2;
+
+function baseName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
+
+function directoryName(path) {
+    return path.slice(0, path.lastIndexOf('/') + 1);
+}
+
+// Files as { path, blob }, from either one .zip or the files of a folder
+// picked with <input webkitdirectory>
+async function listFiles(files) {
+    if (files.length === 1 && files[0].name.toLowerCase().endsWith('.zip')) {
+        const entries = await readZip(new Uint8Array(await files[0].arrayBuffer()));
+        return entries.map(({ name, data }) => ({
+            path: name,
+            blob: new Blob([data], { type: name.toLowerCase().endsWith('.png') ? 'image/png' : '' })
+        }));
+    }
+    return [...files].map(file => ({ path: file.webkitRelativePath || file.name, blob: file }));
+}
+
+// Load a pack from a FileList or array of Files. Returns { name, textures },
+// where `textures` maps texture names to { image, frameTime } with the image
+// as an ImageBitmap.
+export async function loadResourcePack(files) {
+    const entries = await listFiles(files);
+
+    // The manifest closest to the top marks the root of the pack, so a zip
+    // that wraps everything in one folder works too
+    const manifestEntry = entries
+        .filter(entry => baseName(entry.path) === MANIFEST_NAME)
+        .sort((a, b) => a.path.length - b.path.length)[0];
+    if (!manifestEntry) {
+        throw new Error(`No ${MANIFEST_NAME} found in the resource pack`);
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await manifestEntry.blob.text());
+    } catch (error) {
+        throw new Error(`${MANIFEST_NAME} is not valid JSON: ${error.message}`);
+    }
+
+    const root = directoryName(manifestEntry.path);
+    const byPath = new Map();
+    const byName = new Map();
+    for (const entry of entries) {
+        if (!entry.path.startsWith(root)) continue;
+        byPath.set(entry.path.slice(root.length), entry);
+        byName.set(baseName(entry.path).toLowerCase(), entry);
+    }
+
+    const textures = new Map();
+    const listed = manifest.textures ?? {};
+    for (const name of getTextureNames()) {
+        const source = typeof listed[name] === 'string' ? { file: listed[name] } : listed[name];
+        const entry = source ? byPath.get(source.file) : byName.get(`${name}.png`);
+        if (!entry) {
+            if (source) console.warn(`Resource pack texture ${name}: ${source.file} not found`);
+            continue;
+        }
+
+        try {
+            const image = await createImageBitmap(entry.blob);
+            textures.set(name, { image, frameTime: source?.frameTime ?? DEFAULT_FRAME_TIME });
+        } catch (error) {
+            console.warn(`Resource pack texture ${name}: ${entry.path} could not be decoded`, error);
+        }
+    }
+
+    const packName = manifest.name || baseName(root.slice(0, -1)) || files[0].name;
+    return { name: packName, textures };
+}
@@ -0,0 +1,45 @@
+// Block updates scheduled a number of game ticks ahead, like Beta's
+// scheduled block ticks. Each position is queued at most once; asking again
+// keeps whichever update is due first.
+export class TickScheduler {
+    constructor({ maxUpdatesPerTick = 1024 } = {}) {
+        this.currentTick = 0;
+        this.maxUpdatesPerTick = maxUpdatesPerTick;
+        this.pending = new Map(); // "x,y,z" -> { x, y, z, due }
+    }
+
+    schedule(x, y, z, delay) {
+        const key = `${x},${y},${z}`;
+        const due = this.currentTick + Math.max(1, delay);
+        const existing = this.pending.get(key);
+        if (!existing || due < existing.due) {
+            this.pending.set(key, { x, y, z, due });
+        }
+    }
+
+    has(x, y, z) {
+        return this.pending.has(`${x},${y},${z}`);
+    }
+
+    // Advance one tick and run every update that is due, oldest first.
+    // Updates scheduled while running wait for a later tick, and anything
+    // over the per-tick limit carries over to the next one.
+    tick(update) {
+        this.currentTick++;
+
+        const due = [];
+        for (const [key, entry] of this.pending) {
+            if (entry.due <= this.currentTick) due.push([key, entry]);
+        }
+        due.sort((a, b) => a[1].due - b[1].due);
+
+        for (const [key, entry] of due.slice(0, this.maxUpdatesPerTick)) {
+            this.pending.delete(key);
+            update(entry.x, entry.y, entry.z);
+        }
+    }
+
+    clear() {
+        this.pending.clear();
+    }
+}
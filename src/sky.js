@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import { mulberry32 } from './random.js';
+
+// One day is 24000 ticks, 20 minutes at 20 ticks per second. Like Beta, tick
+// 0 is sunrise, 6000 noon, 12000 sunset and 18000 midnight.
+export const TICKS_PER_DAY = 24000;
+
+// Where the sun is in its orbit: 0 at noon, 0.25 at sunset, 0.5 at midnight,
+// 0.75 at sunrise. Beta's curve, which lingers a little around noon and
+// midnight.
+export function getCelestialAngle(time) {
+    let angle = ((time % TICKS_PER_DAY) + TICKS_PER_DAY) % TICKS_PER_DAY / TICKS_PER_DAY - 0.25;
+    if (angle < 0) angle += 1;
+    const eased = 1 - (Math.cos(angle * Math.PI) + 1) / 2;
+    return angle + (eased - angle) / 3;
+}
+
+// How bright daylight is, from 0 at night to 1 during the day
+export function getDaylight(angle) {
+    return Math.min(1, Math.max(0, Math.cos(angle * Math.PI * 2) * 2 + 0.5));
+}
+
+// How strong the sunrise / sunset glow is (0-1). It peaks with the sun on the
+// horizon.
+export function getTwilight(angle) {
+    const height = Math.cos(angle * Math.PI * 2);
+    if (Math.abs(height) > 0.4) return 0;
+    return 1 - Math.abs(height) / 0.4;
+}
+
+const DAY_ZENITH = new THREE.Color(0x78a7ff);
+const DAY_HORIZON = new THREE.Color(0xc0d8ff);
+const NIGHT_ZENITH = new THREE.Color(0x01020a);
+const NIGHT_HORIZON = new THREE.Color(0x0a0e1c);
+const TWILIGHT = new THREE.Color(0xff9048);
+
+const SKY_RADIUS = 500;
+const SUN_DISTANCE = 400;
+const STAR_COUNT = 1500;
+
+// A gradient from the horizon to the zenith, with a warm glow around the sun
+// at sunrise and sunset
+const skyVertexShader = `
+    varying vec3 vDirection;
+    void main() {
+        vDirection = normalize(position);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const skyFragmentShader = `
+    uniform vec3 zenithColor;
+    uniform vec3 horizonColor;
+    uniform vec3 twilightColor;
+    uniform vec3 sunDirection;
+    uniform float twilight;
+    varying vec3 vDirection;
+    void main() {
+        vec3 direction = normalize(vDirection);
+        vec3 color = mix(horizonColor, zenithColor, smoothstep(0.0, 0.6, direction.y));
+
+        float towardsSun = max(dot(direction, sunDirection), 0.0);
+        float glow = pow(towardsSun, 4.0) * (1.0 - smoothstep(0.0, 0.5, abs(direction.y)));
+        color = mix(color, twilightColor, glow * twilight);
+
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// Sky dome, sun, moon and stars, all driven by the world time. The dome and
+// the bodies follow the camera so they never get closer. `daylight` tells the
+// block lighting how much sky light is left.
+export class Sky {
+    constructor(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+        scene.add(this.group);
+
+        this.dome = new THREE.Mesh(
+            new THREE.SphereGeometry(SKY_RADIUS, 32, 16),
+            new THREE.ShaderMaterial({
+                uniforms: {
+                    zenithColor: { value: DAY_ZENITH.clone() },
+                    horizonColor: { value: DAY_HORIZON.clone() },
+                    twilightColor: { value: TWILIGHT.clone() },
+                    sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+                    twilight: { value: 0 }
+                },
+                vertexShader: skyVertexShader,
+                fragmentShader: skyFragmentShader,
+                side: THREE.BackSide,
+                depthWrite: false
+            })
+        );
+        this.dome.renderOrder = -2;
+        this.group.add(this.dome);
+
+        // Sun, moon and stars turn together around the north-south axis, so
+        // the sun rises in the east (+x) and sets in the west
+        this.orbit = new THREE.Group();
+        this.group.add(this.orbit);
+
+        this.sun = this.createBody(60, 0xfff3a0);
+        this.sun.position.set(0, SUN_DISTANCE, 0);
+        this.moon = this.createBody(40, 0xdfe6f0);
+        this.moon.position.set(0, -SUN_DISTANCE, 0);
+
+        this.stars = this.createStars();
+        this.orbit.add(this.stars);
+
+        this.daylight = 1;
+        this.fogColor = new THREE.Color();
+    }
+
+    // A flat square facing the centre of the orbit
+    createBody(size, color) {
+        const body = new THREE.Mesh(
+            new THREE.PlaneGeometry(size, size).rotateX(Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color, fog: false, side: THREE.DoubleSide, depthWrite: false })
+        );
+        body.renderOrder = -1;
+        this.orbit.add(body);
+        return body;
+    }
+
+    // Stars sit at fixed random spots, the same in every world
+    createStars() {
+        const random = mulberry32(10842);
+        const positions = new Float32Array(STAR_COUNT * 3);
+        for (let i = 0; i < STAR_COUNT; i++) {
+            // Uniform points on a sphere
+            const y = random() * 2 - 1;
+            const theta = random() * Math.PI * 2;
+            const radius = Math.sqrt(1 - y * y);
+            positions[i * 3] = Math.cos(theta) * radius * SUN_DISTANCE;
+            positions[i * 3 + 1] = y * SUN_DISTANCE;
+            positions[i * 3 + 2] = Math.sin(theta) * radius * SUN_DISTANCE;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const stars = new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 1.5,
+            sizeAttenuation: false,
+            transparent: true,
+            opacity: 0,
+            fog: false,
+            depthWrite: false
+        }));
+        stars.renderOrder = -1;
+        return stars;
+    }
+
+    // Update everything for a world time in ticks, centred on `position`
+    update(time, position) {
+        const angle = getCelestialAngle(time);
+        const daylight = getDaylight(angle);
+        const twilight = getTwilight(angle);
+
+        this.group.position.copy(position);
+        this.orbit.rotation.z = angle * Math.PI * 2;
+
+        const sunDirection = new THREE.Vector3(0, 1, 0).applyEuler(this.orbit.rotation);
+
+        const uniforms = this.dome.material.uniforms;
+        uniforms.zenithColor.value.lerpColors(NIGHT_ZENITH, DAY_ZENITH, daylight);
+        uniforms.horizonColor.value.lerpColors(NIGHT_HORIZON, DAY_HORIZON, daylight);
+        uniforms.sunDirection.value.copy(sunDirection);
+        uniforms.twilight.value = twilight;
+
+        // Stars fade in as the sky darkens
+        this.stars.material.opacity = Math.max(0, 1 - daylight * 1.5);
+
+        this.daylight = daylight;
+
+        // Fog blends into the horizon, warmed at sunrise and sunset
+        this.fogColor.copy(uniforms.horizonColor.value).lerp(TWILIGHT, twilight * 0.3);
+        if (this.scene.fog) this.scene.fog.color.copy(this.fogColor);
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.group.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+    }
+}
@@ -0,0 +1,190 @@
+import { getBlockId } from './blocks.js';
+import { chunkKey } from './chunk.js';
+
+const DB_NAME = 'minecraft-beta-3d';
+const DB_VERSION = 1;
+
+// Bump this when the layout of saved worlds changes (e.g. block IDs get
+// renumbered) and add a migration below that upgrades older saves.
+export const SAVE_FORMAT_VERSION = 2;
+
+// Migrations keyed by the version they upgrade *from*. Each receives a world
+// record and its chunk records and returns them in the next version's format.
+const migrations = {
+    // Inventory slots held block names; they hold block IDs since version 2
+    1: ({ world, chunks }) => {
+        const player = world.player && Array.isArray(world.player.inventory) ? {
+            ...world.player,
+            inventory: world.player.inventory.map(({ type, count }) => (
+                type ? { id: getBlockId(type), count } : { id: null, count: 0 }
+            ))
+        } : world.player;
+        return { world: { ...world, player, formatVersion: 2 }, chunks };
+    }
+};
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Saved worlds in IndexedDB. Each world has one record in `worlds` (name, seed,
+// player state...) and one record in `chunks` for every chunk the player has
+// changed. Untouched chunks are never stored; they are regenerated from the seed.
+export class WorldStorage {
+    constructor(db) {
+        this.db = db;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    static async open() {
+        if (!WorldStorage.isSupported()) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('worlds')) {
+                db.createObjectStore('worlds', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('chunks')) {
+                const chunks = db.createObjectStore('chunks', { keyPath: ['worldId', 'cx', 'cz'] });
+                chunks.createIndex('worldId', 'worldId');
+            }
+        };
+
+        return new WorldStorage(await promisify(request));
+    }
+
+    // All saved worlds, most recently played first
+    async listWorlds() {
+        const store = this.db.transaction('worlds').objectStore('worlds');
+        const worlds = await promisify(store.getAll());
+        return worlds.sort((a, b) => b.lastPlayed - a.lastPlayed);
+    }
+
+    async createWorld({ name, seed, gameMode = 'survival' }) {
+        const now = Date.now();
+        const world = {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            formatVersion: SAVE_FORMAT_VERSION,
+            name,
+            seed,
+            gameMode,
+            createdAt: now,
+            lastPlayed: now,
+            player: null
+        };
+        await this.saveWorld(world);
+        return world;
+    }
+
+    // Load a world record, upgrading it and its chunks to the current format
+    async loadWorld(id) {
+        const store = this.db.transaction('worlds').objectStore('worlds');
+        const world = await promisify(store.get(id));
+        if (!world) return null;
+
+        if (world.formatVersion > SAVE_FORMAT_VERSION) {
+            throw new Error(`World "${world.name}" was saved by a newer version of the game`);
+        }
+        if (world.formatVersion < SAVE_FORMAT_VERSION) {
+            return this.migrateWorld(world);
+        }
+        return world;
+    }
+
+    async migrateWorld(world) {
+        let chunks = await promisify(
+            this.db.transaction('chunks').objectStore('chunks').index('worldId').getAll(world.id)
+        );
+
+        while (world.formatVersion < SAVE_FORMAT_VERSION) {
+            const migrate = migrations[world.formatVersion];
+            if (!migrate) {
+                throw new Error(`No migration from save format ${world.formatVersion}`);
+            }
+            ({ world, chunks } = migrate({ world, chunks }));
+        }
+
+        const transaction = this.db.transaction(['worlds', 'chunks'], 'readwrite');
+        transaction.objectStore('worlds').put(world);
+        chunks.forEach(chunk => transaction.objectStore('chunks').put(chunk));
+        await transactionDone(transaction);
+        return world;
+    }
+
+    async saveWorld(world) {
+        const transaction = this.db.transaction('worlds', 'readwrite');
+        transaction.objectStore('worlds').put({ ...world, formatVersion: SAVE_FORMAT_VERSION });
+        await transactionDone(transaction);
+    }
+
+    async deleteWorld(id) {
+        const transaction = this.db.transaction(['worlds', 'chunks'], 'readwrite');
+        transaction.objectStore('worlds').delete(id);
+        const chunks = transaction.objectStore('chunks');
+        const keys = await promisify(chunks.index('worldId').getAllKeys(id));
+        keys.forEach(key => chunks.delete(key));
+        await transactionDone(transaction);
+    }
+
+    // Keys (see chunkKey) of every chunk saved for a world
+    async listChunkKeys(worldId) {
+        const index = this.db.transaction('chunks').objectStore('chunks').index('worldId');
+        const keys = await promisify(index.getAllKeys(worldId));
+        return new Set(keys.map(([, cx, cz]) => chunkKey(cx, cz)));
+    }
+
+    // Every saved chunk of a world as { cx, cz, blocks, data }
+    async loadAllChunks(worldId) {
+        const index = this.db.transaction('chunks').objectStore('chunks').index('worldId');
+        const records = await promisify(index.getAll(worldId));
+        return records.map(record => ({ cx: record.cx, cz: record.cz, ...chunkArrays(record) }));
+    }
+
+    // { blocks, data } of a saved chunk, or null if it was never saved
+    async loadChunk(worldId, cx, cz) {
+        const store = this.db.transaction('chunks').objectStore('chunks');
+        const record = await promisify(store.get([worldId, cx, cz]));
+        return record ? chunkArrays(record) : null;
+    }
+
+    async saveChunks(worldId, chunks) {
+        if (chunks.length === 0) return;
+
+        const transaction = this.db.transaction('chunks', 'readwrite');
+        const store = transaction.objectStore('chunks');
+        for (const chunk of chunks) {
+            store.put({
+                worldId,
+                cx: chunk.cx,
+                cz: chunk.cz,
+                formatVersion: SAVE_FORMAT_VERSION,
+                blocks: chunk.blocks,
+                data: chunk.data
+            });
+        }
+        await transactionDone(transaction);
+    }
+}
+
+// Chunks saved before block data existed get an empty data array, which
+// makes any fluid in them a source
+function chunkArrays({ blocks, data }) {
+    return { blocks, data: data ?? new Uint8Array(blocks.length) };
+}
@@ -0,0 +1,283 @@
+import { createNoise2D } from 'simplex-noise';
+import { Biome, getBiome, getBiomeWeights, SEA_LEVEL } from './biomes.js';
+import { BlockId } from './blocks.js';
+import { CaveGenerator, LAVA_LEVEL } from './caves.js';
+import { CHUNK_HEIGHT, CHUNK_SIZE } from './chunk.js';
+import { generateOres } from './ores.js';
+import { hashCoords, hashSeed, mulberry32, positionRandom } from './random.js';
+
+// Salts that keep each kind of random decision independent
+const TREE_SALT = 1;
+const TEMPERATURE_SALT = 2;
+const HUMIDITY_SALT = 3;
+const BEDROCK_SALT = 4;
+
+// How far tree leaves reach from the trunk
+const TREE_RADIUS = 2;
+
+// Noise frequencies. Climate changes slowly so biomes span many chunks.
+const HEIGHT_SCALE = 1 / 96;
+const CLIMATE_SCALE = 1 / 512;
+
+// Blocks of filler between the surface block and stone
+const FILLER_DEPTH = 3;
+
+// Bedrock fills the bottom layer and gets patchier up to this height
+const BEDROCK_TOP = 4;
+
+// Caves under lakes and seas stop this far below the floor so the water
+// stays put
+const SEA_FLOOR_THICKNESS = 4;
+
+// Mountain tops turn to bare stone, then snow
+const STONE_LINE = 64;
+const SNOW_LINE = 74;
+
+// The highest tree chance of any biome. Columns roll once against this
+// before the biome is looked up, which keeps the tree pass cheap.
+const MAX_TREE_CHANCE = Math.max(...Object.values(Biome).map(biome => biome.trees));
+
+export class TerrainGenerator {
+    constructor(seed) {
+        this.seed = hashSeed(seed);
+
+        // Initialize noise generators from the world seed
+        this.noise2D = createNoise2D(mulberry32(this.seed));
+        this.temperatureNoise = createNoise2D(mulberry32(hashCoords(this.seed, 0, 0, 0, TEMPERATURE_SALT)));
+        this.humidityNoise = createNoise2D(mulberry32(hashCoords(this.seed, 0, 0, 0, HUMIDITY_SALT)));
+        this.caves = new CaveGenerator(this.seed);
+    }
+
+    // Sum of octaves of noise, roughly in -1..1
+    fractalNoise(noise, x, z, octaves) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let total = 0;
+        for (let i = 0; i < octaves; i++) {
+            value += noise(x * frequency, z * frequency) * amplitude;
+            total += amplitude;
+            amplitude /= 2;
+            frequency *= 2;
+        }
+        return value / total;
+    }
+
+    // Temperature and humidity at world (x, z), both in -1..1
+    getClimate(x, z) {
+        // Low frequency noise rarely reaches its extremes, so stretch it
+        const stretch = value => Math.max(-1, Math.min(1, value * 1.6));
+        return {
+            temperature: stretch(this.fractalNoise(this.temperatureNoise, x * CLIMATE_SCALE, z * CLIMATE_SCALE, 2)),
+            humidity: stretch(this.fractalNoise(this.humidityNoise, x * CLIMATE_SCALE, z * CLIMATE_SCALE, 2))
+        };
+    }
+
+    // Height of the topmost terrain block in the column at world (x, z) and
+    // the biome it belongs to
+    getColumn(x, z) {
+        const { temperature, humidity } = this.getClimate(x, z);
+
+        // Mix the shape of every nearby biome by its weight
+        let baseHeight = 0;
+        let amplitude = 0;
+        for (const { biome, weight } of getBiomeWeights(temperature, humidity)) {
+            baseHeight += biome.baseHeight * weight;
+            amplitude += biome.amplitude * weight;
+        }
+
+        const height = Math.floor(
+            baseHeight + amplitude * this.fractalNoise(this.noise2D, x * HEIGHT_SCALE, z * HEIGHT_SCALE, 4)
+        );
+        return {
+            height: Math.max(1, Math.min(CHUNK_HEIGHT - 16, height)),
+            biome: getBiome(temperature, humidity)
+        };
+    }
+
+    getElevation(x, z) {
+        return this.getColumn(x, z).height;
+    }
+
+    // Top block and the blocks right below it for a column
+    getSurfaceBlocks({ height, biome }) {
+        // Lake and sea floors
+        if (height < SEA_LEVEL - 3) {
+            return { surface: BlockId.GRAVEL, filler: BlockId.GRAVEL };
+        }
+        // Beaches
+        if (height <= SEA_LEVEL + 1 && biome !== Biome.TUNDRA) {
+            return { surface: BlockId.SAND, filler: BlockId.SAND };
+        }
+        if (biome === Biome.MOUNTAINS) {
+            if (height >= SNOW_LINE) return { surface: BlockId.SNOW, filler: BlockId.STONE };
+            if (height >= STONE_LINE) return { surface: BlockId.STONE, filler: BlockId.STONE };
+        }
+        return { surface: biome.surfaceBlock, filler: biome.fillerBlock };
+    }
+
+    // Whether a block of the column at (x, z) is hollowed out by a cave or
+    // ravine
+    isCarved(x, y, z, { height }, ravineBottom) {
+        // Keep a solid floor under water
+        if (height <= SEA_LEVEL + 1) {
+            return y <= height - SEA_FLOOR_THICKNESS && this.caves.isCave(x, y, z, height, Infinity);
+        }
+        return this.caves.isCave(x, y, z, height, ravineBottom);
+    }
+
+    isBedrock(x, y, z) {
+        if (y === 0) return true;
+        if (y >= BEDROCK_TOP) return false;
+        const roll = (hashCoords(this.seed, x, y, z, BEDROCK_SALT) >>> 0) / 4294967296;
+        return roll < (BEDROCK_TOP - y) / BEDROCK_TOP;
+    }
+
+    // A column near the origin that is dry land, for spawning the player.
+    // Searches outwards in rings and falls back to the origin.
+    findSpawnPoint() {
+        const step = 8;
+        for (let ring = 0; ring <= 32; ring++) {
+            for (let dx = -ring; dx <= ring; dx++) {
+                for (let dz = -ring; dz <= ring; dz++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring) continue;
+                    const x = dx * step;
+                    const z = dz * step;
+                    if (this.getColumn(x, z).height > SEA_LEVEL + 1) return { x, z };
+                }
+            }
+        }
+        return { x: 0, z: 0 };
+    }
+
+    // Fill a freshly created chunk with terrain
+    generateChunk(chunk) {
+        for (let localX = 0; localX < CHUNK_SIZE; localX++) {
+            for (let localZ = 0; localZ < CHUNK_SIZE; localZ++) {
+                const x = chunk.worldX + localX;
+                const z = chunk.worldZ + localZ;
+                const column = this.getColumn(x, z);
+                const { height, biome } = column;
+                const { surface, filler } = this.getSurfaceBlocks(column);
+                const ravineBottom = this.caves.getRavineBottom(x, z, height);
+
+                // Create ground blocks
+                for (let y = 0; y <= height; y++) {
+                    let blockId;
+                    if (this.isBedrock(x, y, z)) {
+                        blockId = BlockId.BEDROCK;
+                    } else if (this.isCarved(x, y, z, column, ravineBottom)) {
+                        // Deep caves are flooded with lava
+                        blockId = y <= LAVA_LEVEL ? BlockId.LAVA : BlockId.AIR;
+                    } else if (y === height) {
+                        blockId = surface;
+                    } else if (y >= height - FILLER_DEPTH) {
+                        blockId = filler;
+                    } else {
+                        blockId = BlockId.STONE;
+                    }
+
+                    chunk.setBlock(localX, y, localZ, blockId);
+                }
+
+                // Flood everything below sea level; cold water freezes over
+                for (let y = height + 1; y <= SEA_LEVEL; y++) {
+                    const frozen = y === SEA_LEVEL && biome === Biome.TUNDRA;
+                    chunk.setBlock(localX, y, localZ, frozen ? BlockId.ICE : BlockId.WATER);
+                }
+            }
+        }
+
+        // Ores and fluid pockets replace the stone left after carving
+        generateOres(chunk, this.seed);
+
+        // Trees are decided per column from the seed alone, so trees standing in
+        // a neighbouring chunk are rebuilt here too and clipped to this chunk.
+        // Columns are visited in world order so overlapping trees always
+        // resolve the same way.
+        for (let x = chunk.worldX - TREE_RADIUS; x < chunk.worldX + CHUNK_SIZE + TREE_RADIUS; x++) {
+            for (let z = chunk.worldZ - TREE_RADIUS; z < chunk.worldZ + CHUNK_SIZE + TREE_RADIUS; z++) {
+                const random = positionRandom(this.seed, x, z, 0, TREE_SALT);
+                const roll = random();
+                if (roll >= MAX_TREE_CHANCE) continue;
+
+                const column = this.getColumn(x, z);
+                if (roll >= column.biome.trees || column.height <= SEA_LEVEL + 1) continue;
+
+                // No trees over cave openings
+                const ravineBottom = this.caves.getRavineBottom(x, z, column.height);
+                if (this.isCarved(x, column.height, z, column, ravineBottom)) continue;
+
+                const { surface } = this.getSurfaceBlocks(column);
+                const species = column.biome.species[Math.floor(random() * column.biome.species.length)];
+                const localX = x - chunk.worldX;
+                const localZ = z - chunk.worldZ;
+                const y = column.height + 1;
+
+                if (species === 'cactus') {
+                    if (surface === BlockId.SAND) this.generateCactus(chunk, localX, y, localZ, random);
+                } else if (surface === BlockId.GRASS || surface === BlockId.SNOW) {
+                    if (species === 'spruce') {
+                        this.generateSpruce(chunk, localX, y, localZ, random);
+                    } else {
+                        this.generateTree(chunk, localX, y, localZ, random, species === 'birch');
+                    }
+                }
+            }
+        }
+    }
+
+    // (x, y, z) are relative to the chunk and may lie outside it; blocks
+    // outside the chunk are skipped. Birches are taller with a narrow crown.
+    generateTree(chunk, x, y, z, random, birch = false) {
+        const treeHeight = (birch ? 5 : 4) + Math.floor(random() * 3);
+        
+        // Generate trunk
+        for (let i = 0; i < treeHeight; i++) {
+            chunk.setBlock(x, y + i, z, BlockId.WOOD);
+        }
+        
+        // Generate leaves
+        for (let ly = -1; ly <= 2; ly++) {
+            const radius = birch && ly > 0 ? 1 : TREE_RADIUS;
+            this.generateLeafLayer(chunk, x, y + treeHeight + ly, z, radius);
+        }
+    }
+
+    // A tall trunk inside a cone of leaves
+    generateSpruce(chunk, x, y, z, random) {
+        const treeHeight = 6 + Math.floor(random() * 3);
+
+        for (let i = 0; i < treeHeight; i++) {
+            chunk.setBlock(x, y + i, z, BlockId.WOOD);
+        }
+
+        // Layers widen from a single block at the tip down to the full radius
+        for (let layer = 0; layer < treeHeight - 1; layer++) {
+            const radius = Math.min(TREE_RADIUS, Math.ceil(layer / 2));
+            this.generateLeafLayer(chunk, x, y + treeHeight - layer, z, radius);
+        }
+    }
+
+    generateCactus(chunk, x, y, z, random) {
+        const cactusHeight = 1 + Math.floor(random() * 3);
+        for (let i = 0; i < cactusHeight; i++) {
+            chunk.setBlock(x, y + i, z, BlockId.CACTUS);
+        }
+    }
+
+    // A square of leaves centred on (x, z), filling only air so trunks and
+    // other trees stay intact
+    generateLeafLayer(chunk, x, y, z, radius) {
+        for (let lx = -radius; lx <= radius; lx++) {
+            for (let lz = -radius; lz <= radius; lz++) {
+                // Skip corners for a more natural look
+                if (radius > 1 && Math.abs(lx) === radius && Math.abs(lz) === radius) continue;
+
+                if (chunk.getBlock(x + lx, y, z + lz) !== BlockId.AIR) continue;
+
+                chunk.setBlock(x + lx, y, z + lz, BlockId.LEAVES);
+            }
+        }
+    }
+}
@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import { getTextureIndex, getTextureNames } from './blocks.js';
+
+// Every block texture lives in one canvas, a grid of 16x16 tiles, so chunk
+// meshes draw with one material instead of one per texture. A texture's tile
+// is its place in getTextureNames(); the meshes carry it per vertex (see
+// mesher.js) and the block shader picks the tile out (see world.js).
+export const TILE_SIZE = 16;
+
+// Base colour of each generated texture (see block-definitions.js)
+const textureColors = {
+    stone: 0x808080,
+    grass_top: 0x567d46,
+    grass_side: 0x6f6a3a,
+    dirt: 0x8b4513,
+    cobblestone: 0x6e6e6e,
+    bedrock: 0x3a3a3a,
+    water: 0x3f76e4,
+    lava: 0xd8600c,
+    sand: 0xdbd3a0,
+    gravel: 0x857b7b,
+    gold_ore: 0xd8c040,
+    iron_ore: 0xb8a08c,
+    coal_ore: 0x4a4a4a,
+    log_top: 0xa08050,
+    log_side: 0x5c4326,
+    leaves: 0x228b22,
+    obsidian: 0x1b1428,
+    torch: 0xffd860,
+    diamond_ore: 0x5fd8d0,
+    ice: 0xa5c8f5,
+    snow: 0xf0fbfb,
+    cactus_top: 0x2e8a30,
+    cactus_bottom: 0x2e8a30,
+    cactus_side: 0x0d6b19,
+    glowstone: 0xe8c070,
+    planks: 0xa8864f,
+    crafting_table_top: 0x8a6a3a,
+    crafting_table_side: 0x7a5830
+};
+
+// Generated textures that move: how many frames and how many ticks each
+const generatedAnimations = {
+    water: { frames: 32, frameTime: 2, ripple: 0.12 },
+    lava: { frames: 32, frameTime: 3, ripple: 0.25 }
+};
+
+export class TextureAtlas {
+    constructor() {
+        this.names = getTextureNames();
+        this.columns = Math.ceil(Math.sqrt(this.names.length));
+        this.rows = Math.ceil(this.names.length / this.columns);
+        this.size = new THREE.Vector2(this.columns, this.rows); // for the shader
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.columns * TILE_SIZE;
+        this.canvas.height = this.rows * TILE_SIZE;
+        this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        // Tiles are looked up by hand in the shader, so the canvas is used
+        // the way it's laid out: no flipping, no filtering between texels
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.flipY = false;
+        this.texture.magFilter = THREE.NearestFilter;
+        this.texture.minFilter = THREE.NearestFilter;
+        this.texture.generateMipmaps = false;
+
+        // Animated tiles: texture name -> { frames: ImageData[], frameTime, frame }
+        this.animations = new Map();
+        this.packName = null;
+
+        // Goes up whenever a pack is applied, so copies of the tiles (such
+        // as item icons) know to redraw
+        this.version = 0;
+
+        this.applyResourcePack(null);
+    }
+
+    getTile(name) {
+        return getTextureIndex(name);
+    }
+
+    // Top left corner of a texture's tile in the canvas, in pixels
+    getTileOrigin(name) {
+        const tile = this.getTile(name);
+        return {
+            x: (tile % this.columns) * TILE_SIZE,
+            y: Math.floor(tile / this.columns) * TILE_SIZE
+        };
+    }
+
+    // Redraw every tile from a pack loaded by loadResourcePack(), or from
+    // the generated textures when `pack` is null. Textures the pack doesn't
+    // have keep their generated tile.
+    applyResourcePack(pack) {
+        this.animations.clear();
+        this.packName = pack?.name ?? null;
+        this.version++;
+
+        for (const name of this.names) {
+            const source = pack?.textures.get(name);
+            const frames = source ? this.framesFromImage(source.image) : this.generateFrames(name);
+            const frameTime = source ? source.frameTime : generatedAnimations[name]?.frameTime;
+
+            this.drawTile(name, frames[0]);
+            if (frames.length > 1) {
+                this.animations.set(name, { frames, frameTime: Math.max(1, frameTime), frame: 0 });
+            }
+        }
+        this.texture.needsUpdate = true;
+    }
+
+    drawTile(name, frame) {
+        const { x, y } = this.getTileOrigin(name);
+        this.context.putImageData(frame, x, y);
+    }
+
+    // Split an image into square frames stacked top to bottom, each scaled to
+    // one tile without smoothing
+    framesFromImage(image) {
+        const frameSize = image.width;
+        const count = Math.max(1, Math.floor(image.height / frameSize));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = TILE_SIZE;
+        canvas.height = TILE_SIZE;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.imageSmoothingEnabled = false;
+
+        const frames = [];
+        for (let i = 0; i < count; i++) {
+            context.clearRect(0, 0, TILE_SIZE, TILE_SIZE);
+            context.drawImage(image, 0, i * frameSize, frameSize, frameSize, 0, 0, TILE_SIZE, TILE_SIZE);
+            frames.push(context.getImageData(0, 0, TILE_SIZE, TILE_SIZE));
+        }
+        return frames;
+    }
+
+    // The built-in look: a flat colour with a darker border, magenta for a
+    // texture nobody gave a colour. Water and lava ripple with diagonal
+    // bands that loop once over their frames.
+    generateFrames(name) {
+        const color = new THREE.Color(textureColors[name] ?? 0xff00ff);
+        const animation = generatedAnimations[name];
+        const count = animation?.frames ?? 1;
+
+        const frames = [];
+        for (let frame = 0; frame < count; frame++) {
+            const image = new ImageData(TILE_SIZE, TILE_SIZE);
+            for (let y = 0; y < TILE_SIZE; y++) {
+                for (let x = 0; x < TILE_SIZE; x++) {
+                    const border = x === 0 || y === 0 || x === TILE_SIZE - 1 || y === TILE_SIZE - 1;
+                    let shade = border ? 0.7 : 1;
+                    if (animation) {
+                        const phase = (x + y) / TILE_SIZE + frame / count;
+                        shade *= 1 + Math.sin(phase * Math.PI * 2) * animation.ripple;
+                    }
+
+                    const o = (y * TILE_SIZE + x) * 4;
+                    image.data[o] = Math.min(255, Math.floor(color.r * 255 * shade));
+                    image.data[o + 1] = Math.min(255, Math.floor(color.g * 255 * shade));
+                    image.data[o + 2] = Math.min(255, Math.floor(color.b * 255 * shade));
+                    image.data[o + 3] = 255;
+                }
+            }
+            frames.push(image);
+        }
+        return frames;
+    }
+
+    // Step animated tiles to the world time in ticks. Only tiles whose frame
+    // changed are redrawn and uploaded.
+    update(time) {
+        let changed = false;
+        this.animations.forEach((animation, name) => {
+            const frame = Math.floor(time / animation.frameTime) % animation.frames.length;
+            if (frame !== animation.frame) {
+                animation.frame = frame;
+                this.drawTile(name, animation.frames[frame]);
+                changed = true;
+            }
+        });
+        if (changed) this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.texture.dispose();
+    }
+}
@@ -0,0 +1,250 @@
+import { applyDeadZone } from './actions.js';
+
+// Touch screen controls. A finger put down on the left half of the screen
+// brings up a joystick where it lands, for analog movement; fingers on the
+// right half look around, each on its own, so moving and looking work at
+// the same time. Holding a look finger still breaks blocks (and keeps
+// breaking while it aims around), and a quick tap hits once. Jump and place
+// have their own buttons. Everything presses actions (see actions.js).
+
+// Where the touch settings are kept between visits
+const STORAGE_KEY = 'minecraft-beta-3d.touch';
+
+// Radians the camera turns per pixel dragged, before sensitivity
+const LOOK_SPEED = 0.002;
+
+export const MIN_LOOK_SENSITIVITY = 0.25;
+export const MAX_LOOK_SENSITIVITY = 4;
+
+// How far the joystick knob travels from the middle, in pixels, and how much
+// of that counts as centred
+const JOYSTICK_RADIUS = 50;
+const JOYSTICK_DEAD_ZONE = 0.15;
+
+// A look finger held this long (milliseconds) without moving further than
+// TAP_DISTANCE pixels starts breaking; lifted sooner it is a tap
+const LONG_PRESS_TIME = 300;
+const TAP_DISTANCE = 10;
+
+const BUTTON_SIZE = 64;
+
+export function loadTouchSettings(storage = globalThis.localStorage) {
+    const settings = { lookSensitivity: 1 };
+    try {
+        const saved = JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null');
+        if (Number.isFinite(saved?.lookSensitivity)) {
+            settings.lookSensitivity = Math.min(MAX_LOOK_SENSITIVITY,
+                Math.max(MIN_LOOK_SENSITIVITY, saved.lookSensitivity));
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable touch settings:', error);
+    }
+    return settings;
+}
+
+export function saveTouchSettings(settings, storage = globalThis.localStorage) {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+export class TouchControls {
+    constructor(input, domElement, settings = loadTouchSettings()) {
+        this.input = input;
+        this.domElement = domElement;
+        this.settings = settings;
+
+        // Joystick position, x and y from -1 to 1 with y down, read by
+        // InputHandler.update() like the gamepad's left stick
+        this.move = { x: 0, y: 0 };
+        this.joystick = null; // { id, x, y }: the finger and where it landed
+        this.lookTouches = new Map(); // Finger id -> look state
+
+        this.createJoystick();
+        this.createButtons();
+        this.setupTouchEvents();
+    }
+
+    createJoystick() {
+        const circle = (size, background) => {
+            const element = document.createElement('div');
+            element.style.position = 'fixed';
+            element.style.width = `${size}px`;
+            element.style.height = `${size}px`;
+            element.style.marginLeft = `${-size / 2}px`;
+            element.style.marginTop = `${-size / 2}px`;
+            element.style.borderRadius = '50%';
+            element.style.background = background;
+            element.style.border = '2px solid rgba(255, 255, 255, 0.5)';
+            element.style.pointerEvents = 'none';
+            element.style.display = 'none';
+            document.body.appendChild(element);
+            return element;
+        };
+        this.joystickBase = circle(JOYSTICK_RADIUS * 2, 'rgba(255, 255, 255, 0.1)');
+        this.joystickKnob = circle(JOYSTICK_RADIUS, 'rgba(255, 255, 255, 0.35)');
+    }
+
+    // Jump is held like a key (hold to swim or fly up, double-tap to fly);
+    // place is a tap. Only shown on touch screens.
+    createButtons() {
+        const touchScreen = window.matchMedia('(pointer: coarse)').matches;
+        const button = (label, right, bottom) => {
+            const element = document.createElement('button');
+            element.textContent = label;
+            element.style.position = 'fixed';
+            element.style.right = `${right}px`;
+            element.style.bottom = `${bottom}px`;
+            element.style.width = `${BUTTON_SIZE}px`;
+            element.style.height = `${BUTTON_SIZE}px`;
+            element.style.borderRadius = '50%';
+            element.style.background = 'rgba(255, 255, 255, 0.2)';
+            element.style.border = '2px solid rgba(255, 255, 255, 0.5)';
+            element.style.color = 'white';
+            element.style.fontFamily = 'monospace';
+            element.style.userSelect = 'none';
+            element.style.webkitTapHighlightColor = 'transparent';
+            element.style.zIndex = '100';
+            element.style.display = touchScreen ? 'block' : 'none';
+            document.body.appendChild(element);
+            return element;
+        };
+
+        this.jumpButton = button('Jump', 24, 110);
+        this.jumpButton.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.input.actions.press('jump', 'touchJump');
+        });
+        this.jumpButton.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.input.actions.release('jump', 'touchJump');
+        });
+
+        this.placeButton = button('Place', 24 + BUTTON_SIZE + 16, 40);
+        this.placeButton.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.input.tapAction('use', 'touchPlace');
+        });
+    }
+
+    setupTouchEvents() {
+        const element = this.domElement;
+        element.addEventListener('touchstart', (e) => {
+            e.preventDefault(); // No scrolling or zooming
+            const player = this.input.player;
+            if (player.getOpenScreen() || player.health.isDead()) return;
+            for (const touch of e.changedTouches) {
+                if (touch.clientX < window.innerWidth / 2 && !this.joystick) {
+                    this.startJoystick(touch);
+                } else {
+                    this.startLook(touch);
+                }
+            }
+        });
+        element.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            for (const touch of e.changedTouches) {
+                if (touch.identifier === this.joystick?.id) this.moveJoystick(touch);
+                else if (this.lookTouches.has(touch.identifier)) this.moveLook(touch);
+            }
+        });
+        const end = (e) => {
+            for (const touch of e.changedTouches) {
+                if (touch.identifier === this.joystick?.id) this.endJoystick();
+                else if (this.lookTouches.has(touch.identifier)) this.endLook(touch);
+            }
+        };
+        element.addEventListener('touchend', end);
+        element.addEventListener('touchcancel', end);
+    }
+
+    startJoystick(touch) {
+        this.joystick = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+        for (const part of [this.joystickBase, this.joystickKnob]) {
+            part.style.left = `${touch.clientX}px`;
+            part.style.top = `${touch.clientY}px`;
+            part.style.display = 'block';
+        }
+    }
+
+    moveJoystick(touch) {
+        let dx = touch.clientX - this.joystick.x;
+        let dy = touch.clientY - this.joystick.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance > JOYSTICK_RADIUS) {
+            dx *= JOYSTICK_RADIUS / distance;
+            dy *= JOYSTICK_RADIUS / distance;
+        }
+        this.joystickKnob.style.left = `${this.joystick.x + dx}px`;
+        this.joystickKnob.style.top = `${this.joystick.y + dy}px`;
+        this.move = applyDeadZone(dx / JOYSTICK_RADIUS, dy / JOYSTICK_RADIUS, JOYSTICK_DEAD_ZONE);
+    }
+
+    endJoystick() {
+        this.joystick = null;
+        this.move = { x: 0, y: 0 };
+        this.joystickBase.style.display = 'none';
+        this.joystickKnob.style.display = 'none';
+    }
+
+    startLook(touch) {
+        const id = touch.identifier;
+        const look = {
+            x: touch.clientX,
+            y: touch.clientY,
+            startX: touch.clientX,
+            startY: touch.clientY,
+            startTime: performance.now(),
+            moved: false,
+            breaking: false,
+            timer: null
+        };
+        look.timer = setTimeout(() => {
+            look.timer = null;
+            look.breaking = true;
+            this.input.actions.press('attack', `touch${id}`);
+        }, LONG_PRESS_TIME);
+        this.lookTouches.set(id, look);
+    }
+
+    // Dragging right turns right, dragging up looks up
+    moveLook(touch) {
+        const look = this.lookTouches.get(touch.identifier);
+        const speed = LOOK_SPEED * this.settings.lookSensitivity;
+        this.input.look((look.x - touch.clientX) * speed, (look.y - touch.clientY) * speed);
+        look.x = touch.clientX;
+        look.y = touch.clientY;
+
+        // Dragging before the long press looks around instead of breaking
+        if (!look.moved && Math.hypot(look.x - look.startX, look.y - look.startY) > TAP_DISTANCE) {
+            look.moved = true;
+            clearTimeout(look.timer);
+            look.timer = null;
+        }
+    }
+
+    endLook(touch) {
+        const id = touch.identifier;
+        const look = this.lookTouches.get(id);
+        this.lookTouches.delete(id);
+        clearTimeout(look.timer);
+        if (look.breaking) {
+            this.input.actions.release('attack', `touch${id}`);
+        } else if (!look.moved && performance.now() - look.startTime < LONG_PRESS_TIME) {
+            // A tap hits the block once, enough for blocks that break at once
+            this.input.tapAction('attack', `touch${id}`);
+        }
+    }
+
+    // Drop every look finger without tapping, e.g. when a screen opens: long
+    // presses still waiting never start breaking, and ones that did stop.
+    // The fingers are ignored until they are lifted.
+    cancelLooks() {
+        for (const [id, look] of this.lookTouches) {
+            clearTimeout(look.timer);
+            if (look.breaking) this.input.actions.release('attack', `touch${id}`);
+        }
+        this.lookTouches.clear();
+    }
+}
@@ -0,0 +1,136 @@
+import { runChunkJob } from './chunk-jobs.js';
+
+function defaultPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    // Leave a core for the main thread
+    return Math.max(1, Math.min(4, cores - 1));
+}
+
+// Runs chunk generation and meshing jobs on a pool of Web Workers. Jobs wait in
+// a queue until a worker is free and are handed out most urgent first, so
+// queued jobs can still be cancelled when the player moves away.
+//
+// Without Worker support (e.g. in Node) jobs run on the calling thread instead,
+// `size` jobs per dispatch() call.
+export class ChunkWorkerPool {
+    constructor(options = {}) {
+        this.size = options.size ?? defaultPoolSize();
+
+        // Lower values are dispatched first
+        this.getPriority = options.getPriority ?? (() => 0);
+
+        this.queue = [];
+        this.running = new Map(); // job key -> job
+        this.workers = [];
+        this.idleWorkers = [];
+        this.workerJobs = new Map(); // worker -> job
+
+        if (typeof Worker !== 'undefined') {
+            for (let i = 0; i < this.size; i++) {
+                const worker = new Worker(new URL('./chunk-worker.js', import.meta.url), { type: 'module' });
+                worker.onmessage = (e) => this.handleResult(worker, e.data);
+                worker.onerror = (e) => this.handleWorkerError(worker, e);
+                this.workers.push(worker);
+                this.idleWorkers.push(worker);
+            }
+        }
+    }
+
+    // Queue a job. `key` identifies it for has() and cancel(); `onComplete`
+    // receives the reply message, or null if the job failed.
+    submit(key, message, transfer, onComplete) {
+        this.queue.push({ key, message, transfer, onComplete, cancelled: false });
+    }
+
+    has(key) {
+        return this.running.has(key) || this.queue.some(job => job.key === key);
+    }
+
+    // Drop a queued job, or discard the result of one that is already running
+    cancel(key) {
+        this.queue = this.queue.filter(job => job.key !== key);
+        const job = this.running.get(key);
+        if (job) {
+            job.cancelled = true;
+        }
+    }
+
+    // Hand queued jobs to idle workers, most urgent first
+    dispatch() {
+        if (this.queue.length === 0) return;
+        this.queue.sort((a, b) => this.getPriority(a) - this.getPriority(b));
+
+        if (this.workers.length === 0) {
+            for (const job of this.queue.splice(0, this.size)) {
+                this.runInline(job);
+            }
+            return;
+        }
+
+        while (this.idleWorkers.length > 0 && this.queue.length > 0) {
+            const job = this.queue.shift();
+            const worker = this.idleWorkers.pop();
+            this.running.set(job.key, job);
+            this.workerJobs.set(worker, job);
+            worker.postMessage(job.message, job.transfer);
+        }
+    }
+
+    runInline(job) {
+        let result;
+        try {
+            result = runChunkJob(job.message).result;
+        } catch (error) {
+            console.error('Chunk job failed:', error);
+            result = null;
+        }
+        job.onComplete(result);
+    }
+
+    handleResult(worker, data) {
+        // Only a worker that was running a job is free again, so a stray
+        // message can't put an idle worker in the list twice
+        const job = this.workerJobs.get(worker);
+        if (!job) return;
+        this.workerJobs.delete(worker);
+        this.idleWorkers.push(worker);
+
+        this.finishJob(job, data.type === 'error' ? null : data, data.message);
+        this.dispatch();
+    }
+
+    // An error outside a job (the worker's module failed to load, or it threw
+    // where chunk-worker.js doesn't catch) means the worker can't be trusted
+    // with more work: drop it and fail its job. Once every worker is gone,
+    // jobs run on the calling thread.
+    handleWorkerError(worker, e) {
+        console.error('Chunk worker error:', e.message);
+        worker.terminate();
+        this.workers = this.workers.filter(other => other !== worker);
+        this.idleWorkers = this.idleWorkers.filter(other => other !== worker);
+
+        const job = this.workerJobs.get(worker);
+        this.workerJobs.delete(worker);
+        if (job) this.finishJob(job, null, e.message);
+        this.dispatch();
+    }
+
+    // Hand a job's reply, or null if it failed, to whoever submitted it
+    finishJob(job, result, error) {
+        if (this.running.get(job.key) === job) {
+            this.running.delete(job.key);
+        }
+        if (job.cancelled) return;
+        if (result === null) console.error('Chunk job failed:', error);
+        job.onComplete(result);
+    }
+
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.idleWorkers = [];
+        this.workerJobs.clear();
+        this.running.clear();
+        this.queue = [];
+    }
+}
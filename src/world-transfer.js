@@ -0,0 +1,160 @@
+import { BlockId } from './blocks.js';
+import { Chunk, CHUNK_HEIGHT, chunkKey, worldToChunk, worldToLocal } from './chunk.js';
+import {
+    readRegion, writeRegion, readLevelDat, writeLevelDat,
+    regionCoords, regionFileName, parseRegionFileName
+} from './mcregion.js';
+import { randomSeed } from './random.js';
+import { TerrainGenerator } from './terrain.js';
+import { createZip } from './zip.js';
+
+// Moving worlds between this game and Minecraft Beta save folders
+
+async function readFile(file) {
+    return new Uint8Array(await file.arrayBuffer());
+}
+
+// Import a Beta world from its files: region/*.mcr plus, optionally, level.dat.
+// Every chunk is stored as a saved chunk of a new world; terrain outside the
+// imported chunks is generated from the level's seed as usual.
+export async function importBetaWorld(files, storage) {
+    let level = null;
+    const regionFiles = [];
+    for (const file of files) {
+        if (file.name === 'level.dat') {
+            level = await readLevelDat(await readFile(file));
+        } else if (parseRegionFileName(file.name)) {
+            regionFiles.push(file);
+        }
+    }
+
+    if (regionFiles.length === 0) {
+        throw new Error('No region files (r.<x>.<z>.mcr) were selected');
+    }
+
+    const world = await storage.createWorld({
+        name: level ? level.name : 'Imported World',
+        seed: level ? level.seed : randomSeed()
+    });
+
+    try {
+        for (const file of regionFiles) {
+            const chunks = await readRegion(await readFile(file));
+            await storage.saveChunks(world.id, chunks);
+        }
+    } catch (error) {
+        // Don't leave a half-imported world behind
+        await storage.deleteWorld(world.id);
+        throw error;
+    }
+
+    if (level) {
+        world.spawn = level.spawn;
+        world.time = level.time;
+        world.gameMode = level.gameMode;
+        if (level.player) {
+            world.player = {
+                position: level.player.position,
+                rotation: level.player.rotation,
+                inventory: level.player.inventory.map(item => (
+                    item ? { id: item.id, count: item.count } : { id: null, count: 0 }
+                )),
+                selectedSlot: 0,
+                health: level.player.health,
+                air: level.player.air,
+                fire: level.player.fire
+            };
+        } else {
+            world.player = {
+                position: { x: level.spawn.x, y: level.spawn.y + 1, z: level.spawn.z },
+                rotation: { x: 0, y: 0 }
+            };
+        }
+        await storage.saveWorld(world);
+    }
+
+    return world;
+}
+
+// Export a saved world as a zip holding a Beta save folder (level.dat and
+// region/*.mcr). Chunks the player never changed aren't saved, so the ones
+// within `radius` chunks of the player are generated from the seed and
+// included; without them the original game would fill the gaps with its own
+// terrain.
+export async function exportBetaWorld(world, storage, { radius = 8 } = {}) {
+    const chunks = new Map();
+    for (const chunk of await storage.loadAllChunks(world.id)) {
+        chunks.set(chunkKey(chunk.cx, chunk.cz), chunk);
+    }
+
+    const position = world.player ? world.player.position : { x: 0, z: 0 };
+    const centerX = worldToChunk(Math.round(position.x));
+    const centerZ = worldToChunk(Math.round(position.z));
+    const terrain = new TerrainGenerator(world.seed);
+    for (let dx = -radius; dx <= radius; dx++) {
+        for (let dz = -radius; dz <= radius; dz++) {
+            const key = chunkKey(centerX + dx, centerZ + dz);
+            if (dx * dx + dz * dz > radius * radius || chunks.has(key)) continue;
+            chunks.set(key, generateChunk(terrain, centerX + dx, centerZ + dz));
+        }
+    }
+
+    // Group chunks by region file
+    const regions = new Map();
+    for (const chunk of chunks.values()) {
+        const { rx, rz } = regionCoords(chunk.cx, chunk.cz);
+        const name = regionFileName(rx, rz);
+        if (!regions.has(name)) regions.set(name, []);
+        regions.get(name).push(chunk);
+    }
+
+    const folder = world.name.replace(/[^\w\- ]+/g, '_') || 'world';
+    const files = [];
+    for (const [name, regionChunks] of regions) {
+        files.push({ name: `${folder}/region/${name}`, data: await writeRegion(regionChunks) });
+    }
+
+    const player = world.player && {
+        position: world.player.position,
+        rotation: world.player.rotation,
+        inventory: (world.player.inventory || []).map(slot => (
+            slot && slot.id !== null ? { id: slot.id, count: slot.count } : null
+        )),
+        health: world.player.health,
+        air: world.player.air,
+        fire: world.player.fire
+    };
+    const levelDat = await writeLevelDat({
+        name: world.name,
+        seed: world.seed,
+        time: world.time ?? 0,
+        gameMode: world.gameMode,
+        spawn: world.spawn ?? findSpawn(terrain, chunks),
+        player
+    });
+    files.push({ name: `${folder}/level.dat`, data: levelDat });
+
+    return createZip(files);
+}
+
+function generateChunk(terrain, cx, cz) {
+    const chunk = new Chunk(cx, cz);
+    terrain.generateChunk(chunk);
+    return chunk;
+}
+
+// Spawn on top of the highest block of the first dry land near the origin
+function findSpawn(terrain, chunks) {
+    const { x, z } = terrain.findSpawnPoint();
+    const cx = worldToChunk(x);
+    const cz = worldToChunk(z);
+    const chunk = chunks.get(chunkKey(cx, cz)) ?? generateChunk(terrain, cx, cz);
+    const localX = worldToLocal(x);
+    const localZ = worldToLocal(z);
+
+    let y = CHUNK_HEIGHT - 1;
+    while (y > 0 && chunk.blocks[Chunk.index(localX, y, localZ)] === BlockId.AIR) {
+        y--;
+    }
+    return { x, y: y + 1, z };
+}
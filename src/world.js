@@ -1,171 +1,631 @@
 import * as THREE from 'three';
-import { createNoise2D } from 'simplex-noise';
+import { BlockId, getTorchSupport, isSolidBlock } from './blocks.js';
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT, chunkKey, worldToChunk, worldToLocal } from './chunk.js';
+import { FluidSimulator } from './fluids.js';
+import { computeChunkLight, LightEngine, MAX_LIGHT, SKY_LIGHT_ABOVE } from './lighting.js';
+import { createPaddedVolume } from './mesher.js';
+import { TerrainGenerator } from './terrain.js';
+import { randomSeed } from './random.js';
+import { TickScheduler } from './scheduler.js';
+import { Sky, TICKS_PER_DAY } from './sky.js';
+import { TextureAtlas, TILE_SIZE } from './texture-atlas.js';
+import { ChunkWorkerPool } from './worker-pool.js';
+
+// How many levels of sky light are lost at midnight, as in Beta
+const NIGHT_SKY_DARKENING = 11;
+
+// Material for chunk meshes. Blocks draw from the texture atlas: each vertex
+// names its tile and the UVs, which run across merged faces, wrap inside it.
+// Chunk meshes also carry their light in the vertex colours (see mesher.js):
+// sky light, block light and shade. This turns them into a brightness with
+// Beta's light curve, with the sky light dimmed as night falls.
+function createBlockMaterial(atlas, uniforms, parameters = {}) {
+    const material = new THREE.MeshBasicMaterial({ map: atlas.texture, vertexColors: true, ...parameters });
+    material.onBeforeCompile = (shader) => {
+        shader.uniforms.skyDarkening = uniforms.skyDarkening;
+        shader.uniforms.atlasSize = uniforms.atlasSize;
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nattribute float tile;\nvarying float vTile;')
+            .replace('#include <uv_vertex>', '#include <uv_vertex>\nvTile = tile;');
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', '#include <common>\nuniform float skyDarkening;\nuniform vec2 atlasSize;\nvarying float vTile;')
+            .replace('#include <map_fragment>', `
+                // Keep half a texel off the tile edges so neighbouring tiles
+                // never bleed in
+                float halfTexel = 0.5 / ${TILE_SIZE}.0;
+                vec2 tileUv = clamp(fract(vMapUv), halfTexel, 1.0 - halfTexel);
+                float tile = floor(vTile + 0.5);
+                vec2 tileOrigin = vec2(mod(tile, atlasSize.x), floor(tile / atlasSize.x));
+                // The atlas isn't flipped, so V runs down the canvas
+                diffuseColor *= texture2D(map, (tileOrigin + vec2(tileUv.x, 1.0 - tileUv.y)) / atlasSize);
+            `)
+            .replace('#include <color_fragment>', `
+                float level = max(vColor.r - skyDarkening, vColor.g);
+                float darkness = 1.0 - level;
+                float brightness = (1.0 - darkness) / (darkness * 3.0 + 1.0) * 0.95 + 0.05;
+                // The curve is meant for the screen, so undo the sRGB output encoding
+                diffuseColor.rgb *= pow(brightness * vColor.b, 2.2);
+            `);
+    };
+    return material;
+}
+
+// Chunk meshes use these two materials; water needs its own for blending
+const BLOCK_MATERIAL = 0;
+const WATER_MATERIAL = 1;
 
 export class World {
-    constructor(scene) {
+    constructor(scene, options = {}) {
         this.scene = scene;
         this.blocks = new THREE.Group();
         this.scene.add(this.blocks);
+
+        // Fluid meshes are kept apart because they use the see-through water
+        // material: as separate transparent objects three.js draws them after
+        // every opaque chunk, back to front, so blocks show through water
+        this.fluidBlocks = new THREE.Group();
+        this.scene.add(this.fluidBlocks);
+
+        // Voxel data, keyed by chunkKey(cx, cz)
+        this.chunks = new Map();
+
+        // One mesh per chunk, rebuilt when the chunk is marked dirty, plus
+        // one for its fluids
+        this.chunkMeshes = new Map();
+        this.fluidMeshes = new Map();
+        this.dirtyChunks = new Set();
+
+        // Fluids flow on scheduled game ticks, not every frame
+        this.tickScheduler = new TickScheduler();
+        this.fluids = new FluidSimulator(this, this.tickScheduler);
+
+        // Sky and block light, kept up to date as blocks change
+        this.lighting = new LightEngine(this);
+
+        // Chunk streaming settings
+        this.renderDistance = options.renderDistance ?? 4; // Radius in chunks
+        this.maxChunkLoadsPerFrame = options.maxChunkLoadsPerFrame ?? 2;
+        this.maxChunkMeshesPerFrame = options.maxChunkMeshesPerFrame ?? 2;
+        this.centerChunk = { cx: 0, cz: 0 };
+
+        // Generation and meshing run in workers. Finished results wait in these
+        // queues and only a few are applied per frame.
+        this.workerPool = new ChunkWorkerPool({
+            getPriority: job => this.chunkDistanceSq(job.message.cx, job.message.cz)
+        });
+        this.pendingChunks = new Map(); // key -> { cx, cz } being generated
+        this.meshJobs = new Set(); // keys of chunks being meshed
+        this.generatedChunks = [];
+        this.builtMeshes = [];
+
+        // Saved chunks are read back from storage instead of being generated.
+        // Only chunks the player changed are ever saved.
+        this.storage = options.storage ?? null;
+        this.worldId = options.worldId ?? null;
+        this.savedChunks = options.savedChunks ?? new Set(); // chunk keys
         
-        // Block types
-        this.blockTypes = {
-            grass: new THREE.MeshLambertMaterial({ color: 0x567d46 }),
-            dirt: new THREE.MeshLambertMaterial({ color: 0x8b4513 }),
-            stone: new THREE.MeshLambertMaterial({ color: 0x808080 }),
-            wood: new THREE.MeshLambertMaterial({ color: 0x8b4513 }),
-            leaves: new THREE.MeshLambertMaterial({ color: 0x228b22 })
-        };
-        
-        // Create block geometry
-        this.blockGeometry = new THREE.BoxGeometry(1, 1, 1);
-        
-        // Initialize noise generator
-        this.noise2D = createNoise2D();
+        // Shared by every block material; the sky sets it as time passes
+        this.lightUniforms = { skyDarkening: { value: 0 } };
         
-        // Create textures with borders
-        this.createTextures();
+        // World seed, a number or a string. The same seed always generates the
+        // same terrain.
+        this.seed = options.seed ?? randomSeed();
+
+        // World clock in ticks since the world was created; the time of day
+        // is this modulo TICKS_PER_DAY
+        this.time = options.time ?? 0;
+
+        // Terrain is generated chunk by chunk as the player moves
+        this.terrain = new TerrainGenerator(this.seed);
         
-        // Generate initial terrain
-        this.generateTerrain();
+        // Block textures, from the resource pack where it has them
+        this.createMaterials(options.resourcePack ?? null);
+
+        this.createSky();
     }
 
-    createTextures() {
-        const textureSize = 16;
-        const borderSize = 1;
-        
-        // Create a canvas for each texture
-        Object.keys(this.blockTypes).forEach(type => {
-            const canvas = document.createElement('canvas');
-            canvas.width = textureSize;
-            canvas.height = textureSize;
-            const ctx = canvas.getContext('2d');
-
-            // Get the base color
-            const color = this.blockTypes[type].color;
-            const r = Math.floor(color.r * 255);
-            const g = Math.floor(color.g * 255);
-            const b = Math.floor(color.b * 255);
-
-            // Fill with base color
-            ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
-            ctx.fillRect(0, 0, textureSize, textureSize);
-
-            // Add darker border
-            ctx.fillStyle = `rgb(${Math.floor(r * 0.7)}, ${Math.floor(g * 0.7)}, ${Math.floor(b * 0.7)})`;
-            ctx.fillRect(0, 0, textureSize, borderSize); // Top
-            ctx.fillRect(0, textureSize - borderSize, textureSize, borderSize); // Bottom
-            ctx.fillRect(0, 0, borderSize, textureSize); // Left
-            ctx.fillRect(textureSize - borderSize, 0, borderSize, textureSize); // Right
-
-            // Create texture from canvas
-            const texture = new THREE.CanvasTexture(canvas);
-            texture.magFilter = THREE.NearestFilter;
-            texture.minFilter = THREE.NearestFilter;
-
-            // Update material with new texture
-            this.blockTypes[type] = new THREE.MeshLambertMaterial({ map: texture });
+    createMaterials(resourcePack) {
+        this.atlas = new TextureAtlas();
+        if (resourcePack) this.atlas.applyResourcePack(resourcePack);
+        this.lightUniforms.atlasSize = { value: this.atlas.size };
+
+        // Lighting is baked into the meshes, so the materials ignore scene
+        // lights. Cut-out texels (leaves, torches) are dropped; water is
+        // see-through and its surface is visible from below.
+        this.materials = [];
+        this.materials[BLOCK_MATERIAL] = createBlockMaterial(this.atlas, this.lightUniforms, { alphaTest: 0.5 });
+        this.materials[WATER_MATERIAL] = createBlockMaterial(this.atlas, this.lightUniforms, {
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide
         });
     }
 
-    generateTerrain() {
-        const size = 48; // Adjusted world size for mobile
-        const height = 8; // Maximum terrain height
-        
-        // Create a flat base layer
-        for (let x = -size/2; x < size/2; x++) {
-            for (let z = -size/2; z < size/2; z++) {
-                // Generate height using simplex noise with adjusted scale for larger world
-                const elevation = Math.floor(
-                    (this.noise2D(x * 0.05, z * 0.05) + 1) * height/2
-                );
-                
-                // Create ground blocks
-                for (let y = 0; y <= elevation; y++) {
-                    let material;
-                    if (y === elevation) {
-                        material = this.blockTypes.grass;
-                    } else if (y > elevation - 3) {
-                        material = this.blockTypes.dirt;
+    // Swap the block textures for a resource pack's, or back to the
+    // generated ones with null. Meshes keep their tiles, so nothing is rebuilt.
+    setResourcePack(pack) {
+        this.atlas.applyResourcePack(pack);
+    }
+
+    createSky() {
+        // Sky, sun, moon and stars follow the world clock
+        this.sky = new Sky(this.scene);
+
+        // Fade out the edge of the loaded area into the sky colour
+        this.scene.fog = new THREE.Fog(0x87CEEB, 0, 1);
+        this.updateFog();
+    }
+
+    // Jump to a time of day in ticks (0 sunrise, 6000 noon, 12000 sunset,
+    // 18000 midnight), keeping the day count
+    setTimeOfDay(timeOfDay) {
+        const day = Math.floor(this.time / TICKS_PER_DAY);
+        this.time = day * TICKS_PER_DAY + (((timeOfDay % TICKS_PER_DAY) + TICKS_PER_DAY) % TICKS_PER_DAY);
+    }
+
+    updateFog() {
+        const far = this.renderDistance * CHUNK_SIZE;
+        this.scene.fog.near = far * 0.6;
+        this.scene.fog.far = far;
+    }
+
+    setRenderDistance(distance) {
+        this.renderDistance = Math.max(1, Math.floor(distance));
+        this.updateFog();
+    }
+
+    getChunk(cx, cz) {
+        return this.chunks.get(chunkKey(cx, cz));
+    }
+
+    hasChunkAt(x, z) {
+        return this.chunks.has(chunkKey(worldToChunk(Math.round(x)), worldToChunk(Math.round(z))));
+    }
+
+    isChunkInRange(cx, cz, radius = this.renderDistance) {
+        const dx = cx - this.centerChunk.cx;
+        const dz = cz - this.centerChunk.cz;
+        return dx * dx + dz * dz <= radius * radius;
+    }
+
+    chunkDistanceSq(cx, cz) {
+        const dx = cx - this.centerChunk.cx;
+        const dz = cz - this.centerChunk.cz;
+        return dx * dx + dz * dz;
+    }
+
+    // Generate a chunk right away on the main thread. Only used where a chunk
+    // is needed before the workers could deliver it, e.g. for the spawn point.
+    loadChunk(cx, cz) {
+        const chunk = new Chunk(cx, cz);
+        this.terrain.generateChunk(chunk);
+        chunk.light = computeChunkLight(chunk.blocks);
+        this.addChunk(chunk);
+        return chunk;
+    }
+
+    addChunk(chunk) {
+        const key = chunkKey(chunk.cx, chunk.cz);
+        this.cancelChunkGeneration(key);
+        this.chunks.set(key, chunk);
+        this.lighting.stitchChunk(chunk);
+
+        // Build this chunk, and rebuild neighbours that were meshed without it so
+        // the faces along the shared border get culled and lit
+        this.dirtyChunks.add(key);
+        for (const [dx, dz] of [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+            const neighbourKey = chunkKey(chunk.cx + dx, chunk.cz + dz);
+            if (this.chunkMeshes.has(neighbourKey)) {
+                this.dirtyChunks.add(neighbourKey);
+            }
+        }
+    }
+
+    // Read a chunk from the save, or ask the workers to generate it. Either way
+    // it is added in applyGeneratedChunks().
+    requestChunk(cx, cz) {
+        const key = chunkKey(cx, cz);
+        this.pendingChunks.set(key, { cx, cz });
+
+        if (this.storage && this.savedChunks.has(key)) {
+            this.storage.loadChunk(this.worldId, cx, cz)
+                .then((saved) => {
+                    // Cancelled while the read was in flight
+                    if (!this.pendingChunks.has(key)) return;
+
+                    if (saved) {
+                        this.pendingChunks.delete(key);
+                        this.generatedChunks.push({ cx, cz, ...saved });
                     } else {
-                        material = this.blockTypes.stone;
+                        this.requestChunkGeneration(cx, cz);
+                    }
+                })
+                .catch((error) => {
+                    console.error('Failed to load saved chunk', key, error);
+                    if (this.pendingChunks.has(key)) {
+                        this.requestChunkGeneration(cx, cz);
                     }
-                    
-                    this.addBlock(new THREE.Vector3(x, y, z), material);
+                });
+        } else {
+            this.requestChunkGeneration(cx, cz);
+        }
+    }
+
+    requestChunkGeneration(cx, cz) {
+        const key = chunkKey(cx, cz);
+        this.workerPool.submit(
+            `generate:${key}`,
+            { type: 'generate', cx, cz, seed: this.seed },
+            [],
+            (result) => {
+                this.pendingChunks.delete(key);
+                if (result) {
+                    this.generatedChunks.push(result);
                 }
-                
-                // Generate trees with reduced frequency for larger world
-                if (Math.random() < 0.01) { // Reduced from 0.02 to 0.01
-                    this.generateTree(x, elevation + 1, z);
+            }
+        );
+    }
+
+    cancelChunkGeneration(key) {
+        if (this.pendingChunks.delete(key)) {
+            this.workerPool.cancel(`generate:${key}`);
+        }
+    }
+
+    unloadChunk(key) {
+        const chunk = this.chunks.get(key);
+        if (chunk && chunk.modified) {
+            this.saveChunks([chunk]);
+        }
+
+        this.removeChunkMesh(this.chunkMeshes, this.blocks, key);
+        this.removeChunkMesh(this.fluidMeshes, this.fluidBlocks, key);
+        if (this.meshJobs.delete(key)) {
+            this.workerPool.cancel(`mesh:${key}`);
+        }
+        this.chunks.delete(key);
+        this.dirtyChunks.delete(key);
+    }
+
+    // Request missing chunks inside the render distance. The worker pool hands
+    // them out nearest first.
+    loadNearbyChunks() {
+        const radius = this.renderDistance;
+        for (let dx = -radius; dx <= radius; dx++) {
+            for (let dz = -radius; dz <= radius; dz++) {
+                const cx = this.centerChunk.cx + dx;
+                const cz = this.centerChunk.cz + dz;
+                const key = chunkKey(cx, cz);
+                if (this.isChunkInRange(cx, cz) && !this.chunks.has(key) && !this.pendingChunks.has(key)) {
+                    this.requestChunk(cx, cz);
                 }
             }
         }
+    }
+
+    applyGeneratedChunks() {
+        let applied = 0;
+        while (this.generatedChunks.length > 0 && applied < this.maxChunkLoadsPerFrame) {
+            const { cx, cz, blocks, data, light } = this.generatedChunks.shift();
+            if (this.chunks.has(chunkKey(cx, cz)) || !this.isChunkInRange(cx, cz, this.renderDistance + 1)) {
+                continue;
+            }
+            // Saved chunks come without light; generated ones are lit by the
+            // workers
+            this.addChunk(new Chunk(cx, cz, blocks, data, light ?? computeChunkLight(blocks)));
+            applied++;
+        }
+    }
 
-        // Add a skybox
-        const skyboxGeometry = new THREE.BoxGeometry(1000, 1000, 1000);
-        const skyboxMaterial = new THREE.MeshBasicMaterial({
-            color: 0x87CEEB,
-            side: THREE.BackSide
+    // Chunks are kept one ring past the render distance so walking back and
+    // forth over a chunk border doesn't reload them. Generation that hasn't
+    // finished yet for chunks out of range is cancelled.
+    unloadDistantChunks() {
+        const radius = this.renderDistance + 1;
+        for (const [key, chunk] of this.chunks) {
+            if (!this.isChunkInRange(chunk.cx, chunk.cz, radius)) {
+                this.unloadChunk(key);
+            }
+        }
+        for (const [key, { cx, cz }] of this.pendingChunks) {
+            if (!this.isChunkInRange(cx, cz, radius)) {
+                this.cancelChunkGeneration(key);
+            }
+        }
+    }
+
+    // Write chunks the player changed to storage
+    saveModifiedChunks() {
+        const modified = [...this.chunks.values()].filter(chunk => chunk.modified);
+        return this.saveChunks(modified);
+    }
+
+    async saveChunks(chunks) {
+        if (!this.storage || chunks.length === 0) return;
+
+        chunks.forEach(chunk => {
+            chunk.modified = false;
+            this.savedChunks.add(chunkKey(chunk.cx, chunk.cz));
         });
-        const skybox = new THREE.Mesh(skyboxGeometry, skyboxMaterial);
-        this.scene.add(skybox);
+
+        try {
+            await this.storage.saveChunks(this.worldId, chunks);
+        } catch (error) {
+            console.error('Failed to save chunks:', error);
+            // Still loaded chunks get another try on the next save
+            chunks.forEach(chunk => { chunk.modified = true; });
+        }
     }
 
-    generateTree(x, y, z) {
-        const treeHeight = 4 + Math.floor(Math.random() * 3);
-        
-        // Generate trunk
-        for (let i = 0; i < treeHeight; i++) {
-            this.addBlock(
-                new THREE.Vector3(x, y + i, z),
-                this.blockTypes.wood
-            );
+    dispose() {
+        this.workerPool.terminate();
+        for (const key of [...this.chunks.keys()]) {
+            this.unloadChunk(key);
         }
-        
-        // Generate leaves
-        for (let lx = -2; lx <= 2; lx++) {
-            for (let ly = -1; ly <= 2; ly++) {
-                for (let lz = -2; lz <= 2; lz++) {
-                    // Skip corners for a more natural look
-                    if (Math.abs(lx) === 2 && Math.abs(lz) === 2) continue;
-                    
-                    this.addBlock(
-                        new THREE.Vector3(x + lx, y + treeHeight + ly, z + lz),
-                        this.blockTypes.leaves
-                    );
+        this.materials.forEach(material => material.dispose());
+        this.atlas.dispose();
+        this.scene.remove(this.blocks);
+        this.scene.remove(this.fluidBlocks);
+        this.sky.dispose();
+        this.scene.fog = null;
+    }
+
+    // Block ID at integer world coordinates (AIR outside loaded chunks)
+    getBlock(x, y, z) {
+        if (y < 0 || y >= CHUNK_HEIGHT) return BlockId.AIR;
+        const chunk = this.getChunk(worldToChunk(x), worldToChunk(z));
+        if (!chunk) return BlockId.AIR;
+        return chunk.getBlock(worldToLocal(x), y, worldToLocal(z));
+    }
+
+    // Block data (e.g. fluid level) at integer world coordinates
+    getData(x, y, z) {
+        if (y < 0 || y >= CHUNK_HEIGHT) return 0;
+        const chunk = this.getChunk(worldToChunk(x), worldToChunk(z));
+        if (!chunk) return 0;
+        return chunk.getData(worldToLocal(x), y, worldToLocal(z));
+    }
+
+    // Sky light (high nibble) and block light (low nibble) at integer world
+    // coordinates. Unloaded chunks are dark, the space above the world is in
+    // full sky light.
+    getLight(x, y, z) {
+        if (y >= CHUNK_HEIGHT) return SKY_LIGHT_ABOVE;
+        if (y < 0) return 0;
+        const chunk = this.getChunk(worldToChunk(x), worldToChunk(z));
+        if (!chunk) return 0;
+        return chunk.getLight(worldToLocal(x), y, worldToLocal(z));
+    }
+
+    // Only the LightEngine sets light. Light isn't saved, so this doesn't
+    // mark the chunk as modified.
+    setLight(x, y, z, light) {
+        if (y < 0 || y >= CHUNK_HEIGHT) return;
+        const chunk = this.getChunk(worldToChunk(x), worldToChunk(z));
+        if (!chunk) return;
+        chunk.light[Chunk.index(worldToLocal(x), y, worldToLocal(z))] = light;
+        this.markDirty(x, z);
+    }
+
+    setBlock(x, y, z, id, data = 0) {
+        if (y < 0 || y >= CHUNK_HEIGHT) return false;
+        const chunk = this.getChunk(worldToChunk(x), worldToChunk(z));
+        if (!chunk) return false;
+
+        const localX = worldToLocal(x);
+        const localZ = worldToLocal(z);
+        if (chunk.getBlock(localX, y, localZ) === id && chunk.getData(localX, y, localZ) === data) {
+            return true;
+        }
+
+        chunk.setBlock(localX, y, localZ, id, data);
+        chunk.modified = true;
+        this.markDirty(x, z);
+        this.lighting.onBlockChanged(x, y, z);
+        this.fluids.onBlockChanged(x, y, z);
+        if (!isSolidBlock(id)) this.dropUnsupportedTorches(x, y, z);
+        return true;
+    }
+
+    // Torches hanging on a block that is gone fall off with it
+    dropUnsupportedTorches(x, y, z) {
+        for (const [dx, dy, dz] of [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, 0, 1], [0, 0, -1]]) {
+            if (this.getBlock(x + dx, y + dy, z + dz) !== BlockId.TORCH) continue;
+
+            const [sx, sy, sz] = getTorchSupport(this.getData(x + dx, y + dy, z + dz));
+            if (sx === -dx && sy === -dy && sz === -dz) {
+                this.setBlock(x + dx, y + dy, z + dz, BlockId.AIR);
+            }
+        }
+    }
+
+    // Run one game tick of scheduled block updates
+    tick() {
+        this.time++;
+        this.tickScheduler.tick((x, y, z) => this.fluids.update(x, y, z));
+    }
+
+    isSolid(x, y, z) {
+        return isSolidBlock(this.getBlock(x, y, z));
+    }
+
+    // Queue the chunk holding (x, z) for a rebuild, plus any neighbour whose
+    // border faces depend on this block
+    markDirty(x, z) {
+        const cx = worldToChunk(x);
+        const cz = worldToChunk(z);
+        const localX = worldToLocal(x);
+        const localZ = worldToLocal(z);
+
+        this.dirtyChunks.add(chunkKey(cx, cz));
+        if (localX === 0) this.dirtyChunks.add(chunkKey(cx - 1, cz));
+        if (localX === CHUNK_SIZE - 1) this.dirtyChunks.add(chunkKey(cx + 1, cz));
+        if (localZ === 0) this.dirtyChunks.add(chunkKey(cx, cz - 1));
+        if (localZ === CHUNK_SIZE - 1) this.dirtyChunks.add(chunkKey(cx, cz + 1));
+
+        // Fluid surfaces slope towards diagonal neighbours too
+        const edgeX = localX === 0 ? -1 : localX === CHUNK_SIZE - 1 ? 1 : 0;
+        const edgeZ = localZ === 0 ? -1 : localZ === CHUNK_SIZE - 1 ? 1 : 0;
+        if (edgeX !== 0 && edgeZ !== 0) this.dirtyChunks.add(chunkKey(cx + edgeX, cz + edgeZ));
+    }
+
+    // Send a chunk and its neighbours' border blocks to the workers for meshing
+    requestChunkMesh(chunk) {
+        const key = chunkKey(chunk.cx, chunk.cz);
+        const getNeighbour = (dx, dz) => this.getChunk(chunk.cx + dx, chunk.cz + dz);
+        const volume = createPaddedVolume(chunk, getNeighbour);
+        const levels = createPaddedVolume(chunk, getNeighbour, 'data');
+        const light = createPaddedVolume(chunk, getNeighbour, 'light', SKY_LIGHT_ABOVE);
+
+        this.meshJobs.add(key);
+        this.workerPool.submit(
+            `mesh:${key}`,
+            { type: 'mesh', cx: chunk.cx, cz: chunk.cz, volume, levels, light },
+            [volume.buffer, levels.buffer, light.buffer],
+            (result) => {
+                this.meshJobs.delete(key);
+                if (!result) {
+                    // Try again on the next frame
+                    this.dirtyChunks.add(key);
+                } else if (this.chunks.has(key)) {
+                    this.builtMeshes.push(result);
                 }
             }
+        );
+    }
+
+    // Upload finished geometry from the workers, a few chunks per frame
+    uploadBuiltMeshes() {
+        let uploaded = 0;
+        while (this.builtMeshes.length > 0 && uploaded < this.maxChunkMeshesPerFrame) {
+            const data = this.builtMeshes.shift();
+            const chunk = this.getChunk(data.cx, data.cz);
+            if (chunk) {
+                this.applyChunkMesh(chunk, data);
+                uploaded++;
+            }
         }
     }
 
-    addBlock(position, material = this.blockTypes.dirt) {
-        const block = new THREE.Mesh(this.blockGeometry, material);
-        block.position.copy(position);
-        block.userData.type = material === this.blockTypes.grass ? 'grass' :
-                            material === this.blockTypes.dirt ? 'dirt' :
-                            material === this.blockTypes.stone ? 'stone' :
-                            material === this.blockTypes.wood ? 'wood' : 'leaves';
-        this.blocks.add(block);
+    applyChunkMesh(chunk, data) {
+        const key = chunkKey(chunk.cx, chunk.cz);
+        this.updateChunkMesh(this.chunkMeshes, this.blocks, chunk, key, data);
+        this.updateChunkMesh(this.fluidMeshes, this.fluidBlocks, chunk, key, data.fluid);
     }
 
-    removeBlock(block) {
-        if (block && block.parent === this.blocks) {
-            this.blocks.remove(block);
+    // Swap in new geometry for one of a chunk's meshes. Chunks without any
+    // faces of that kind get no mesh at all.
+    updateChunkMesh(meshes, group, chunk, key, data) {
+        if (data.indices.length === 0) {
+            this.removeChunkMesh(meshes, group, key);
+            return;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(data.normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(data.uvs, 2));
+        geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3));
+        geometry.setAttribute('tile', new THREE.BufferAttribute(data.tiles, 1));
+        geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
+
+        // Every texture shares the atlas, so neighbouring groups with the
+        // same material draw as one
+        let last = null;
+        for (const group of data.groups) {
+            const materialIndex = group.texture === 'water' ? WATER_MATERIAL : BLOCK_MATERIAL;
+            if (last && last.materialIndex === materialIndex && last.start + last.count === group.start) {
+                last.count += group.count;
+            } else {
+                geometry.addGroup(group.start, group.count, materialIndex);
+                last = geometry.groups[geometry.groups.length - 1];
+            }
+        }
+
+        let mesh = meshes.get(key);
+        if (mesh) {
+            mesh.geometry.dispose();
+            mesh.geometry = geometry;
+        } else {
+            mesh = new THREE.Mesh(geometry, this.materials);
+            mesh.position.set(chunk.worldX, 0, chunk.worldZ);
+            group.add(mesh);
+            meshes.set(key, mesh);
         }
     }
 
+    removeChunkMesh(meshes, group, key) {
+        const mesh = meshes.get(key);
+        if (mesh) {
+            group.remove(mesh);
+            // Materials are shared by every chunk and live as long as the world
+            mesh.geometry.dispose();
+            meshes.delete(key);
+        }
+    }
+
+    // A chunk is meshed once each neighbour is either loaded or out of range,
+    // so border faces aren't built against air and then rebuilt right after
+    isReadyToMesh(chunk) {
+        for (const [dx, dz] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+            const cx = chunk.cx + dx;
+            const cz = chunk.cz + dz;
+            if (!this.chunks.has(chunkKey(cx, cz)) && this.isChunkInRange(cx, cz)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Queue dirty chunks for meshing. A chunk that is already being meshed
+    // stays dirty until that job returns, then gets meshed again.
+    requestDirtyChunkMeshes() {
+        for (const key of this.dirtyChunks) {
+            const chunk = this.chunks.get(key);
+            if (!chunk) {
+                this.dirtyChunks.delete(key);
+            } else if (!this.meshJobs.has(key) && this.isReadyToMesh(chunk)) {
+                this.requestChunkMesh(chunk);
+                this.dirtyChunks.delete(key);
+            }
+        }
+    }
+
+    addBlock(position, id, data = 0) {
+        this.setBlock(
+            Math.round(position.x),
+            Math.round(position.y),
+            Math.round(position.z),
+            id,
+            data
+        );
+    }
+
+    removeBlock(position) {
+        this.setBlock(
+            Math.round(position.x),
+            Math.round(position.y),
+            Math.round(position.z),
+            BlockId.AIR
+        );
+    }
+
     // Find a safe spawn position
     findSafeSpawnPosition() {
-        // Start at the center of the world
-        const centerX = 0;
-        const centerZ = 0;
+        // Start at the dry land closest to the center of the world
+        const { x: centerX, z: centerZ } = this.terrain.findSpawnPoint();
+
+        if (!this.hasChunkAt(centerX, centerZ)) {
+            this.loadChunk(worldToChunk(centerX), worldToChunk(centerZ));
+        }
         
         // Find the highest block at this position
         let highestY = 0;
-        for (const block of this.blocks.children) {
-            if (block.position.x === centerX && block.position.z === centerZ) {
-                highestY = Math.max(highestY, block.position.y);
+        for (let y = CHUNK_HEIGHT - 1; y >= 0; y--) {
+            if (this.getBlock(centerX, y, centerZ) !== BlockId.AIR) {
+                highestY = y;
+                break;
             }
-
         }
         
         // Return position above the highest block
@@ -173,131 +633,21 @@ export class World {
     }
 
     update(playerPosition) {
-        // Here you could implement chunk loading/unloading based on player position
-        // For now, we'll keep it simple and just update the entire world
-    }
-
-    handleTouchInput(touchX, touchY) {
-        // Calculate movement direction based on touch input
-        const moveX = (touchX / window.innerWidth) * 2 - 1; // Normalize to -1 to 1
-        const moveZ = (touchY / window.innerHeight) * 2 - 1; // Normalize to -1 to 1
-
-        // Update player movement
-        this.move({ x: moveX, z: moveZ }, false); // Pass false for sprinting
-    }
-
-    handleTouchRotation(touchX, touchY) {
-        // Calculate rotation based on touch input
-        const rotationX = (touchX / window.innerWidth) * Math.PI * 2; // Full rotation
-        const rotationY = (touchY / window.innerHeight) * Math.PI; // Limited vertical rotation
-
-        // Update camera rotation
-        this.camera.rotation.y = rotationX;
-        this.camera.rotation.x = rotationY;
-    }
-
-    initStartScreen() {
-        const startScreen = document.createElement('div');
-        startScreen.id = 'startScreen';
-        startScreen.style.position = 'fixed';
-        startScreen.style.top = '0';
-        startScreen.style.left = '0';
-        startScreen.style.width = '100%';
-        startScreen.style.height = '100%';
-        startScreen.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
-        startScreen.style.display = 'flex';
-        startScreen.style.justifyContent = 'center';
-        startScreen.style.alignItems = 'center';
-        startScreen.style.color = 'white';
-        startScreen.style.fontSize = '24px';
-        startScreen.textContent = 'Tap to Start';
-        document.body.appendChild(startScreen);
-
-        // Add touch event listener to start the game
-        startScreen.addEventListener('touchstart', (event) => {
-            event.preventDefault(); // Prevent default behavior
-            startScreen.style.display = 'none'; // Hide the start screen
-            console.log('Game started on touch');
-            // You can add any initialization logic here
-        });
-    }
+        this.centerChunk = {
+            cx: worldToChunk(Math.round(playerPosition.x)),
+            cz: worldToChunk(Math.round(playerPosition.z))
+        };
 
-    setupMobileKeypadEvents() {
-        const moveForwardButton = document.getElementById('move-forward');
-        const moveBackwardButton = document.getElementById('move-backward');
-        const moveLeftButton = document.getElementById('move-left');
-        const moveRightButton = document.getElementById('move-right');
-        const jumpButton = document.getElementById('jump-button');
-
-        if (moveForwardButton) {
-            moveForwardButton.addEventListener('touchstart', (e) => { 
-                e.stopPropagation(); 
-                e.preventDefault(); 
-                this.keys.forward = true; 
-                console.log('Keypad Forward: true', this.keys); 
-            });
-            moveForwardButton.addEventListener('touchend', (e) => { 
-                e.stopPropagation(); 
-                e.preventDefault(); 
-                this.keys.forward = false; 
-                console.log('Keypad Forward: false', this.keys); 
-            });
-        }
-        if (moveBackwardButton) {
-            moveBackwardButton.addEventListener('touchstart', (e) => { 
-                e.stopPropagation(); 
-                e.preventDefault(); 
-                this.keys.backward = true; 
-                console.log('Keypad Backward: true', this.keys); 
-            });
-            moveBackwardButton.addEventListener('touchend', (e) => { 
-                e.stopPropagation(); 
-                e.preventDefault(); 
-                this.keys.backward = false; 
-                console.log('Keypad Backward: false', this.keys); 
-            });
-        }
-        if (moveLeftButton) {
-            moveLeftButton.addEventListener('touchstart', (e) => { 
-                e.stopPropagation(); 
-                e.preventDefault(); 
-                this.keys.left = true; 
-                console.log('Keypad Left: true', this.keys); 
-            });
-            moveLeftButton.addEventListener('touchend', (e) => { 
-                e.stopPropagation(); 
-                e.preventDefault(); 
-                this.keys.left = false; 
-                console.log('Keypad Left: false', this.keys); 
-            });
-        }
-        if (moveRightButton) {
-            moveRightButton.addEventListener('touchstart', (e) => { 
-                e.stopPropagation(); 
-                e.preventDefault(); 
-                this.keys.right = true; 
-                console.log('Keypad Right: true', this.keys); 
-            });
-            moveRightButton.addEventListener('touchend', (e) => { 
-                e.stopPropagation(); 
-                e.preventDefault(); 
-                this.keys.right = false; 
-                console.log('Keypad Right: false', this.keys); 
-            });
-        }
-        if (jumpButton) {
-            jumpButton.addEventListener('touchstart', (e) => { 
-                e.stopPropagation(); 
-                e.preventDefault(); 
-                this.player.jump(); 
-                console.log('Keypad Jump'); 
-            });
-        }
+        this.unloadDistantChunks();
+        this.loadNearbyChunks();
+        this.applyGeneratedChunks();
+        this.requestDirtyChunkMeshes();
+        this.uploadBuiltMeshes();
+        this.workerPool.dispatch();
+
+        // Keep the sky centred on the player and dim sky light at night
+        this.sky.update(this.time, playerPosition);
+        this.atlas.update(this.time);
+        this.lightUniforms.skyDarkening.value = (1 - this.sky.daylight) * NIGHT_SKY_DARKENING / MAX_LIGHT;
     }
 }
-
-document.addEventListener('touchstart', () => {
-    // Start the game when the user taps the screen
-    console.log('Game started on touch');
-    // You can add any initialization logic here
-}); 
\ No newline at end of file
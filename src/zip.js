@@ -0,0 +1,150 @@
+// Minimal ZIP archive reader and writer. Written files are stored
+// uncompressed, which every unzip tool understands; region files are already
+// compressed per chunk anyway.
+
+const crcTable = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+}
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// DOS date/time fields used by ZIP headers
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// `files` is an array of { name, data: Uint8Array }. Returns the archive bytes.
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // Stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true); // Version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true); // Offset of local header
+
+        localParts.push(new Uint8Array(local.buffer), name, file.data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + size;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
+
+const COMPRESSION_STORED = 0;
+const COMPRESSION_DEFLATE = 8;
+
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Read the files of a ZIP archive as an array of { name, data: Uint8Array }.
+// Handles stored and deflated entries, which covers what zip tools write by
+// default. Directory entries are left out.
+export async function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record sits at the end, before an
+    // optional comment of up to 64 KiB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a ZIP file');
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = [];
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // The local header's name and extra field can differ in length from
+        // the central directory's
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === COMPRESSION_STORED) {
+            files.push({ name, data });
+        } else if (method === COMPRESSION_DEFLATE) {
+            files.push({ name, data: await inflateRaw(data) });
+        } else {
+            throw new Error(`${name} uses unsupported ZIP compression method ${method}`);
+        }
+    }
+    return files;
+}
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ActionMap, defaultBindings, loadBindings, saveBindings } from '../src/actions.js';
+
+// localStorage stand-in
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value)
+    };
+}
+
+test('either shift key sprints by default', () => {
+    const actions = new ActionMap();
+    actions.inputDown('ShiftLeft');
+    actions.inputDown('ShiftRight');
+    actions.inputUp('ShiftLeft');
+    assert.equal(actions.isDown('sprint'), true);
+    actions.inputUp('ShiftRight');
+    assert.equal(actions.isDown('sprint'), false);
+});
+
+test('binding a key takes it away from every other slot', () => {
+    const actions = new ActionMap();
+    actions.bind('sneak', 'ShiftRight', 'alternate');
+    assert.equal(actions.bindings.sneak.alternate, 'ShiftRight');
+    assert.equal(actions.bindings.sprint.alternate, null);
+    assert.deepEqual(actions.getActions('ShiftRight'), ['sneak']);
+
+    // Without a slot a key goes into the main keyboard one
+    actions.bind('jump', 'ShiftLeft');
+    assert.equal(actions.bindings.jump.keyboard, 'ShiftLeft');
+    assert.equal(actions.bindings.sprint.keyboard, null);
+    assert.equal(actions.bindings.jump.gamepad, 'Button0');
+});
+
+test('gamepad buttons go into the gamepad slot', () => {
+    const actions = new ActionMap();
+    actions.bind('inventory', 'Button0');
+    assert.equal(actions.bindings.inventory.gamepad, 'Button0');
+    assert.equal(actions.bindings.inventory.keyboard, 'KeyE');
+    assert.equal(actions.bindings.jump.gamepad, null);
+});
+
+test('saved bindings load over the defaults', () => {
+    const storage = memoryStorage();
+    const actions = new ActionMap();
+    actions.bind('sprint', 'KeyR', 'alternate');
+    saveBindings(actions.bindings, storage);
+
+    const loaded = loadBindings(storage);
+    assert.equal(loaded.sprint.alternate, 'KeyR');
+    assert.equal(loaded.sprint.keyboard, 'ShiftLeft');
+    assert.deepEqual(loaded.forward, defaultBindings.forward);
+});
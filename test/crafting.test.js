@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { CraftingGrid, RecipeBook, trimGrid } from '../src/crafting.js';
+import { BlockId } from '../src/blocks.js';
+import { ItemId, canHarvest, getDrops } from '../src/items.js';
+
+const recipes = new RecipeBook(JSON.parse(readFileSync(new URL('../src/recipes.json', import.meta.url), 'utf8')));
+
+const { PLANKS, WOOD, COBBLESTONE } = BlockId;
+const { STICK } = ItemId;
+
+// A grid `size` cells wide with `cells` ({ index: [id, count] }) filled
+function grid(size, cells) {
+    const crafting = new CraftingGrid(size);
+    for (const [index, [id, count]] of Object.entries(cells)) {
+        crafting.slots[index] = { id, count };
+    }
+    return crafting;
+}
+
+test('trimGrid keeps only the box around the filled cells', () => {
+    const trimmed = trimGrid([null, null, null, null, PLANKS, null, null, PLANKS, null], 3);
+    assert.deepEqual(trimmed, { width: 1, height: 2, cells: [PLANKS, PLANKS] });
+    assert.deepEqual(trimGrid([null, null, null, null], 2), { width: 0, height: 0, cells: [] });
+});
+
+test('a shaped recipe matches at any offset in a 2x2 grid', () => {
+    // Sticks: two planks stacked, in either column
+    for (const column of [0, 1]) {
+        const result = grid(2, { [column]: [PLANKS, 1], [2 + column]: [PLANKS, 1] }).getResult(recipes);
+        assert.deepEqual(result, { id: STICK, count: 4 });
+    }
+});
+
+test('a shaped recipe matches at any offset in a 3x3 grid', () => {
+    for (let x = 0; x < 3; x++) {
+        for (let y = 0; y < 2; y++) {
+            const cells = { [y * 3 + x]: [PLANKS, 1], [(y + 1) * 3 + x]: [PLANKS, 1] };
+            assert.deepEqual(grid(3, cells).getResult(recipes), { id: STICK, count: 4 });
+        }
+    }
+});
+
+test('a shaped recipe matches mirrored but not rearranged', () => {
+    // Axe: '##', '#|', ' |' and its mirror image
+    const axe = grid(3, { 0: [COBBLESTONE, 1], 1: [COBBLESTONE, 1], 3: [COBBLESTONE, 1], 4: [STICK, 1], 7: [STICK, 1] });
+    assert.equal(axe.getResult(recipes).id, ItemId.STONE_AXE);
+    const mirrored = grid(3, { 1: [COBBLESTONE, 1], 2: [COBBLESTONE, 1], 5: [COBBLESTONE, 1], 4: [STICK, 1], 7: [STICK, 1] });
+    assert.equal(mirrored.getResult(recipes).id, ItemId.STONE_AXE);
+    const flipped = grid(3, { 0: [STICK, 1], 3: [STICK, 1], 4: [COBBLESTONE, 1], 6: [COBBLESTONE, 1], 7: [COBBLESTONE, 1] });
+    assert.equal(flipped.getResult(recipes), null);
+});
+
+test('a shapeless recipe matches in any cell, and only with nothing else', () => {
+    for (let index = 0; index < 4; index++) {
+        assert.deepEqual(grid(2, { [index]: [WOOD, 1] }).getResult(recipes), { id: PLANKS, count: 4 });
+    }
+    assert.equal(grid(2, { 0: [WOOD, 1], 3: [STICK, 1] }).getResult(recipes), null);
+});
+
+test('a recipe three cells wide is not made in the 2x2 grid', () => {
+    // The pickaxe needs the 3x3 grid; its top row alone is no recipe
+    const pickaxe = { 0: [PLANKS, 1], 1: [PLANKS, 1], 2: [PLANKS, 1], 4: [STICK, 1], 7: [STICK, 1] };
+    assert.equal(grid(3, pickaxe).getResult(recipes).id, ItemId.WOODEN_PICKAXE);
+    assert.equal(recipes.match([PLANKS, PLANKS, null, STICK], 2), null);
+    assert.equal(grid(2, { 0: [PLANKS, 1], 1: [PLANKS, 1], 2: [STICK, 1] }).getResult(recipes), null);
+});
+
+test('craft uses up one item from every filled cell', () => {
+    const crafting = grid(2, { 0: [PLANKS, 3], 2: [PLANKS, 1] });
+    assert.deepEqual(crafting.craft(recipes), { id: STICK, count: 4 });
+    assert.deepEqual(crafting.slots, [
+        { id: PLANKS, count: 2 }, { id: null, count: 0 },
+        { id: null, count: 0 }, { id: null, count: 0 }
+    ]);
+
+    // One plank left makes nothing and uses nothing up
+    assert.equal(crafting.craft(recipes), null);
+    assert.deepEqual(crafting.slots[0], { id: PLANKS, count: 2 });
+});
+
+test('unknown items in the recipe table are reported', () => {
+    const table = { recipes: [{ type: 'shapeless', ingredients: ['unobtainium'], result: { item: 'stick' } }] };
+    assert.throws(() => new RecipeBook(table), /Unknown item "unobtainium"/);
+});
+
+test('iron ore mined with a stone pickaxe gives ingots for iron tools', () => {
+    assert.equal(canHarvest(BlockId.IRON_ORE, ItemId.WOODEN_PICKAXE), false);
+    assert.equal(canHarvest(BlockId.IRON_ORE, ItemId.STONE_PICKAXE), true);
+    const ingot = getDrops(BlockId.IRON_ORE);
+    assert.equal(ingot, ItemId.IRON_INGOT);
+
+    const pickaxe = { 0: [ingot, 1], 1: [ingot, 1], 2: [ingot, 1], 4: [STICK, 1], 7: [STICK, 1] };
+    assert.equal(grid(3, pickaxe).getResult(recipes).id, ItemId.IRON_PICKAXE);
+    assert.equal(canHarvest(BlockId.DIAMOND_ORE, ItemId.IRON_PICKAXE), true);
+});
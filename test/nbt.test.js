@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+    NbtError, TagType, compress, decompress, detectCompression, getTag, nbt,
+    readCompressedNbt, readNbt, writeCompressedNbt, writeNbt
+} from '../src/nbt.js';
+
+// One tag of every type, with the awkward values in each
+function everyTag() {
+    return nbt.compound({
+        byte: nbt.byte(-128),
+        short: nbt.short(-32768),
+        int: nbt.int(2147483647),
+        long: nbt.long(-9223372036854775808n),
+        float: nbt.float(1.5),
+        double: nbt.double(-0.1),
+        byteArray: nbt.byteArray(Uint8Array.from([0, 127, 128, 255])),
+        string: nbt.string('plain ascii'),
+        // NUL, two and three byte characters, and an emoji outside the BMP
+        unicode: nbt.string('nul\u0000 é € 😀'),
+        list: nbt.list(TagType.INT, [nbt.int(1), nbt.int(2), nbt.int(3)]),
+        emptyList: nbt.list(TagType.END, []),
+        nested: nbt.compound({ inner: nbt.list(TagType.COMPOUND, [nbt.compound({ x: nbt.short(7) })]) }),
+        intArray: nbt.intArray([-1, 0, 2147483647]),
+        longArray: nbt.longArray([-1n, 0n, 9223372036854775807n])
+    });
+}
+
+test('every tag type survives a write and read', () => {
+    const { name, tag } = readNbt(writeNbt(everyTag(), 'root'));
+    assert.equal(name, 'root');
+    assert.deepEqual(tag, everyTag());
+    assert.deepEqual([...tag.value.keys()], [...everyTag().value.keys()], 'compounds keep their order');
+
+    assert.equal(typeof getTag(tag, 'long', TagType.LONG).value, 'bigint');
+    assert.equal(getTag(tag, 'long', TagType.INT), undefined);
+    assert.equal(getTag(tag, 'float').value, 1.5);
+});
+
+test('reading and writing back gives the same bytes', () => {
+    const bytes = writeNbt(everyTag(), 'root');
+    assert.deepEqual(writeNbt(readNbt(bytes).tag, 'root'), bytes);
+});
+
+test('strings use modified UTF-8', () => {
+    const bytes = writeNbt(nbt.compound({ s: nbt.string('\u0000😀') }));
+    // Root: type, empty name; child: type, name 's', length, then the string
+    const string = [...bytes.subarray(1 + 2 + 1 + 2 + 1 + 2, bytes.length - 1)];
+    assert.deepEqual(string, [
+        0xC0, 0x80, // NUL as two bytes
+        0xED, 0xA0, 0xBD, 0xED, 0xB8, 0x80 // The emoji as two surrogates
+    ]);
+
+    // Plain UTF-8 for the emoji is not accepted
+    const utf8 = Uint8Array.from([TagType.STRING, 0, 0, 0, 4, 0xF0, 0x9F, 0x98, 0x80]);
+    assert.throws(() => readNbt(utf8), NbtError);
+});
+
+test('NaN floats and doubles keep their exact bits', () => {
+    const bytes = writeNbt(nbt.compound({ float: nbt.float(0), double: nbt.double(0) }));
+    const view = new DataView(bytes.buffer);
+    // Value offsets: root header 3, float header 1 + 2 + 5, double header 1 + 2 + 6
+    const floatOffset = 3 + 8;
+    const doubleOffset = floatOffset + 4 + 9;
+    view.setUint32(floatOffset, 0x7FC01234);
+    view.setBigUint64(doubleOffset, 0x7FF8000000ABCDEFn);
+
+    const { tag } = readNbt(bytes);
+    assert.ok(Number.isNaN(getTag(tag, 'float').value));
+    assert.ok(Number.isNaN(getTag(tag, 'double').value));
+    assert.equal(getTag(tag, 'float').bits, 0x7FC01234);
+    assert.equal(getTag(tag, 'double').bits, 0x7FF8000000ABCDEFn);
+    assert.deepEqual(writeNbt(tag), bytes);
+});
+
+test('gzip and deflate round-trip and are detected', async () => {
+    const bytes = writeNbt(everyTag(), 'root');
+    for (const format of ['gzip', 'deflate']) {
+        const compressed = await compress(bytes, format);
+        assert.equal(detectCompression(compressed), format);
+        assert.deepEqual(await decompress(compressed, format), bytes);
+
+        const written = await writeCompressedNbt(everyTag(), 'root', format);
+        assert.deepEqual((await readCompressedNbt(written)).tag, everyTag());
+    }
+    assert.equal(detectCompression(bytes), null);
+    assert.deepEqual((await readCompressedNbt(bytes)).tag, everyTag());
+});
+
+test('corrupt compressed data is an NbtError', async () => {
+    const compressed = await compress(writeNbt(everyTag()), 'gzip');
+    await assert.rejects(decompress(compressed.subarray(0, compressed.length - 10), 'gzip'), NbtError);
+});
+
+test('truncated input is an NbtError', () => {
+    const bytes = writeNbt(everyTag(), 'root');
+    for (let length = 0; length < bytes.length; length++) {
+        assert.throws(() => readNbt(bytes.subarray(0, length)), NbtError, `cut at ${length} bytes`);
+    }
+});
+
+test('trailing data is an NbtError unless allowed', () => {
+    const bytes = writeNbt(everyTag());
+    const padded = new Uint8Array(bytes.length + 3);
+    padded.set(bytes);
+    assert.throws(() => readNbt(padded), /3 bytes of trailing data/);
+    assert.deepEqual(readNbt(padded, { allowTrailingData: true }).tag, everyTag());
+});
+
+test('nesting deeper than 512 levels is refused', () => {
+    const nested = (depth) => {
+        let tag = nbt.compound({});
+        for (let i = 1; i < depth; i++) tag = nbt.compound({ a: tag });
+        return tag;
+    };
+    assert.deepEqual(readNbt(writeNbt(nested(512))).tag, nested(512));
+    assert.throws(() => writeNbt(nested(513)), NbtError);
+
+    // Written by hand, since the writer won't: 513 compounds, each holding
+    // the next as 'a'
+    const bytes = [TagType.COMPOUND, 0, 0];
+    for (let i = 1; i < 513; i++) bytes.push(TagType.COMPOUND, 0, 1, 'a'.charCodeAt(0));
+    for (let i = 0; i < 513; i++) bytes.push(TagType.END);
+    assert.throws(() => readNbt(Uint8Array.from(bytes)), /nested deeper than 512/);
+});
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { boxCenter, createBox, moveBox } from '../src/physics.js';
+
+const WIDTH = 0.6;
+const HEIGHT = 1.8;
+
+// Solid wherever `blocks` has 'x,y,z'
+function world(...blocks) {
+    const solid = new Set(blocks.map(([x, y, z]) => `${x},${y},${z}`));
+    return (x, y, z) => solid.has(`${x},${y},${z}`);
+}
+
+// A floor of blocks at y = 0 (top face at 0.5) from -size to size
+function floor(size = 3) {
+    const blocks = [];
+    for (let x = -size; x <= size; x++) {
+        for (let z = -size; z <= size; z++) blocks.push([x, 0, z]);
+    }
+    return blocks;
+}
+
+// Player box standing with its feet at `feetY`, built from the feet so
+// they sit exactly on block tops
+function playerBox(x, feetY, z) {
+    const box = createBox({ x, y: 0, z }, WIDTH, 0);
+    return { ...box, minY: feetY, maxY: feetY + HEIGHT };
+}
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('falling onto the floor stops on its top face', () => {
+    const result = moveBox(playerBox(0, 1, 0), { x: 0, y: -1, z: 0 }, world(...floor()));
+    assert.equal(result.box.minY, 0.5);
+    assertClose(result.motion.y, -0.5);
+    assert.ok(result.collidedY);
+    assert.ok(result.onGround);
+    assert.ok(!result.hitCeiling);
+});
+
+test('a large fall does not tunnel through a one block floor', () => {
+    const result = moveBox(playerBox(0, 10, 0), { x: 0, y: -50, z: 0 }, world(...floor()));
+    assert.equal(result.box.minY, 0.5);
+    assert.ok(result.onGround);
+});
+
+test('a fast sideways move does not tunnel through a thin wall', () => {
+    const isSolid = world(...floor(), [2, 1, 0], [2, 2, 0]);
+    const result = moveBox(playerBox(0, 0.5, 0), { x: 20, y: 0, z: 0 }, isSolid, { onGround: true });
+    assert.equal(result.box.maxX, 1.5);
+    assert.ok(result.collidedX);
+});
+
+test('step-up climbs a ledge half a block high', () => {
+    // Blocks are whole cubes, so start the box with its feet half a block
+    // below the top of the block ahead
+    const isSolid = world([1, 1, 0]);
+    const start = playerBox(0, 1, 0);
+    const result = moveBox(start, { x: 0.5, y: 0, z: 0 }, isSolid, { stepHeight: 0.5, onGround: true });
+    assert.equal(result.box.minY, 1.5);
+    assert.equal(result.motion.x, 0.5);
+    assert.ok(!result.collidedX);
+});
+
+test('step-up does not climb a full block', () => {
+    const isSolid = world(...floor(), [1, 1, 0]);
+    const result = moveBox(playerBox(0, 0.5, 0), { x: 0.5, y: 0, z: 0 }, isSolid, { stepHeight: 0.5, onGround: true });
+    assert.equal(result.box.minY, 0.5);
+    assertClose(result.box.maxX, 0.5);
+    assert.ok(result.collidedX);
+});
+
+test('sneaking stops at the edge of a block instead of walking off', () => {
+    const isSolid = world([0, 0, 0]);
+    const start = playerBox(0, 0.5, 0);
+    const motion = { x: 1, y: 0, z: 0 };
+
+    const sneaking = moveBox(start, motion, isSolid, { onGround: true, sneaking: true });
+    assert.ok(sneaking.motion.x > 0);
+    assert.ok(sneaking.box.minX < 0.5, 'still over the block');
+
+    const walking = moveBox(start, motion, isSolid, { onGround: true });
+    assert.equal(walking.motion.x, 1);
+});
+
+test('jumping into a block overhead stops the box and sets hitCeiling', () => {
+    const isSolid = world(...floor(), [0, 3, 0]);
+    const result = moveBox(playerBox(0, 0.5, 0), { x: 0, y: 0.5, z: 0 }, isSolid);
+    assertClose(result.box.maxY, 2.5);
+    assertClose(boxCenter(result.box).y, 2.5 - HEIGHT / 2);
+    assert.ok(result.hitCeiling);
+    assert.ok(!result.onGround);
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { BlockId } from '../src/blocks.js';
+import { CHUNK_HEIGHT, CHUNK_SIZE, Chunk } from '../src/chunk.js';
+import { runChunkJob } from '../src/chunk-jobs.js';
+import { TerrainGenerator } from '../src/terrain.js';
+
+const SEED = 'determinism';
+const HALF = CHUNK_SIZE / 2;
+
+function generate(generator, cx, cz) {
+    const chunk = new Chunk(cx, cz);
+    generator.generateChunk(chunk);
+    return chunk;
+}
+
+// A chunk-sized area shifted half a chunk along both axes, so it takes a
+// quarter from each of four real chunks. The generator only places blocks by
+// world position, so it must come out the same as those four quarters.
+class ShiftedChunk extends Chunk {
+    get worldX() {
+        return this.cx * CHUNK_SIZE + HALF;
+    }
+
+    get worldZ() {
+        return this.cz * CHUNK_SIZE + HALF;
+    }
+}
+
+// Block at world (x, y, z) among generated chunks keyed by 'cx,cz'
+function blockAt(chunks, x, y, z) {
+    const chunk = chunks.get(`${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`);
+    return chunk.getBlock(x - chunk.worldX, y, z - chunk.worldZ);
+}
+
+test('the same seed and chunk always give the same blocks', () => {
+    const first = generate(new TerrainGenerator(SEED), 3, -2);
+    const second = generate(new TerrainGenerator(SEED), 3, -2);
+    assert.deepEqual(second.blocks, first.blocks);
+    assert.deepEqual(second.data, first.data);
+
+    // The worker job gives the same chunk
+    const { result } = runChunkJob({ type: 'generate', cx: 3, cz: -2, seed: SEED });
+    assert.deepEqual(result.blocks, first.blocks);
+    assert.deepEqual(result.data, first.data);
+
+    const other = generate(new TerrainGenerator('another seed'), 3, -2);
+    assert.notDeepEqual(other.blocks, first.blocks);
+});
+
+test('neighbouring chunks agree on trees and veins across their borders', () => {
+    const generator = new TerrainGenerator(SEED);
+
+    // Over several areas so some trees and veins are sure to cross a border
+    const counts = { wood: 0, leaves: 0, ores: 0 };
+    for (const [cx, cz] of [[0, 0], [5, -3], [-7, 2]]) {
+        const chunks = new Map();
+        for (const [dx, dz] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+            chunks.set(`${cx + dx},${cz + dz}`, generate(generator, cx + dx, cz + dz));
+        }
+        const shifted = new ShiftedChunk(cx, cz);
+        generator.generateChunk(shifted);
+
+        for (let x = 0; x < CHUNK_SIZE; x++) {
+            for (let z = 0; z < CHUNK_SIZE; z++) {
+                for (let y = 0; y < CHUNK_HEIGHT; y++) {
+                    const block = shifted.getBlock(x, y, z);
+                    const expected = blockAt(chunks, shifted.worldX + x, y, shifted.worldZ + z);
+                    if (block !== expected) {
+                        assert.fail(`Block ${shifted.worldX + x}, ${y}, ${shifted.worldZ + z} is ${block} but ${expected} in its own chunk`);
+                    }
+                    if (block === BlockId.WOOD) counts.wood++;
+                    else if (block === BlockId.LEAVES) counts.leaves++;
+                    else if (block === BlockId.COAL_ORE || block === BlockId.IRON_ORE) counts.ores++;
+                }
+            }
+        }
+    }
+
+    // Make sure there was something to compare
+    assert.ok(counts.wood > 0 && counts.leaves > 0 && counts.ores > 0, JSON.stringify(counts));
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, test } from 'node:test';
+import { ChunkWorkerPool } from '../src/worker-pool.js';
+
+// Stands in for Web Workers, which Node doesn't have: records what is posted
+// and lets the test answer or fail
+class FakeWorker {
+    constructor() {
+        this.posted = [];
+        this.terminated = false;
+        FakeWorker.created.push(this);
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    reply(data) {
+        this.onmessage({ data });
+    }
+
+    fail(message) {
+        this.onerror({ message });
+    }
+}
+
+beforeEach(() => {
+    FakeWorker.created = [];
+    globalThis.Worker = FakeWorker;
+});
+
+afterEach(() => {
+    delete globalThis.Worker;
+});
+
+// Quiet the error logging the failures below cause on purpose
+function quietly(run) {
+    const error = console.error;
+    console.error = () => {};
+    try {
+        run();
+    } finally {
+        console.error = error;
+    }
+}
+
+function generateJob(cx) {
+    return { type: 'generate', cx, cz: 0, seed: 'pool' };
+}
+
+test('a worker gets one job at a time and is reused after replying', () => {
+    const pool = new ChunkWorkerPool({ size: 1 });
+    const [worker] = FakeWorker.created;
+    const results = [];
+    pool.submit('a', generateJob(0), [], result => results.push(result));
+    pool.submit('b', generateJob(1), [], result => results.push(result));
+    pool.dispatch();
+    assert.equal(worker.posted.length, 1);
+
+    worker.reply({ type: 'generate', cx: 0 });
+    assert.deepEqual(results, [{ type: 'generate', cx: 0 }]);
+    assert.equal(worker.posted.length, 2, 'the next job went out');
+    assert.ok(pool.has('b'));
+});
+
+test('a worker that errors while idle is dropped, not listed twice', () => {
+    const pool = new ChunkWorkerPool({ size: 2 });
+    const [broken, working] = FakeWorker.created;
+    quietly(() => broken.fail('boom'));
+    assert.ok(broken.terminated);
+    assert.deepEqual(pool.workers, [working]);
+    assert.deepEqual(pool.idleWorkers, [working]);
+
+    // A stray message doesn't make an idle worker free twice either
+    working.reply({ type: 'generate' });
+    assert.deepEqual(pool.idleWorkers, [working]);
+
+    pool.submit('a', generateJob(0), [], () => {});
+    pool.submit('b', generateJob(1), [], () => {});
+    pool.dispatch();
+    assert.equal(working.posted.length, 1);
+    assert.equal(broken.posted.length, 0);
+});
+
+test('a worker that fails during a job fails the job', () => {
+    const pool = new ChunkWorkerPool({ size: 1 });
+    const [worker] = FakeWorker.created;
+    const results = [];
+    pool.submit('a', generateJob(0), [], result => results.push(result));
+    pool.dispatch();
+    quietly(() => worker.fail('module failed to load'));
+
+    assert.deepEqual(results, [null]);
+    assert.ok(!pool.has('a'));
+    assert.equal(pool.workers.length, 0);
+});
+
+test('with every worker gone, jobs run on the calling thread', () => {
+    const pool = new ChunkWorkerPool({ size: 1 });
+    quietly(() => FakeWorker.created[0].fail('module failed to load'));
+
+    let result = null;
+    pool.submit('a', generateJob(0), [], reply => { result = reply; });
+    pool.dispatch();
+    assert.equal(result.type, 'generate');
+    assert.equal(result.blocks.length, 16 * 128 * 16);
+});
+
+test('a job error reported by the worker fails the job but keeps the worker', () => {
+    const pool = new ChunkWorkerPool({ size: 1 });
+    const [worker] = FakeWorker.created;
+    const results = [];
+    pool.submit('a', generateJob(0), [], result => results.push(result));
+    pool.dispatch();
+    quietly(() => worker.reply({ type: 'error', message: 'bad job' }));
+
+    assert.deepEqual(results, [null]);
+    assert.deepEqual(pool.idleWorkers, [worker]);
+});